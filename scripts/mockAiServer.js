@@ -0,0 +1,59 @@
+/**
+ * Servidor de IA simulado para probar la generación sin conexión ni clave de API.
+ *
+ * Responde en el formato de Gemini a las rutas que terminan en `:generateContent` y
+ * en el de la API de chat de OpenAI al resto. Con `--fail-first`, la primera
+ * respuesta de cada conversación viene entre bloques de código y con una nota
+ * inexistente, para ver en acción la limpieza y el bucle de corrección.
+ *
+ *   node scripts/mockAiServer.js [--port 8787] [--fail-first]
+ *
+ * La respuesta se puede cambiar con la variable de entorno MOCK_AI_REPLY.
+ */
+const http = require('http');
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const port = portIndex === -1 ? 8787 : Number(args[portIndex + 1]);
+const failFirst = args.includes('--fail-first');
+
+const VALID_REPLY = process.env.MOCK_AI_REPLY
+  || 'v=7 [piano=do4-mi4-sol4:4,la3-do4-mi4:4,fa3-la3-do4:4,sol3-si3-re4:4], v=9 [drums=kick,hihat,snare,hihat,kick,kick,snare,hihat]';
+const INVALID_REPLY = '```\nv=7 [piano=do4,re4,zz4,mi4]\n```';
+
+const countMessages = (body) => (body.contents || body.messages || []).length;
+
+const server = http.createServer((request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+  let raw = '';
+  request.on('data', chunk => {
+    raw += chunk;
+  });
+  request.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch (e) {
+      response.writeHead(400, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ error: 'JSON no válido' }));
+      return;
+    }
+    const text = failFirst && countMessages(body) === 1 ? INVALID_REPLY : VALID_REPLY;
+    const result = request.url.includes(':generateContent')
+      ? { candidates: [{ content: { role: 'model', parts: [{ text }] } }] }
+      : { choices: [{ message: { role: 'assistant', content: text } }] };
+    console.log(`${request.method} ${request.url} (${countMessages(body)} mensajes)`);
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(result));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Servidor de IA simulado en http://localhost:${port}`);
+});
@@ -0,0 +1,86 @@
+import React from 'react';
+import TrackDiff from './TrackDiff';
+
+/**
+ * Propuesta de la IA pendiente de revisión: una o varias candidatas (las variaciones),
+ * cada una con el texto generado, sus diagnósticos, las diferencias con la canción
+ * actual y las acciones para escucharla o aplicarla. Nada cambia en el editor hasta
+ * que se aplica una.
+ *
+ * Cada candidata trae en `results` la canción resultante de cada forma de aplicarla
+ * (`proposal.options`); la primera opción es la que se escucha y se compara.
+ */
+
+const BUTTON_CLASS = 'px-3 py-1 rounded-lg font-bold text-white disabled:opacity-50';
+
+const AiPreview = ({
+  proposal, currentDefinitions, parserOptions, auditioningIndex,
+  onAudition, onStopAudition, onApply, onDiscard,
+}) => {
+  const [preview] = proposal.options;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-900 rounded-xl border border-blue-500/50">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <span className="text-blue-300 font-bold">Propuesta de la IA</span>
+        <span className="text-xs text-gray-400">{proposal.title}</span>
+      </div>
+      {proposal.candidates.map((candidate, index) => {
+        const errorCount = candidate.diagnostics.filter(d => d.severity === 'error').length;
+        return (
+          <div key={index} className="mt-3 pt-3 border-t border-gray-700 first:border-t-0 first:pt-0">
+            {proposal.candidates.length > 1 && (
+              <p className="text-sm text-gray-300">Variación {index + 1}</p>
+            )}
+            <p className="text-xs text-gray-500">{candidate.attempts} intento(s)</p>
+            <pre className="mt-2 p-3 bg-gray-800 rounded-lg text-xs text-gray-200 whitespace-pre-wrap break-words">{candidate.definitions}</pre>
+            {candidate.diagnostics.length > 0 && (
+              <ul className="mt-2 text-sm font-mono">
+                {candidate.diagnostics.map((d, i) => (
+                  <li key={i} className={d.severity === 'error' ? 'text-red-300' : 'text-yellow-300'}>
+                    Línea {d.line}, columna {d.column}: {d.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <details className="mt-3">
+              <summary className="cursor-pointer text-sm text-gray-300">
+                Cambios frente a la canción actual ({preview.label.toLowerCase()})
+              </summary>
+              <div className="mt-2">
+                <TrackDiff before={currentDefinitions} after={candidate.results[preview.key]} parserOptions={parserOptions} />
+              </div>
+            </details>
+            <div className="mt-3 flex flex-wrap gap-2 text-sm">
+              {auditioningIndex === index ? (
+                <button onClick={onStopAudition} className={`${BUTTON_CLASS} bg-red-600 hover:bg-red-700`}>Detener</button>
+              ) : (
+                <button onClick={() => onAudition(index)} disabled={candidate.tracks.length === 0} className={`${BUTTON_CLASS} bg-teal-600 hover:bg-teal-700`}>
+                  Escuchar
+                </button>
+              )}
+              {proposal.options.map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => onApply(index, option)}
+                  disabled={candidate.tracks.length === 0}
+                  className={`${BUTTON_CLASS} bg-blue-600 hover:bg-blue-700`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {errorCount > 0 && (
+              <p className="mt-2 text-sm text-red-300">
+                La propuesta aún tiene {errorCount} error(es); las pistas con errores se omitirán al reproducir.
+              </p>
+            )}
+          </div>
+        );
+      })}
+      <button onClick={onDiscard} className={`mt-3 text-sm ${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}>Descartar</button>
+    </div>
+  );
+};
+
+export default AiPreview;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { AI_PROVIDERS } from './ai';
+
+/**
+ * Ajustes del proveedor de IA: tipo de API, dirección del servicio, modelo y clave.
+ * La clave sólo se guarda en memoria; sin ella se usa la del entorno.
+ */
+
+const INPUT_CLASS = 'bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-400';
+
+const AiSettings = ({ settings, apiKey, onChange, onApiKeyChange }) => (
+  <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+    <summary className="cursor-pointer text-teal-400 font-bold">Proveedor de IA</summary>
+    <div className="mt-3 grid grid-cols-1 sm:grid-cols-[auto_1fr] gap-2 items-center text-sm">
+      <label className="text-gray-400">API:</label>
+      <select
+        value={settings.provider}
+        onChange={(e) => {
+          const { endpoint, model } = AI_PROVIDERS[e.target.value];
+          onChange({ provider: e.target.value, endpoint, model });
+        }}
+        className={INPUT_CLASS}
+      >
+        {Object.entries(AI_PROVIDERS).map(([key, provider]) => (
+          <option key={key} value={key}>{provider.label}</option>
+        ))}
+      </select>
+      <label className="text-gray-400">Dirección:</label>
+      <input
+        type="text"
+        value={settings.endpoint}
+        onChange={(e) => onChange({ ...settings, endpoint: e.target.value })}
+        className={`font-mono ${INPUT_CLASS}`}
+      />
+      <label className="text-gray-400">Modelo:</label>
+      <input
+        type="text"
+        value={settings.model}
+        onChange={(e) => onChange({ ...settings, model: e.target.value })}
+        placeholder={settings.provider === 'gemini' ? 'Incluido en la dirección' : ''}
+        disabled={settings.provider === 'gemini'}
+        className={`${INPUT_CLASS} disabled:opacity-50`}
+      />
+      <label className="text-gray-400">Clave de API:</label>
+      <input
+        type="password"
+        value={apiKey}
+        onChange={(e) => onApiKeyChange(e.target.value)}
+        placeholder="La del entorno"
+        autoComplete="off"
+        className={INPUT_CLASS}
+      />
+    </div>
+    <p className="mt-2 text-xs text-gray-500">
+      Para trabajar sin conexión, ejecuta <code>npm run mock-ai</code> y elige la API compatible con OpenAI.
+    </p>
+  </details>
+);
+
+export default AiSettings;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { getTrackLabel } from './trackParser';
+import { TRACK_ACTIONS } from './ai';
+
+/**
+ * Acciones de IA sobre una sola pista: continuarla, armonizarla, escribir un bajo o
+ * una batería que encajen, o pedir varias variaciones. El resto de la canción se
+ * envía como contexto. Por defecto se elige la pista que se está editando.
+ */
+
+const INPUT_CLASS = 'bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-400';
+
+const MAX_BARS = 8;
+const MAX_VARIATIONS = 4;
+
+const AiTrackActions = ({ tracks, focusedTrack, disabled, isGenerating, onRun }) => {
+  const [selectedTrack, setSelectedTrack] = useState(null);
+  const [action, setAction] = useState('continue');
+  const [bars, setBars] = useState(2);
+  const [count, setCount] = useState(3);
+
+  const trackIndex = selectedTrack !== null && selectedTrack < tracks.length
+    ? selectedTrack
+    : (focusedTrack !== null && focusedTrack < tracks.length ? focusedTrack : 0);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-900 rounded-xl flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-teal-400 font-bold mr-2">IA sobre una pista</span>
+      <select
+        value={trackIndex}
+        onChange={(e) => setSelectedTrack(Number(e.target.value))}
+        disabled={tracks.length === 0}
+        className={INPUT_CLASS}
+      >
+        {tracks.map((track, i) => (
+          <option key={i} value={i}>{getTrackLabel(track, i)}</option>
+        ))}
+      </select>
+      <select value={action} onChange={(e) => setAction(e.target.value)} className={INPUT_CLASS}>
+        {Object.entries(TRACK_ACTIONS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {action === 'continue' && (
+        <label className="text-gray-400">
+          Compases:{' '}
+          <input
+            type="number"
+            min="1"
+            max={MAX_BARS}
+            value={bars}
+            onChange={(e) => setBars(Math.min(MAX_BARS, Math.max(1, Number(e.target.value) || 1)))}
+            className={`w-16 ${INPUT_CLASS}`}
+          />
+        </label>
+      )}
+      {action === 'variations' && (
+        <label className="text-gray-400">
+          Cantidad:{' '}
+          <input
+            type="number"
+            min="1"
+            max={MAX_VARIATIONS}
+            value={count}
+            onChange={(e) => setCount(Math.min(MAX_VARIATIONS, Math.max(1, Number(e.target.value) || 1)))}
+            className={`w-16 ${INPUT_CLASS}`}
+          />
+        </label>
+      )}
+      <button
+        onClick={() => onRun({ action, trackIndex, bars, count })}
+        disabled={disabled || isGenerating || tracks.length === 0}
+        className="px-3 py-1 rounded-lg font-bold text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isGenerating ? 'Generando...' : 'Pedir a la IA'}
+      </button>
+    </div>
+  );
+};
+
+export default AiTrackActions;
@@ -1,10 +1,75 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { parseTrackDefinitions, getSongLength, setTrackOption, setStepAt, setTrackSteps, serializeNotes, drumMapping, getTrackLabel, getTrackText, replaceTrackText, insertTrackAfter } from './trackParser';
+import { midiToFrequency, midiToNoteName, parseNoteSpec, DEFAULT_REFERENCE_PITCH } from './pitch';
+import { createTransport, STEPS_PER_BAR } from './transport';
+import { buildArrangement, getTrackPosition } from './arrangement';
+import { createMixGraph, createChannels, applyChannelSettings, applyMasterSettings, setDelayTempo, normalizeMasterSettings, setChannelEffects, setMasterEffects, disposeChannel, DEFAULT_MASTER_SETTINGS } from './mixGraph';
+import { upgradeEffectsState, getTrackChain, EMPTY_EFFECTS } from './effects';
+import MixerPanel from './MixerPanel';
+import EffectsRack from './EffectsRack';
+import StepGrid from './StepGrid';
+import PianoRoll from './PianoRoll';
+import ArrangementTimeline from './ArrangementTimeline';
+import ProjectBrowser from './ProjectBrowser';
+import VersionHistory from './VersionHistory';
+import CollaborationPanel from './CollaborationPanel';
+import { useCollaboration, createSession, sessionExists, transformOffset } from './collaboration';
+import { renderSong } from './render';
+import { createStretcher } from './timeStretch';
+import { audioBufferToWav } from './wav';
+import { exportMidi, importMidi } from './midi';
+import { importAbc, importMusicXml, exportAbc, exportMusicXml } from './notation';
+import { createClip, prepareClip, stretchClip, extendArrangement, scheduleClip, serializeClip, deserializeClips, MAX_CLIP_SECONDS } from './clips';
+import ClipTracks from './ClipTracks';
+import { extractRegion, serializeSample, deserializeSamples, MAX_SAMPLE_SECONDS, SAMPLE_NAME_PATTERN } from './sampler';
+import { createFirestoreStore, AUDIO_BUDGET_BYTES, getAudioSize, formatKilobytes, listProjects, listVersions, readProject, writeProject, projectExists, renameProject, duplicateProject, deleteProject, restoreVersionAudio, isValidProjectId, syncProjects, createProjectFile, parseProjectFile } from './projects';
+import { createLocalStore, loadDraft, saveDraft, clearDraft } from './localStore';
+import { createAiProvider, generateTrackDefinitions, appendTrackDefinitions, normalizeAiSettings, buildTrackActionPrompt, getTrackActionValidator, TRACK_ACTIONS, DEFAULT_MAX_ATTEMPTS } from './ai';
+import AiSettings from './AiSettings';
+import AiPreview from './AiPreview';
+import AiTrackActions from './AiTrackActions';
+import WaveformView from './WaveformView';
+import AudioEditTools from './AudioEditTools';
+import { copyRegion, deleteRegion, insertBuffer, fadeRegion, gainRegion, normalizeRegion, reverseRegion, silenceRegion, convertBuffer } from './audioEdit';
+import { buildShareUrl, decodeShareFragment, hasShareFragment, LONG_URL_LENGTH } from './share';
+import { buildInstrumentRegistry, getParserOptions, parsePatches, EXAMPLE_PATCHES } from './instruments';
 
 /* eslint-disable no-undef */
 
+// Espera tras el último cambio antes de autoguardar el borrador.
+const DRAFT_DELAY_MS = 1000;
+
+// Clave de localStorage con los ajustes del proveedor de IA (sin la clave de API).
+const AI_SETTINGS_KEY = 'music-gemini-ai-settings';
+
+// Cambios de la IA que se pueden deshacer.
+const MAX_AI_UNDO = 20;
+
+// Prefijo del identificador de escucha de las candidatas de la IA.
+const AI_AUDITION_PREFIX = 'propuesta-ia-';
+
+// Ediciones de audio que se pueden deshacer; cada una guarda una copia completa.
+const MAX_AUDIO_UNDO = 10;
+
+// Espera tras el último cambio de BPM antes de estirar los clips.
+const STRETCH_DELAY_MS = 300;
+
+const AUDIO_EDIT_LABELS = {
+  cut: 'Cortar',
+  delete: 'Borrar',
+  paste: 'Pegar',
+  fadeIn: 'Fundido de entrada',
+  fadeOut: 'Fundido de salida',
+  gain: 'Ganancia',
+  normalize: 'Normalizar',
+  reverse: 'Invertir',
+  silence: 'Silenciar',
+  convert: 'Convertir formato',
+};
+
 /**
  * Componente principal de la aplicación.
  * Permite a los usuarios crear música usando un secuenciador, generar melodías con IA y manipular archivos de audio.
@@ -22,166 +87,246 @@ const App = () => {
   const [statusMessage, setStatusMessage] = useState('');
   const [error, setError] = useState(null);
   const [bpm, setBpm] = useState(120);
+  const [referencePitch, setReferencePitch] = useState(DEFAULT_REFERENCE_PITCH);
   const [projectId, setProjectId] = useState('');
+  // ID con el que se cargó o guardó por última vez el proyecto abierto.
+  const [openProjectId, setOpenProjectId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [isLoadingProjects, setIsLoadingProjects] = useState(false);
+  const [versionMessage, setVersionMessage] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [isLoadingVersions, setIsLoadingVersions] = useState(false);
+  const [auditioningId, setAuditioningId] = useState(null);
+  const [draftOffer, setDraftOffer] = useState(null);
+  const [isDraftChecked, setIsDraftChecked] = useState(false);
+  const [aiSettings, setAiSettings] = useState(() => {
+    try {
+      return normalizeAiSettings(JSON.parse(localStorage.getItem(AI_SETTINGS_KEY)) || undefined);
+    } catch (e) {
+      return normalizeAiSettings();
+    }
+  });
+  const [aiApiKey, setAiApiKey] = useState('');
+  const [aiProposal, setAiProposal] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  // Cambios aplicados desde la IA que se pueden deshacer: `{ label, before, after }`.
+  const [aiUndoStack, setAiUndoStack] = useState([]);
+  // Proyecto abierto desde un enlace compartido: se muestra en sólo lectura hasta bifurcarlo.
+  const [sharedProject, setSharedProject] = useState(null);
+  const [shareUrl, setShareUrl] = useState('');
+  const [forkId, setForkId] = useState('');
+  const isReadOnly = sharedProject !== null;
   const [isExporting, setIsExporting] = useState(false);
+  const [exportProgress, setExportProgress] = useState(0);
+  const [exportLoops, setExportLoops] = useState(1);
+  const [scoreInstrument, setScoreInstrument] = useState('piano');
+  const [exportTail, setExportTail] = useState(2);
   const [loadedAudioBuffer, setLoadedAudioBuffer] = useState(null);
   const [trimStart, setTrimStart] = useState(0);
   const [trimEnd, setTrimEnd] = useState(0);
+  const [editorCursor, setEditorCursor] = useState(0);
+  const [isEditorPlaying, setIsEditorPlaying] = useState(false);
+  const [loopRegion, setLoopRegion] = useState(false);
+  // Estados anteriores del audio para deshacer: `{ label, buffer, start, end }`.
+  const [audioUndoStack, setAudioUndoStack] = useState([]);
+  const [audioClipboard, setAudioClipboard] = useState(null);
+  // Cambia con cada archivo cargado para que la forma de onda empiece de cero.
+  const [audioFileKey, setAudioFileKey] = useState(0);
   const [projectNotes, setProjectNotes] = useState('Notas de la canción "Zombies on Your Lawn" pre-cargadas.');
   const [isPlaying, setIsPlaying] = useState(false);
+  const [instrumentPatches, setInstrumentPatches] = useState('');
+  const [masterSettings, setMasterSettings] = useState(DEFAULT_MASTER_SETTINGS);
+  const [effects, setEffects] = useState(EMPTY_EFFECTS);
+  const [samples, setSamples] = useState([]);
+  const [clips, setClips] = useState([]);
+  const [sampleName, setSampleName] = useState('');
+  const [sampleMode, setSampleMode] = useState('pitched');
+  const [sampleRoot, setSampleRoot] = useState('do4');
+  const [currentStep, setCurrentStep] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [joinSessionId, setJoinSessionId] = useState('');
+  const [collaboratorName, setCollaboratorName] = useState('');
+  const [focusedTrack, setFocusedTrack] = useState(null);
+  // BPM tal como se está escribiendo; sólo los valores positivos pasan a `bpm`.
+  const [bpmInput, setBpmInput] = useState(null);
+  // Clips preparados de nuevo al terminar de estirarse: `{ clips, bpm, prepared }`.
+  const [stretchedClips, setStretchedClips] = useState(null);
+
+  // --- Campos de texto compartidos en la sesión y posición del cursor que deben
+  // recuperar después de aplicar cambios remotos.
+  const definitionsInputRef = useRef(null);
+  const notesInputRef = useRef(null);
+  const pendingSelectionsRef = useRef([]);
 
   // --- Referencias para el Web Audio API
   const audioContextRef = useRef(null);
-  const playLoopRef = useRef(null);
+  const transportRef = useRef(null);
+  // Fuentes de los clips de audio que suenan, para pararlas al detener.
+  const clipSourcesRef = useRef([]);
+  // Reproducción del editor de audio: `{ source, startedAt, offset, start, end, loop }`.
+  const editorPlaybackRef = useRef(null);
   const playIndexRef = useRef(0);
-  const masterGainNodeRef = useRef(null);
-  const delayNodeRef = useRef(null);
-  const feedbackGainRef = useRef(null);
+  const mixGraphRef = useRef(null);
+  const channelsRef = useRef([]);
+  const stretcherRef = useRef(null);
 
   // --- Estados y referencias de Firebase
   const [db, setDb] = useState(null);
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
 
+  // --- Almacén de proyectos: Firestore con sesión iniciada y, si no, IndexedDB
+  const localStore = useMemo(() => createLocalStore(), []);
+  const projectStore = useMemo(
+    () => (isAuthReady && db && userId ? createFirestoreStore(db, userId) : localStore),
+    [isAuthReady, db, userId, localStore]
+  );
+
+  // --- Instrumentos disponibles: los integrados, los patches y las muestras del usuario
+  const serializedSamples = useMemo(() => samples.map(serializeSample), [samples]);
+  const parsedPatches = useMemo(() => parsePatches(instrumentPatches), [instrumentPatches]);
+  const instrumentRegistry = useMemo(
+    () => buildInstrumentRegistry(parsedPatches.patches, samples),
+    [parsedPatches, samples]
+  );
+
+  // --- Modelo de la canción analizado a partir de las definiciones de pista
+  const parserOptions = useMemo(() => getParserOptions(instrumentRegistry), [instrumentRegistry]);
+  const parsedSong = useMemo(
+    () => parseTrackDefinitions(trackDefinitions, parserOptions),
+    [trackDefinitions, parserOptions]
+  );
+
   // --- Constantes para la cuadrícula y sonidos
-  const noteMapping = {
-    'do': 'C4', 'do4': 'C4', 're': 'D4', 'mi': 'E4', 'fa': 'F4',
-    'sol': 'G4', 'la': 'A4', 'si': 'B4', 'do5': 'C5',
-    're4': 'D4', 'mi4': 'E4', 'fa4': 'F4', 'sol4': 'G4', 'la4': 'A4', 'si4': 'B4',
-    'kick': 'Kick', 'snare': 'Snare', 'hihat': 'Hi-Hat', '-': null,
-  };
   const gridLength = 16;
-  const frequencies = {
-    C4: 261.63, D4: 293.66, E4: 329.63, F4: 349.23,
-    G4: 392.00, A4: 440.00, B4: 493.88, C5: 523.25
-  };
-
-  // Drum sounds - Usamos generadores de ruido y envolventes simples para simular.
-  const drumSounds = {
-      'Kick': (context) => {
-          const osc = context.createOscillator();
-          osc.type = 'sine';
-          const gain = context.createGain();
-          gain.gain.setValueAtTime(1, context.currentTime);
-          gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.3);
-          osc.frequency.setValueAtTime(150, context.currentTime);
-          osc.frequency.exponentialRampToValueAtTime(0.01, context.currentTime + 0.3);
-          osc.connect(gain);
-          gain.connect(context.destination);
-          return { source: osc, gain: gain };
-      },
-      'Snare': (context) => {
-          const noise = context.createBufferSource();
-          const bufferSize = context.sampleRate * 0.5;
-          const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
-          const output = buffer.getChannelData(0);
-          for (let i = 0; i < bufferSize; i++) {
-              output[i] = Math.random() * 2 - 1;
-          }
-          noise.buffer = buffer;
-          const gain = context.createGain();
-          gain.gain.setValueAtTime(1, context.currentTime);
-          gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.1);
-          noise.connect(gain);
-          gain.connect(context.destination);
-          return { source: noise, gain: gain };
-      },
-      'Hi-Hat': (context) => {
-          const noise = context.createBufferSource();
-          const bufferSize = context.sampleRate;
-          const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
-          const output = buffer.getChannelData(0);
-          for (let i = 0; i < bufferSize; i++) {
-              output[i] = Math.random() * 2 - 1;
-          }
-          noise.buffer = buffer;
-          noise.loop = true;
-          const highPassFilter = context.createBiquadFilter();
-          highPassFilter.type = 'highpass';
-          highPassFilter.frequency.setValueAtTime(8000, context.currentTime);
-          const gain = context.createGain();
-          gain.gain.setValueAtTime(1, context.currentTime);
-          gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.05);
-          noise.connect(highPassFilter);
-          highPassFilter.connect(gain);
-          gain.connect(context.destination);
-          return { source: noise, gain: gain };
-      }
-  };
 
+  // --- Clips de audio ajustados al BPM actual. Los estirados se calculan en un worker
+  // cuando el BPM deja de cambiar y mientras tanto no suenan.
+  const preparedClips = useMemo(
+    () => (stretchedClips && stretchedClips.clips === clips && stretchedClips.bpm === bpm
+      ? stretchedClips.prepared
+      : clips.map(clip => prepareClip(clip, bpm))),
+    [clips, bpm, stretchedClips]
+  );
+  const hasPendingStretches = preparedClips.some(clip => !clip.playback);
+
+  useEffect(() => {
+    if (!hasPendingStretches || !audioContextRef.current) return undefined;
+    let active = true;
+    const timer = setTimeout(() => {
+      if (!stretcherRef.current) stretcherRef.current = createStretcher();
+      Promise.all(clips.map(clip => stretchClip(audioContextRef.current, clip, bpm, stretcherRef.current.stretch)))
+        .then(() => {
+          if (active) setStretchedClips({ clips, bpm, prepared: clips.map(clip => prepareClip(clip, bpm)) });
+        })
+        .catch(e => {
+          console.error(e);
+          if (active) setError(`Error al ajustar los clips al BPM: ${e.message}`);
+        });
+    }, STRETCH_DELAY_MS);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [hasPendingStretches, clips, bpm]);
+
+  useEffect(() => () => stretcherRef.current && stretcherRef.current.dispose(), []);
+
+  const serializedClips = useMemo(() => clips.map(serializeClip), [clips]);
+
+  // --- Orden de las secciones de la canción (alargado hasta el último clip) y paso de
+  // cada pista bajo el cursor
+  const arrangement = useMemo(
+    () => extendArrangement(buildArrangement(parsedSong, gridLength), preparedClips),
+    [parsedSong, preparedClips]
+  );
+  const trackSteps = currentStep === null
+    ? []
+    : parsedSong.tracks.map((_, i) => getTrackPosition(arrangement, i, currentStep));
+
+  // --- Sesión colaborativa
   /**
-   * Genera un sonido de piano.
+   * Sustituye los valores compartidos por los fusionados con los remotos, manteniendo
+   * el cursor de los campos de texto que se están editando.
    */
-  const playPianoNote = (context, frequency, time, duration) => {
-    const osc = context.createOscillator();
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(frequency, time);
-    const gain = context.createGain();
-    gain.gain.setValueAtTime(0, time);
-    gain.gain.linearRampToValueAtTime(1, time + 0.01);
-    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
-    osc.connect(gain);
-    gain.connect(context.destination);
-    return { source: osc, gain: gain };
-  };
-
-  /**
-   * Genera un sonido de guitarra.
-   */
-  const playGuitarNote = (context, frequency, time, duration) => {
-    const bufferSize = context.sampleRate;
-    const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
-    const output = buffer.getChannelData(0);
-    for (let i = 0; i < bufferSize; i++) {
-        output[i] = Math.random() * 2 - 1;
-    }
-    const delay = context.createDelay(1.0);
-    delay.delayTime.setValueAtTime(1 / frequency, time);
-    const filter = context.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.setValueAtTime(frequency * 2, time);
-    const noise = context.createBufferSource();
-    noise.buffer = buffer;
-    noise.loop = true;
-    const gain = context.createGain();
-    gain.gain.setValueAtTime(1, time);
-    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
-    noise.connect(delay);
-    delay.connect(filter);
-    filter.connect(delay);
-    filter.connect(gain);
-    gain.connect(context.destination);
-    return { source: noise, gain: gain };
+  const applyRemoteValues = (merged, local) => {
+    const fields = [
+      { input: definitionsInputRef.current, key: 'trackDefinitions' },
+      { input: notesInputRef.current, key: 'projectNotes' },
+    ];
+    pendingSelectionsRef.current = fields
+      .filter(({ input, key }) => input && document.activeElement === input && merged[key] !== local[key])
+      .map(({ input, key }) => ({
+        input,
+        start: transformOffset(local[key], merged[key], input.selectionStart),
+        end: transformOffset(local[key], merged[key], input.selectionEnd),
+      }));
+    setTrackDefinitions(merged.trackDefinitions);
+    setBpm(merged.bpm);
+    setProjectNotes(merged.projectNotes);
   };
 
+  useLayoutEffect(() => {
+    pendingSelectionsRef.current.forEach(({ input, start, end }) => input.setSelectionRange(start, end));
+    pendingSelectionsRef.current = [];
+  }, [trackDefinitions, projectNotes]);
+
+  const { participants, conflict } = useCollaboration({
+    db,
+    userId,
+    sessionId,
+    name: collaboratorName.trim() || `Músico ${(userId || '').slice(0, 4)}`,
+    trackIndex: focusedTrack,
+    values: { trackDefinitions, bpm, projectNotes },
+    onRemoteValues: applyRemoteValues,
+    onError: setError,
+    onSessionEnd: () => {
+      setSessionId(null);
+      setError('La sesión compartida ha terminado.');
+    },
+  });
+
   /**
-   * Genera un sonido de 8-bit (onda cuadrada).
+   * Pista bajo el cursor del editor de texto, para la presencia en la sesión.
    */
-  const play8BitNote = (context, frequency, time, duration) => {
-    const osc = context.createOscillator();
-    osc.type = 'square';
-    osc.frequency.setValueAtTime(frequency, time);
-    const gain = context.createGain();
-    gain.gain.setValueAtTime(1, time);
-    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
-    osc.connect(gain);
-    gain.connect(context.destination);
-    return { source: osc, gain: gain };
+  const updateFocusedTrack = (position) => {
+    const index = parsedSong.tracks.findIndex(track => position >= track.offset
+      && (track.closeOffset === null || position <= track.closeOffset));
+    setFocusedTrack(index === -1 ? null : index);
   };
 
-  /**
-   * Genera un sonido de 16-bit (onda triangular).
-   */
-  const play16BitNote = (context, frequency, time, duration) => {
-    const osc = context.createOscillator();
-    osc.type = 'triangle';
-    osc.frequency.setValueAtTime(frequency, time);
-    const gain = context.createGain();
-    gain.gain.setValueAtTime(1, time);
-    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
-    osc.connect(gain);
-    gain.connect(context.destination);
-    return { source: osc, gain: gain };
+  const startSession = async () => {
+    setError(null);
+    try {
+      const id = await createSession(db, userId, { trackDefinitions, bpm, projectNotes }, projectId);
+      setSessionId(id);
+      setStatusMessage(`Sesión "${id}" iniciada. Comparte su ID para editar en grupo.`);
+    } catch (e) {
+      console.error(e);
+      setError(`Error al iniciar la sesión: ${e.message}`);
+    }
+  };
+
+  const joinSession = async () => {
+    const id = joinSessionId.trim();
+    setError(null);
+    try {
+      if (!(await sessionExists(db, id))) {
+        setError(`La sesión "${id}" no existe.`);
+        return;
+      }
+      setSessionId(id);
+      setJoinSessionId('');
+      setStatusMessage(`Te has unido a la sesión "${id}".`);
+    } catch (e) {
+      console.error(e);
+      setError(`Error al unirse a la sesión: ${e.message}`);
+    }
+  };
+
+  const leaveSession = () => {
+    setSessionId(null);
+    setStatusMessage('Has salido de la sesión compartida.');
   };
 
   /**
@@ -191,27 +336,33 @@ const App = () => {
     try {
       if (!audioContextRef.current) {
         audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-        masterGainNodeRef.current = audioContextRef.current.createGain();
-        delayNodeRef.current = audioContextRef.current.createDelay(1.0);
-        feedbackGainRef.current = audioContextRef.current.createGain();
-        delayNodeRef.current.connect(feedbackGainRef.current);
-        feedbackGainRef.current.connect(delayNodeRef.current);
-        delayNodeRef.current.connect(masterGainNodeRef.current);
-        masterGainNodeRef.current.connect(audioContextRef.current.destination);
-        delayNodeRef.current.delayTime.value = 0.25;
-        feedbackGainRef.current.gain.value = 0.4;
+        mixGraphRef.current = createMixGraph(audioContextRef.current, DEFAULT_MASTER_SETTINGS);
       }
     } catch (e) {
       setError('El Web Audio API no es compatible con este navegador.');
     }
 
     // Inicializa Firebase
-    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+    // Con REACT_APP_FIRESTORE_EMULATOR (p. ej. `localhost:8080`) y REACT_APP_AUTH_EMULATOR
+    // (p. ej. `http://localhost:9099`) se usan los emuladores de `firebase emulators:start`,
+    // con un proyecto de demostración si no hay configuración.
+    const firestoreEmulator = process.env.REACT_APP_FIRESTORE_EMULATOR;
+    const authEmulator = process.env.REACT_APP_AUTH_EMULATOR;
+    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config)
+      : firestoreEmulator ? { projectId: 'demo-musica', apiKey: 'demo-key' } : {};
     const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
     if (Object.keys(firebaseConfig).length > 0) {
       const app = initializeApp(firebaseConfig);
-      setDb(getFirestore(app));
+      const firestore = getFirestore(app);
       const authInstance = getAuth(app);
+      if (firestoreEmulator) {
+        const [host, port] = firestoreEmulator.split(':');
+        connectFirestoreEmulator(firestore, host, Number(port));
+      }
+      if (authEmulator) {
+        connectAuthEmulator(authInstance, authEmulator, { disableWarnings: true });
+      }
+      setDb(firestore);
       const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
         if (user) {
           setUserId(user.uid);
@@ -235,332 +386,838 @@ const App = () => {
   }, []);
 
   /**
-   * Parsea una cadena de definición de pista para obtener los datos de la pista.
-   * Formato esperado: "v=[volumen] [instrumento]=[notas]"
+   * Reproduce una nota musical (número MIDI) o un sonido de batería (nombre) con el
+   * instrumento del registro y la conecta a `output`, la entrada del grafo de mezcla
+   * en vivo o del de exportación.
    */
-  const parseSingleTrackDefinition = (definition) => {
-    const parts = definition.split(' ');
-    let volume = 0.5;
-    let instrumentType = 'synth';
-    let noteSequence = '';
-    parts.forEach(part => {
-      if (part.startsWith('v=')) {
-        const vol = parseInt(part.substring(2), 10);
-        if (!isNaN(vol)) {
-          volume = vol / 10;
-        }
-      } else if (part.includes('=')) {
-        const [inst, notes] = part.split('=');
-        instrumentType = inst.trim();
-        noteSequence = notes.replace(/[[\]]/g, '').trim();
-      }
-    });
-    return { volume, instrumentType, noteSequence };
-  };
-
-  /**
-   * Parsea una cadena de múltiples definiciones de pista separadas por comas.
-   */
-  const parseAllTrackDefinitions = (definitionsString) => {
-    return definitionsString
-      .split(',')
-      .map(def => def.trim())
-      .filter(def => def.length > 0);
-  };
-
-  /**
-   * Reproduce una nota musical o un sonido de batería.
-   */
-  const playSound = (instrumentType, noteName, volume, duration, context = audioContextRef.current, time = context.currentTime) => {
-    if (!context || !noteName) return;
-    let finalOutputNode;
-    const frequency = frequencies[noteName];
-    if (instrumentType === 'synth' || instrumentType === 'piano' || instrumentType === 'guitar' || instrumentType === '8bit' || instrumentType === '16bit') {
-      if (!frequency) return;
-      const gain = context.createGain();
-      gain.gain.value = volume;
-      let source;
-      if (instrumentType === 'synth') {
-        const oscillator = context.createOscillator();
-        oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(frequency, time);
-        source = oscillator;
-      } else if (instrumentType === 'piano') {
-        const { source: pianoSource, gain: pianoGain } = playPianoNote(context, frequency, time, duration);
-        source = pianoSource;
-        pianoSource.connect(pianoGain);
-        pianoGain.connect(gain);
-      } else if (instrumentType === 'guitar') {
-        const { source: guitarSource, gain: guitarGain } = playGuitarNote(context, frequency, time, duration);
-        source = guitarSource;
-        guitarSource.connect(guitarGain);
-        guitarGain.connect(gain);
-      } else if (instrumentType === '8bit') {
-        const { source: bit8Source, gain: bit8Gain } = play8BitNote(context, frequency, time, duration);
-        source = bit8Source;
-        bit8Source.connect(bit8Gain);
-        bit8Gain.connect(gain);
-      } else if (instrumentType === '16bit') {
-        const { source: bit16Source, gain: bit16Gain } = play16BitNote(context, frequency, time, duration);
-        source = bit16Source;
-        bit16Source.connect(bit16Gain);
-        bit16Gain.connect(gain);
-      }
-      if (source) {
-        source.start(time);
-        source.stop(time + duration);
-        source.connect(gain);
-        finalOutputNode = gain;
-      }
-    } else if (instrumentType === 'drums') {
-      const { source, gain } = drumSounds[noteName](context);
-      source.connect(gain);
+  const playSound = (instrumentType, note, volume, duration, output = mixGraphRef.current && mixGraphRef.current.input, time = output && output.context.currentTime) => {
+    const instrument = instrumentRegistry[instrumentType];
+    if (!output || !instrument || note === null || note === undefined) return;
+    const context = output.context;
+    const value = instrument.kind === 'drums' ? note : midiToFrequency(note, referencePitch);
+    const voice = instrument.play(context, value, time, duration);
+    if (!voice) return;
+    const gain = context.createGain();
+    gain.gain.value = volume;
+    voice.output.connect(gain);
+    gain.connect(output);
+    voice.sources.forEach(source => {
       source.start(time);
-      source.stop(time + 0.5);
-      finalOutputNode = gain;
-    } else {
-        return;
-    }
-    if (finalOutputNode) {
-      if (context === audioContextRef.current) {
-        finalOutputNode.connect(masterGainNodeRef.current);
-      } else {
-        finalOutputNode.connect(context.destination);
-      }
-    }
+      source.stop(voice.end);
+    });
   };
 
   /**
-   * Inicia la reproducción del secuenciador en un bucle.
+   * Reproduce todas las notas de un evento, repartiendo el volumen entre las voces
+   * para que los acordes no saturen.
    */
-  const startPlayback = () => {
+  const playEvent = (instrument, event, volume, stepSeconds, output, time) => {
+    const noteDuration = event.duration * stepSeconds * 0.9;
+    event.notes.forEach(note => playSound(instrument, note, volume / event.notes.length, noteDuration, output, time));
+  };
+
+  /**
+   * Descarga un Blob como archivo con el nombre indicado.
+   */
+  const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Reproduce unas pistas ya analizadas con su arreglo, tempo y estado de efectos
+   * (cada pista usa la cadena de su `fx=`). `onStep` recibe el paso de la canción que suena.
+   */
+  const playSong = ({ tracks, clips: songClips = [], arrangement: songArrangement, bpm: tempo, effects: songEffects, onStep }) => {
     stopPlayback();
     setIsPlaying(true);
-    const parsedTracks = parseAllTrackDefinitions(trackDefinitions);
-    if (parsedTracks.length === 0) {
+    if (tracks.length === 0 || songArrangement.length === 0) {
       setStatusMessage('No hay pistas para reproducir.');
       return;
     }
     if (audioContextRef.current.state === 'suspended') {
       audioContextRef.current.resume();
     }
-    const intervalTime = 60000 / bpm / 4;
-    const noteDuration = intervalTime / 1000 * 0.9;
-    delayNodeRef.current.delayTime.value = 60 / bpm * 0.5;
-    playLoopRef.current = setInterval(() => {
-      parsedTracks.forEach(trackDef => {
-        const { volume, instrumentType, noteSequence } = parseSingleTrackDefinition(trackDef);
-        const parsedSequence = noteSequence
-          .toLowerCase()
-          .split(/[\s,]+/)
-          .map(note => note.trim())
-          .filter(note => note !== '');
-        if (parsedSequence.length > 0) {
-          const currentNote = parsedSequence[playIndexRef.current % parsedSequence.length];
-          const mappedNote = noteMapping[currentNote];
-          if (mappedNote) {
-            playSound(instrumentType, mappedNote, volume, noteDuration);
-          } else if (currentNote === '-') {
-            // Silence, do nothing
-          } else {
-            console.warn(`Nota no reconocida o inválida: ${currentNote}`);
-          }
-        }
-      });
-      const maxLength = parsedTracks.reduce((max, def) => {
-        const { noteSequence } = parseSingleTrackDefinition(def);
-        const sequenceLength = noteSequence.toLowerCase().split(/[\s,]+/).filter(s => s !== '').length;
-        return Math.max(max, sequenceLength);
-      }, gridLength);
-      playIndexRef.current = (playIndexRef.current + 1) % maxLength;
-    }, intervalTime);
+    const setDelayTime = (value) => setDelayTempo(mixGraphRef.current, value);
+    setDelayTime(tempo);
+    // Los clips tienen sus canales detrás de los de las pistas.
+    channelsRef.current = createChannels(mixGraphRef.current, [...tracks, ...songClips], tracks.map(track => getTrackChain(songEffects, track)));
+    transportRef.current = createTransport({
+      context: audioContextRef.current,
+      tracks,
+      arrangement: songArrangement,
+      bpm: tempo,
+      onEvent: (track, event, time, stepSeconds, trackIndex) => {
+        playEvent(track.instrument, event, track.volume, stepSeconds, channelsRef.current[trackIndex].input, time);
+      },
+      onSchedule: (step, time, stepSeconds) => {
+        songClips.forEach((clip, i) => {
+          if (clip.start !== step) return;
+          const input = channelsRef.current[tracks.length + i].input;
+          const source = scheduleClip(audioContextRef.current, clip, input, time, stepSeconds, songArrangement.length - step);
+          if (!source) return;
+          clipSourcesRef.current.push(source);
+          source.onended = () => {
+            clipSourcesRef.current = clipSourcesRef.current.filter(other => other !== source);
+          };
+        });
+      },
+      onStep: (step) => {
+        playIndexRef.current = step;
+        onStep(step);
+      },
+      onBpmChange: setDelayTime,
+      onEnd: stopPlayback,
+    });
+    transportRef.current.start();
+  };
+
+  /**
+   * Inicia la reproducción del secuenciador en un bucle.
+   */
+  const startPlayback = () => {
+    playSong({ tracks: parsedSong.tracks, clips: preparedClips, arrangement, bpm, effects, onStep: setCurrentStep });
+  };
+
+  /**
+   * Escucha unos datos de proyecto (una versión guardada o una propuesta de la IA)
+   * sin cargarlos en el editor. Se analizan con los instrumentos actuales; el cursor
+   * de la cuadrícula no se mueve. `id` identifica lo que suena para poder detenerlo.
+   */
+  const auditionSong = (id, data) => {
+    const { trackDefinitions: definitions, effects: songEffects } = upgradeEffectsState(data.trackDefinitions || '', data.effects);
+    const song = parseTrackDefinitions(definitions, parserOptions);
+    playSong({
+      tracks: song.tracks,
+      arrangement: buildArrangement(song, gridLength),
+      bpm: data.bpm || 120,
+      effects: songEffects,
+      onStep: () => {},
+    });
+    setAuditioningId(id);
   };
 
   /**
    * Detiene la reproducción.
    */
-  const stopPlayback = () => {
-    clearInterval(playLoopRef.current);
-    playLoopRef.current = null;
+  const stopPlayback = useCallback(() => {
+    if (transportRef.current) {
+      transportRef.current.stop();
+      transportRef.current = null;
+    }
+    clipSourcesRef.current.forEach(source => source.stop());
+    clipSourcesRef.current = [];
+    // Los canales se desconectan después de que se apaguen las notas ya programadas.
+    const channels = channelsRef.current;
+    channelsRef.current = [];
+    setTimeout(() => channels.forEach(disposeChannel), 1000);
     playIndexRef.current = 0;
+    setCurrentStep(null);
     setIsPlaying(false);
+    setAuditioningId(null);
+  }, []);
+
+  /**
+   * Los cambios de BPM durante la reproducción se aplican en el compás siguiente
+   * sin reiniciar el transporte.
+   */
+  useEffect(() => {
+    if (transportRef.current) {
+      transportRef.current.setBpm(bpm);
+    }
+  }, [bpm]);
+
+  /**
+   * Los cambios de panorama, envío y mute/solo se oyen al momento, sin reiniciar.
+   */
+  useEffect(() => {
+    const channels = channelsRef.current;
+    const mixTracks = [...parsedSong.tracks, ...clips];
+    if (channels.length === mixTracks.length) {
+      channels.forEach((channel, i) => applyChannelSettings(channel, mixTracks[i], mixTracks));
+    }
+  }, [parsedSong, clips]);
+
+  useEffect(() => {
+    if (mixGraphRef.current) {
+      applyMasterSettings(mixGraphRef.current, masterSettings);
+    }
+  }, [masterSettings]);
+
+  /**
+   * Las cadenas de efectos se reconstruyen al editarlas, también durante la reproducción.
+   * Las de las pistas, además, al cambiar su `fx=`; las que no cambian se conservan.
+   */
+  useEffect(() => {
+    if (mixGraphRef.current) {
+      setMasterEffects(mixGraphRef.current, effects.master);
+    }
+  }, [effects.master]);
+
+  useEffect(() => {
+    channelsRef.current
+      .slice(0, parsedSong.tracks.length)
+      .forEach((channel, i) => setChannelEffects(channel, getTrackChain(effects, parsedSong.tracks[i])));
+  }, [effects, parsedSong]);
+
+  /**
+   * Cambia una opción de mezcla de una pista reescribiendo su definición.
+   */
+  const updateTrackOption = (trackIndex, key, value) => {
+    const track = parsedSong.tracks[trackIndex];
+    if (track && !isReadOnly) {
+      setTrackDefinitions(setTrackOption(trackDefinitions, track, key, value));
+    }
+  };
+
+  /**
+   * Escribe una nota (o un silencio) en un paso de la cuadrícula reescribiendo sólo ese
+   * fragmento de la definición de la pista.
+   */
+  const updateStep = (trackIndex, step, value) => {
+    const track = parsedSong.tracks[trackIndex];
+    const updated = track && setStepAt(trackDefinitions, track, step, value);
+    if (updated !== null && updated !== undefined && !isReadOnly) {
+      setTrackDefinitions(updated);
+    }
+  };
+
+  /**
+   * Reescribe los pasos de una pista con las notas editadas en el piano roll, sin
+   * acortar la pista.
+   */
+  const updateTrackNotes = (trackIndex, notes) => {
+    const track = parsedSong.tracks[trackIndex];
+    const updated = track && setTrackSteps(trackDefinitions, track, serializeNotes(notes, Math.ceil(track.length)));
+    if (updated !== null && updated !== undefined && !isReadOnly) {
+      setTrackDefinitions(updated);
+    }
+  };
+
+  // Detiene el transporte al desmontar el componente.
+  useEffect(() => () => {
+    if (transportRef.current) {
+      transportRef.current.stop();
+    }
+  }, []);
+
+  // --- Generación con IA
+  useEffect(() => {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(aiSettings));
+  }, [aiSettings]);
+
+  const reportAttempt = (attempt) => {
+    if (attempt > 1) {
+      setStatusMessage(`Corrigiendo la respuesta de la IA (intento ${attempt} de ${DEFAULT_MAX_ATTEMPTS})...`);
+    }
+  };
+
+  /**
+   * Ejecuta una petición a la IA que produce candidatas con `generate(provider)` y las
+   * deja como propuesta para revisarlas antes de aplicarlas.
+   */
+  const requestAiProposal = async (message, generate) => {
+    setStatusMessage(message);
+    setError(null);
+    setAiProposal(null);
+    setIsGenerating(true);
+    stopPlayback();
+    try {
+      const proposal = await generate(createAiProvider(aiSettings, aiApiKey || undefined));
+      setAiProposal({ ...proposal, baseDefinitions: trackDefinitions });
+      setStatusMessage(proposal.candidates.every(candidate => candidate.isValid)
+        ? 'Propuesta de la IA lista. Revísala antes de aplicarla.'
+        : 'La IA no corrigió todos los errores; revisa la propuesta.');
+    } catch (e) {
+      console.error(e);
+      setStatusMessage('');
+      setError(`Ocurrió un error: ${e.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  /**
+   * Pide pistas nuevas para toda la canción a partir del prompt, que se pueden
+   * aplicar sustituyendo la canción o añadiéndolas a las actuales.
+   */
+  const generateMusic = () => requestAiProposal('Generando música con IA...', async (provider) => {
+    const result = await generateTrackDefinitions({
+      provider,
+      prompt,
+      currentDefinitions: trackDefinitions,
+      parserOptions,
+      onAttempt: reportAttempt,
+    });
+    return {
+      title: `"${prompt}"`,
+      options: [{ key: 'replace', label: 'Reemplazar la canción' }, { key: 'append', label: 'Añadir como pistas nuevas' }],
+      candidates: [{
+        ...result,
+        results: { replace: result.definitions, append: appendTrackDefinitions(trackDefinitions, result.definitions) },
+      }],
+    };
+  });
+
+  /**
+   * Aplica una acción de IA (`TRACK_ACTIONS`) a una sola pista, con el resto de la
+   * canción como contexto. Las variaciones se piden una a una para escucharlas por
+   * separado; cada resultado puede sustituir la pista o insertarse tras ella.
+   */
+  const runTrackAction = ({ action, trackIndex, bars, count }) => {
+    const track = parsedSong.tracks[trackIndex];
+    if (!track || isReadOnly) return;
+    const { label, mode } = TRACK_ACTIONS[action];
+    const total = action === 'variations' ? count : 1;
+    const options = [{ key: 'replace', label: 'Reemplazar la pista' }, { key: 'insert', label: 'Insertar como pista nueva' }];
+    const trackText = getTrackText(trackDefinitions, track);
+
+    return requestAiProposal(`${label} con IA...`, async (provider) => {
+      const candidates = [];
+      for (let variation = 1; variation <= total; variation++) {
+        if (total > 1) {
+          setStatusMessage(`Generando la variación ${variation} de ${total}...`);
+        }
+        const result = await generateTrackDefinitions({
+          provider,
+          prompt: buildTrackActionPrompt({ action, trackText, trackLength: track.length, bars, variation, count: total }),
+          currentDefinitions: trackDefinitions,
+          parserOptions,
+          validate: getTrackActionValidator(action, parserOptions, { track, bars }),
+          onAttempt: reportAttempt,
+        });
+        candidates.push({
+          ...result,
+          results: {
+            replace: replaceTrackText(trackDefinitions, track, result.definitions),
+            insert: insertTrackAfter(trackDefinitions, track, result.definitions),
+          },
+        });
+      }
+      return {
+        title: `${label}: ${getTrackLabel(track, trackIndex)}`,
+        options: mode === 'insert' ? [...options].reverse() : options,
+        candidates,
+      };
+    });
+  };
+
+  /**
+   * Aplica una candidata de la propuesta de la IA y guarda el estado anterior para
+   * poder deshacerlo.
+   */
+  const applyAiProposal = (index, option) => {
+    if (!aiProposal || isReadOnly) return;
+    if (trackDefinitions !== aiProposal.baseDefinitions
+      && !window.confirm('Las pistas han cambiado desde que se generó la propuesta. ¿Aplicarla igualmente? Se perderán esos cambios.')) {
+      return;
+    }
+    const next = aiProposal.candidates[index].results[option.key];
+    const label = `${aiProposal.title} (${option.label.toLowerCase()})`;
+    stopPlayback();
+    setAiUndoStack(stack => [...stack.slice(-(MAX_AI_UNDO - 1)), { label, before: trackDefinitions, after: next }]);
+    setTrackDefinitions(next);
+    setAiProposal(null);
+    setStatusMessage(`Aplicado: ${label}.`);
+  };
+
+  /**
+   * Deshace el último cambio aplicado desde la IA. Si después se editaron las pistas,
+   * pide confirmación porque esas ediciones se pierden.
+   */
+  const undoAiChange = () => {
+    const last = aiUndoStack[aiUndoStack.length - 1];
+    if (!last || isReadOnly) return;
+    if (trackDefinitions !== last.after
+      && !window.confirm('Has editado las pistas después de aplicar la IA. ¿Deshacer igualmente? Se perderán esas ediciones.')) {
+      return;
+    }
+    stopPlayback();
+    setTrackDefinitions(last.before);
+    setAiUndoStack(stack => stack.slice(0, -1));
+    setStatusMessage(`Deshecho: ${last.label}.`);
+  };
+
+  // --- Proyectos guardados: en Firestore si está configurado y en el navegador si no
+  const refreshProjects = useCallback(async () => {
+    setIsLoadingProjects(true);
+    try {
+      setProjects(await listProjects(projectStore));
+    } catch (e) {
+      console.error(e);
+      setError(`Error al listar los proyectos: ${e.message}`);
+    } finally {
+      setIsLoadingProjects(false);
+    }
+  }, [projectStore]);
+
+  useEffect(() => {
+    refreshProjects();
+  }, [refreshProjects]);
+
+  /**
+   * Cuando Firebase está disponible, los proyectos guardados en el navegador se suben
+   * a Firestore (los que falten o allí sean más antiguos).
+   */
+  useEffect(() => {
+    if (projectStore.kind !== 'firestore') return;
+    syncProjects(localStore, projectStore)
+      .then(copied => {
+        if (copied.length > 0) {
+          setStatusMessage(`Sincronizados con la nube ${copied.length} proyecto(s) locales: ${copied.join(', ')}.`);
+          refreshProjects();
+        }
+      })
+      .catch(e => {
+        console.error(e);
+        setError(`Error al sincronizar los proyectos locales: ${e.message}`);
+      });
+  }, [projectStore, localStore, refreshProjects]);
+
+  const refreshVersions = useCallback(async (id = openProjectId) => {
+    if (!id) {
+      setVersions([]);
+      return;
+    }
+    setIsLoadingVersions(true);
+    try {
+      setVersions(await listVersions(projectStore, id));
+    } catch (e) {
+      console.error(e);
+      setError(`Error al cargar el historial: ${e.message}`);
+    } finally {
+      setIsLoadingVersions(false);
+    }
+  }, [openProjectId, projectStore]);
+
+  useEffect(() => {
+    refreshVersions();
+  }, [refreshVersions]);
+
+  /**
+   * Datos del proyecto abierto tal como se guardan, en un almacén o en un archivo.
+   */
+  const getProjectData = useCallback(() => ({
+    trackDefinitions, bpm, referencePitch, instrumentPatches, mixer: masterSettings, effects,
+    samples: serializedSamples, clips: serializedClips, projectNotes,
+  }), [trackDefinitions, bpm, referencePitch, instrumentPatches, masterSettings, effects, serializedSamples, serializedClips, projectNotes]);
+
+  const saveProject = async () => {
+    if (!isValidProjectId(projectId)) {
+      setStatusMessage('Por favor, ingresa un ID de proyecto válido.');
+      return;
+    }
+    setError(null);
+    try {
+      // Guardar con el ID de otro proyecto existente lo reemplazaría sin avisar.
+      if (projectId !== openProjectId && await projectExists(projectStore, projectId)
+        && !window.confirm(`Ya existe un proyecto con ID "${projectId}". ¿Quieres sobrescribirlo?`)) {
+        return;
+      }
+      setStatusMessage('Guardando proyecto...');
+      await writeProject(projectStore, projectId, getProjectData(), versionMessage.trim());
+      clearDraft().catch(e => console.error(e));
+      setVersionMessage('');
+      setOpenProjectId(projectId);
+      setStatusMessage(projectStore.kind === 'local'
+        ? `Proyecto "${projectId}" guardado en este navegador.`
+        : `Proyecto "${projectId}" guardado con éxito.`);
+      refreshProjects();
+      refreshVersions(projectId);
+    } catch (e) {
+      console.error(e);
+      setStatusMessage('');
+      setError(`Error al guardar el proyecto: ${e.message}`);
+    }
+  };
+
+  /**
+   * Vuelca en el editor los datos de un proyecto o de una versión guardada.
+   */
+  const applyProjectData = useCallback((data) => {
+    const { trackDefinitions: definitions, effects: loadedEffects } = upgradeEffectsState(data.trackDefinitions || '', data.effects);
+    setTrackDefinitions(definitions);
+    setBpm(data.bpm || 120);
+    setReferencePitch(data.referencePitch || DEFAULT_REFERENCE_PITCH);
+    setInstrumentPatches(data.instrumentPatches || '');
+    setMasterSettings(normalizeMasterSettings(data.mixer));
+    setEffects(loadedEffects);
+    deserializeSamples(audioContextRef.current, data.samples).then(({ samples: loaded, failed }) => {
+      setSamples(loaded);
+      if (failed.length > 0) {
+        setError(`No se pudieron decodificar las muestras: ${failed.join(', ')}`);
+      }
+    });
+    deserializeClips(audioContextRef.current, data.clips).then(({ clips: loaded, failed }) => {
+      setClips(loaded);
+      if (failed.length > 0) {
+        setError(`No se pudieron decodificar los clips: ${failed.join(', ')}`);
+      }
+    });
+    setProjectNotes(data.projectNotes || '');
+    setAiProposal(null);
+    setAiUndoStack([]);
+  }, []);
+
+  const loadProject = async (id = projectId) => {
+    if (!isValidProjectId(id)) {
+      setStatusMessage('Por favor, ingresa un ID de proyecto válido.');
+      return;
+    }
+    setStatusMessage('Cargando proyecto...');
+    setError(null);
+    try {
+      const data = await readProject(projectStore, id);
+      if (!data) {
+        setStatusMessage('');
+        setError(`El proyecto con ID "${id}" no existe.`);
+        return;
+      }
+      setProjectId(id);
+      setOpenProjectId(id);
+      leaveSharedProject();
+      applyProjectData(data);
+      setStatusMessage(`Proyecto "${id}" cargado con éxito.`);
+    } catch (e) {
+      console.error(e);
+      setStatusMessage('');
+      setError(`Error al cargar el proyecto: ${e.message}`);
+    }
+  };
+
+  /**
+   * Restaura una versión en el editor. No se guarda hasta que el usuario lo pida, y
+   * ese guardado queda como una versión nueva: el historial nunca se reescribe.
+   */
+  const restoreVersion = async (version) => {
+    stopPlayback();
+    setError(null);
+    try {
+      const { data, missing } = await restoreVersionAudio(projectStore, openProjectId, version.data);
+      applyProjectData(data);
+      setVersionMessage(`Restaurada la versión del ${new Date(version.savedAt).toLocaleString('es-ES')}`);
+      setStatusMessage(missing.length > 0
+        ? `Versión restaurada sin ${missing.join(', ')}: su audio no está en el historial. Guarda el proyecto para conservarla.`
+        : 'Versión restaurada. Guarda el proyecto para conservarla.');
+    } catch (e) {
+      console.error(e);
+      setError(`Error al recuperar el audio de la versión: ${e.message}`);
+    }
+  };
+
+  const downloadProjectFile = () => {
+    downloadBlob(createProjectFile(getProjectData()), `${projectId || 'proyecto'}.json`);
+  };
+
+  const handleProjectFileUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      const data = parseProjectFile(await file.text());
+      stopPlayback();
+      applyProjectData(data);
+      leaveSharedProject();
+      setOpenProjectId(null);
+      setProjectId(file.name.replace(/\.json$/i, ''));
+      setStatusMessage(`Proyecto ${file.name} abierto. Guárdalo para añadirlo a tus proyectos.`);
+    } catch (e) {
+      console.error(e);
+      setStatusMessage('');
+      setError(`Error al abrir el archivo de proyecto: ${e.message}`);
+    }
+  };
+
+  /**
+   * Borrador: el estado del editor se guarda en el navegador poco después de cada
+   * cambio. Al arrancar, si hay un borrador se ofrece recuperarlo, y no se autoguarda
+   * hasta que el usuario decida para no sobrescribirlo.
+   */
+  useEffect(() => {
+    if (hasShareFragment(window.location.hash)) {
+      setIsDraftChecked(true);
+      return;
+    }
+    loadDraft()
+      .then(draft => {
+        setDraftOffer(draft);
+        setIsDraftChecked(true);
+      })
+      .catch(e => {
+        console.error(e);
+        setIsDraftChecked(true);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!isDraftChecked || draftOffer || isReadOnly) return undefined;
+    const timer = setTimeout(() => {
+      saveDraft(projectId, getProjectData()).catch(e => console.error(e));
+    }, DRAFT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isDraftChecked, draftOffer, isReadOnly, projectId, getProjectData]);
+
+  const restoreDraft = () => {
+    stopPlayback();
+    applyProjectData(draftOffer.data);
+    setProjectId(draftOffer.projectId || '');
+    setDraftOffer(null);
+    setStatusMessage('Borrador recuperado.');
+  };
+
+  // --- Enlaces compartidos
+  /**
+   * Abre en sólo lectura el proyecto del fragmento de la URL, al cargar la página y
+   * cada vez que cambia el fragmento.
+   */
+  useEffect(() => {
+    const openSharedLink = async () => {
+      try {
+        const project = await decodeShareFragment(window.location.hash);
+        if (!project) return;
+        stopPlayback();
+        applyProjectData(project);
+        setSharedProject(project);
+        setOpenProjectId(null);
+        setProjectId('');
+        setStatusMessage('Proyecto compartido abierto en sólo lectura.');
+      } catch (e) {
+        console.error(e);
+        setError(e.message);
+      }
+    };
+    openSharedLink();
+    window.addEventListener('hashchange', openSharedLink);
+    return () => window.removeEventListener('hashchange', openSharedLink);
+  }, [stopPlayback, applyProjectData]);
+
+  /**
+   * Deja la vista de sólo lectura y quita el proyecto compartido de la URL.
+   */
+  const leaveSharedProject = () => {
+    setSharedProject(null);
+    if (hasShareFragment(window.location.hash)) {
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, '', `${pathname}${search}`);
+    }
+  };
+
+  const shareProject = async () => {
+    setError(null);
+    try {
+      const url = await buildShareUrl({ trackDefinitions, bpm, projectNotes });
+      setShareUrl(url);
+      const warning = url.length > LONG_URL_LENGTH
+        ? ` El enlace es muy largo (${url.length} caracteres) y algunos servicios podrían recortarlo.`
+        : '';
+      try {
+        await navigator.clipboard.writeText(url);
+        setStatusMessage(`Enlace copiado al portapapeles.${warning}`);
+      } catch (e) {
+        setStatusMessage(`Copia el enlace para compartir el proyecto.${warning}`);
+      }
+    } catch (e) {
+      console.error(e);
+      setError(`Error al crear el enlace: ${e.message}`);
+    }
   };
 
   /**
-   * Llama a la API de Gemini para generar una nueva secuencia musical para la pista activa.
+   * Guarda el proyecto compartido como proyecto propio y permite editarlo.
    */
-  const generateMusic = async () => {
-    setStatusMessage('Generando música con IA...');
+  const forkSharedProject = async () => {
+    const id = forkId.trim();
+    if (!isValidProjectId(id)) {
+      setError('Por favor, ingresa un ID de proyecto válido para la copia.');
+      return;
+    }
     setError(null);
-    stopPlayback();
     try {
-      const userPrompt = `${prompt}. Responde con una sola línea de texto que contenga todas las pistas. Cada pista debe tener el formato 'v=[volumen 0-10] [instrumento]=[notas separadas por comas]' y estar separada de las demás por una coma. Por ejemplo: v=8 [synth=sol,sol,mi,fa],v=6 [piano=C4,D4,E4],v=10 [drums=kick,snare]`;
-      const chatHistory = [{ role: "user", parts: [{ text: userPrompt }] }];
-      const payload = {
-        contents: chatHistory,
-      };
-      const apiKey = typeof __api_key !== 'undefined' ? __api_key : "";
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Error en la API: ${response.statusText} (${response.status}) - ${JSON.stringify(errorData)}`);
-      }
-      const result = await response.json();
-      const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!text) {
-        throw new Error('La respuesta de la IA está vacía o es inválida.');
+      if (await projectExists(projectStore, id)
+        && !window.confirm(`Ya existe un proyecto con ID "${id}". ¿Quieres sobrescribirlo?`)) {
+        return;
       }
-      setTrackDefinitions(text.trim());
-      setStatusMessage('¡Música generada con éxito!');
+      await writeProject(projectStore, id, getProjectData(), 'Copia de un enlace compartido');
+      leaveSharedProject();
+      setForkId('');
+      setProjectId(id);
+      setOpenProjectId(id);
+      setStatusMessage(`Proyecto compartido guardado como "${id}".`);
+      refreshProjects();
     } catch (e) {
       console.error(e);
-      setStatusMessage('');
-      setError(`Ocurrió un error: ${e.message}`);
+      setError(`Error al guardar la copia: ${e.message}`);
     }
   };
 
-  // --- Funciones de Firestore
-  const saveProject = async () => {
-    if (!isAuthReady || !userId || !projectId) {
-      setStatusMessage('Por favor, ingresa un ID de proyecto válido.');
-      return;
-    }
-    setStatusMessage('Guardando proyecto...');
+  const closeSharedProject = () => {
+    leaveSharedProject();
+    setStatusMessage('Puedes editar el proyecto compartido; guárdalo para conservarlo.');
+  };
+
+  const renameSavedProject = async (id, newId) => {
     setError(null);
     try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const docRef = doc(db, `artifacts/${appId}/users/${userId}/projects/${projectId}`);
-      await setDoc(docRef, { trackDefinitions, bpm, projectNotes });
-      setStatusMessage(`Proyecto "${projectId}" guardado con éxito.`);
+      await renameProject(projectStore, id, newId);
+      if (openProjectId === id) {
+        setOpenProjectId(newId);
+        setProjectId(newId);
+      }
+      setStatusMessage(`Proyecto "${id}" renombrado a "${newId}".`);
     } catch (e) {
       console.error(e);
-      setStatusMessage('');
-      setError(`Error al guardar el proyecto: ${e.message}`);
+      setError(`Error al renombrar el proyecto: ${e.message}`);
     }
+    refreshProjects();
   };
 
-  const loadProject = async () => {
-    if (!isAuthReady || !userId || !projectId) {
-      setStatusMessage('Por favor, ingresa un ID de proyecto válido.');
-      return;
+  const duplicateSavedProject = async (id, newId) => {
+    setError(null);
+    try {
+      await duplicateProject(projectStore, id, newId);
+      setStatusMessage(`Proyecto "${id}" duplicado como "${newId}".`);
+    } catch (e) {
+      console.error(e);
+      setError(`Error al duplicar el proyecto: ${e.message}`);
     }
-    setStatusMessage('Cargando proyecto...');
+    refreshProjects();
+  };
+
+  const deleteSavedProject = async (id) => {
+    if (!window.confirm(`¿Borrar el proyecto "${id}"? Esta acción no se puede deshacer.`)) return;
     setError(null);
     try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const docRef = doc(db, `artifacts/${appId}/users/${userId}/projects/${projectId}`);
-      onSnapshot(docRef, (docSnap) => {
-        if (docSnap.exists()) {
-          const data = docSnap.data();
-          setTrackDefinitions(data.trackDefinitions || '');
-          setBpm(data.bpm || 120);
-          setProjectNotes(data.projectNotes || '');
-          setStatusMessage(`Proyecto "${projectId}" cargado con éxito.`);
-        } else {
-          setStatusMessage('');
-          setError(`El proyecto con ID "${projectId}" no existe.`);
-        }
-      });
+      await deleteProject(projectStore, id);
+      if (openProjectId === id) {
+        setOpenProjectId(null);
+      }
+      setStatusMessage(`Proyecto "${id}" borrado.`);
     } catch (e) {
       console.error(e);
-      setStatusMessage('');
-      setError(`Error al cargar el proyecto: ${e.message}`);
+      setError(`Error al borrar el proyecto: ${e.message}`);
     }
+    refreshProjects();
   };
 
   // --- Funciones para exportar a .WAV
   const exportToWAV = async () => {
     setIsExporting(true);
+    setExportProgress(0);
     setStatusMessage('Exportando a WAV...');
     stopPlayback();
     try {
-      const parsedTracks = parseAllTrackDefinitions(trackDefinitions);
-      if (parsedTracks.length === 0) {
+      const { tracks } = parsedSong;
+      if (tracks.length === 0 || arrangement.length === 0) {
         throw new Error('No hay pistas para exportar.');
       }
-      const maxLength = parsedTracks.reduce((max, def) => {
-        const { noteSequence } = parseSingleTrackDefinition(def);
-        const sequenceLength = noteSequence.toLowerCase().split(/[\s,]+/).filter(s => s !== '').length;
-        return Math.max(max, sequenceLength);
-      }, gridLength);
-      const duration = (60 / bpm * maxLength);
-      const offlineContext = new OfflineAudioContext(2, audioContextRef.current.sampleRate * duration, audioContextRef.current.sampleRate);
-      parsedTracks.forEach(trackDef => {
-        const { volume, instrumentType, noteSequence } = parseSingleTrackDefinition(trackDef);
-        const parsedSequence = noteSequence
-          .toLowerCase()
-          .split(/[\s,]+/)
-          .map(note => note.trim())
-          .filter(note => note !== '');
-        const noteDuration = (60 / bpm / 4) * 0.9;
-        if (parsedSequence.length > 0) {
-            parsedSequence.forEach((val, index) => {
-                const mappedNote = noteMapping[val];
-                if (mappedNote) {
-                    const time = (60 / bpm / 4) * index;
-                    playSound(instrumentType, mappedNote, volume, noteDuration, offlineContext, time);
-                }
-            });
-        }
-      });
-      offlineContext.startRendering().then(buffer => {
-        const wavBlob = audioBufferToWav(buffer);
-        const url = URL.createObjectURL(wavBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${projectId || 'music_gemini_export'}.wav`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        setStatusMessage('Archivo .WAV exportado con éxito.');
-        setIsExporting(false);
+      if (!stretcherRef.current) stretcherRef.current = createStretcher();
+      await Promise.all(clips.map(clip => stretchClip(audioContextRef.current, clip, bpm, stretcherRef.current.stretch)));
+      const buffer = await renderSong({
+        tracks,
+        clips: clips.map(clip => prepareClip(clip, bpm)),
+        arrangement,
+        bpm,
+        sampleRate: audioContextRef.current.sampleRate,
+        masterSettings,
+        effects,
+        loopCount: exportLoops,
+        tailSeconds: exportTail,
+        onEvent: (output, track, event, time, stepSeconds) => {
+          playEvent(track.instrument, event, track.volume, stepSeconds, output, time);
+        },
+        onProgress: setExportProgress,
       });
+      downloadBlob(audioBufferToWav(buffer), `${projectId || 'music_gemini_export'}.wav`);
+      setStatusMessage('Archivo .WAV exportado con éxito.');
     } catch (e) {
       console.error(e);
       setStatusMessage('');
       setError(`Error al exportar: ${e.message}`);
+    } finally {
       setIsExporting(false);
     }
   };
 
-  // Función auxiliar para convertir AudioBuffer a WAV
-  const audioBufferToWav = (buffer) => {
-      const numChannels = buffer.numberOfChannels;
-      const sampleRate = buffer.sampleRate;
-      const bufferLength = buffer.length;
-      let interleaved = new Float32Array(bufferLength * numChannels);
-      let offset = 0;
-      for (let i = 0; i < bufferLength; i++) {
-          for (let channel = 0; channel < numChannels; channel++) {
-              interleaved[offset++] = buffer.getChannelData(channel)[i];
-          }
+  /**
+   * Exporta las pistas como archivo MIDI de tipo 1, siguiendo el arreglo una vez.
+   */
+  const exportToMidi = () => {
+    setError(null);
+    const { tracks } = parsedSong;
+    if (tracks.length === 0 || arrangement.length === 0) {
+      setError('No hay pistas para exportar.');
+      return;
+    }
+    const bytes = exportMidi({ tracks, arrangement, bpm, drumInstruments: parserOptions.drumInstruments });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `${projectId || 'music_gemini_export'}.mid`);
+    setStatusMessage('Archivo .MID exportado con éxito.');
+  };
+
+  /**
+   * Exporta las pistas melódicas como partitura ABC o MusicXML.
+   */
+  const exportScore = (format) => {
+    setError(null);
+    try {
+      const options = {
+        tracks: parsedSong.tracks,
+        arrangement,
+        bpm,
+        drumInstruments: parserOptions.drumInstruments,
+        title: projectId || 'Sin título',
+      };
+      const fileName = projectId || 'music_gemini_export';
+      if (format === 'abc') {
+        downloadBlob(new Blob([exportAbc(options)], { type: 'text/vnd.abc' }), `${fileName}.abc`);
+      } else {
+        downloadBlob(new Blob([exportMusicXml(options)], { type: 'application/vnd.recordare.musicxml+xml' }), `${fileName}.musicxml`);
+      }
+      setStatusMessage(`Partitura ${format === 'abc' ? 'ABC' : 'MusicXML'} exportada con éxito.`);
+    } catch (e) {
+      console.error(e);
+      setError(`Error al exportar la partitura: ${e.message}`);
+    }
+  };
+
+  /**
+   * Sustituye las definiciones de pista (y el tempo) por las de un archivo MIDI, ABC o
+   * MusicXML, según su extensión. Las melodías de partitura usan `scoreInstrument`.
+   */
+  const handleScoreFileUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || isReadOnly) return;
+    setError(null);
+    try {
+      const extension = file.name.split('.').pop().toLowerCase();
+      let result;
+      if (extension === 'mid' || extension === 'midi') {
+        result = importMidi(await file.arrayBuffer());
+      } else if (extension === 'abc') {
+        result = importAbc(await file.text(), scoreInstrument);
+      } else if (extension === 'xml' || extension === 'musicxml') {
+        result = importMusicXml(await file.text(), scoreInstrument);
+      } else {
+        throw new Error('Formato no compatible (usa .mid, .abc o .musicxml; los .mxl comprimidos no se admiten).');
       }
-      let dataView = new DataView(new ArrayBuffer(44 + interleaved.length * 2));
-      let pos = 0;
-      dataView.setUint32(pos, 0x46464952, true); pos += 4;
-      dataView.setUint32(pos, 36 + interleaved.length * 2, true); pos += 4;
-      dataView.setUint32(pos, 0x45564157, true); pos += 4;
-      dataView.setUint32(pos, 0x20746d66, true); pos += 4;
-      dataView.setUint32(pos, 16, true); pos += 4;
-      dataView.setUint16(pos, 1, true); pos += 2;
-      dataView.setUint16(pos, numChannels, true); pos += 2;
-      dataView.setUint32(pos, sampleRate, true); pos += 4;
-      dataView.setUint32(pos, sampleRate * numChannels * 2, true); pos += 4;
-      dataView.setUint16(pos, numChannels * 2, true); pos += 2;
-      dataView.setUint16(pos, 16, true); pos += 2;
-      dataView.setUint32(pos, 0x61746164, true); pos += 4;
-      dataView.setUint32(pos, interleaved.length * 2, true); pos += 4;
-      for (let i = 0; i < interleaved.length; i++) {
-          let s = Math.max(-1, Math.min(1, interleaved[i]));
-          dataView.setInt16(pos, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-          pos += 2;
+      stopPlayback();
+      setTrackDefinitions(result.definitions);
+      if (result.bpm) {
+        setBpm(result.bpm);
       }
-      return new Blob([dataView], { type: 'audio/wav' });
+      setStatusMessage([`Archivo ${file.name} importado.`, ...result.warnings].join(' '));
+    } catch (e) {
+      console.error(e);
+      setStatusMessage('');
+      setError(`Error al importar: ${e.message}`);
+    }
   };
 
   // --- Funciones del editor de audio
@@ -571,8 +1228,13 @@ const App = () => {
     try {
       const arrayBuffer = await file.arrayBuffer();
       const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
+      stopEditorAudio();
       setLoadedAudioBuffer(audioBuffer);
+      setTrimStart(0);
       setTrimEnd(audioBuffer.duration);
+      setEditorCursor(0);
+      setAudioUndoStack([]);
+      setAudioFileKey(key => key + 1);
       setStatusMessage('Audio cargado con éxito.');
     } catch (e) {
       console.error(e);
@@ -581,20 +1243,275 @@ const App = () => {
     }
   };
 
-  const playTrimmedAudio = () => {
-    if (!loadedAudioBuffer || !audioContextRef.current) return;
+  /**
+   * Reproduce la región [start, end) del audio cargado desde `from` (o desde el inicio
+   * si `from` cae fuera), en bucle si `loop`.
+   */
+  const playEditorAudio = ({ from = editorCursor, start = trimStart, end = trimEnd, loop = loopRegion } = {}) => {
+    if (!loadedAudioBuffer || !audioContextRef.current || end <= start) return;
     stopPlayback();
-    if (audioContextRef.current.state === 'suspended') {
-      audioContextRef.current.resume();
+    stopEditorAudio();
+    const context = audioContextRef.current;
+    if (context.state === 'suspended') {
+      context.resume();
     }
-    const source = audioContextRef.current.createBufferSource();
+    const offset = from >= start && from < end ? from : start;
+    const source = context.createBufferSource();
     source.buffer = loadedAudioBuffer;
-    const startOffset = trimStart;
-    const duration = trimEnd - trimStart;
-    const gainNode = audioContextRef.current.createGain();
-    gainNode.connect(audioContextRef.current.destination);
+    source.loop = loop;
+    source.loopStart = start;
+    source.loopEnd = end;
+    const gainNode = context.createGain();
+    gainNode.connect(context.destination);
     source.connect(gainNode);
-    source.start(0, startOffset, duration);
+    source.onended = () => {
+      if (editorPlaybackRef.current && editorPlaybackRef.current.source === source) {
+        editorPlaybackRef.current = null;
+        setIsEditorPlaying(false);
+      }
+    };
+    if (loop) {
+      source.start(0, offset);
+    } else {
+      source.start(0, offset, end - offset);
+    }
+    editorPlaybackRef.current = { source, startedAt: context.currentTime, offset, start, end, loop };
+    setIsEditorPlaying(true);
+  };
+
+  const stopEditorAudio = () => {
+    const playback = editorPlaybackRef.current;
+    if (!playback) return;
+    editorPlaybackRef.current = null;
+    playback.source.onended = null;
+    playback.source.stop();
+    setIsEditorPlaying(false);
+  };
+
+  /**
+   * Posición, en segundos, de lo que suena en el editor de audio, o `null`.
+   */
+  const getEditorPlayhead = () => {
+    const playback = editorPlaybackRef.current;
+    if (!playback) return null;
+    const position = playback.offset + audioContextRef.current.currentTime - playback.startedAt;
+    if (playback.loop && position >= playback.end) {
+      return playback.start + (position - playback.end) % (playback.end - playback.start);
+    }
+    return Math.min(position, playback.end);
+  };
+
+  // Mover el cursor durante la reproducción la reanuda desde la nueva posición.
+  const seekEditorAudio = (time) => {
+    setEditorCursor(time);
+    if (editorPlaybackRef.current) {
+      playEditorAudio({ from: time });
+    }
+  };
+
+  /**
+   * Cambia la región recortada manteniendo el inicio antes del fin y dentro del audio.
+   */
+  const setTrimRegion = (start, end) => {
+    if (!loadedAudioBuffer) return;
+    const duration = loadedAudioBuffer.duration;
+    const nextStart = Math.min(Math.max(0, start), duration);
+    const nextEnd = Math.min(Math.max(nextStart, end), duration);
+    setTrimStart(nextStart);
+    setTrimEnd(nextEnd);
+    if (editorPlaybackRef.current) {
+      playEditorAudio({ start: nextStart, end: nextEnd });
+    }
+  };
+
+  /**
+   * Aplica una operación destructiva sobre la región seleccionada (ver `audioEdit.js`).
+   * El audio anterior se guarda para deshacer; pegar inserta en el cursor y deja
+   * seleccionado lo pegado.
+   */
+  const applyAudioEdit = async (operation, options = {}) => {
+    const context = audioContextRef.current;
+    if (!loadedAudioBuffer || !context) return;
+    const buffer = loadedAudioBuffer;
+    setError(null);
+    try {
+      let result;
+      let region = { start: trimStart, end: trimEnd };
+      switch (operation) {
+        case 'copy':
+          setAudioClipboard(copyRegion(context, buffer, trimStart, trimEnd));
+          setStatusMessage(`Copiados ${(trimEnd - trimStart).toFixed(2)} s.`);
+          return;
+        case 'cut':
+        case 'delete':
+          result = deleteRegion(context, buffer, trimStart, trimEnd);
+          if (operation === 'cut') {
+            setAudioClipboard(copyRegion(context, buffer, trimStart, trimEnd));
+          }
+          region = { start: 0, end: result.duration };
+          setEditorCursor(trimStart);
+          break;
+        case 'paste': {
+          const clip = audioClipboard.sampleRate === buffer.sampleRate
+            ? audioClipboard
+            : await convertBuffer(audioClipboard, { sampleRate: buffer.sampleRate });
+          result = insertBuffer(context, buffer, clip, editorCursor);
+          region = { start: editorCursor, end: editorCursor + clip.duration };
+          break;
+        }
+        case 'fadeIn':
+        case 'fadeOut':
+          result = fadeRegion(context, buffer, trimStart, trimEnd, operation === 'fadeIn' ? 'in' : 'out', options.shape);
+          break;
+        case 'gain':
+          result = gainRegion(context, buffer, trimStart, trimEnd, options.db);
+          break;
+        case 'normalize':
+          result = normalizeRegion(context, buffer, trimStart, trimEnd, options.db);
+          break;
+        case 'reverse':
+          result = reverseRegion(context, buffer, trimStart, trimEnd);
+          break;
+        case 'silence':
+          result = silenceRegion(context, buffer, trimStart, trimEnd);
+          break;
+        case 'convert':
+          setStatusMessage('Convirtiendo el audio...');
+          result = await convertBuffer(buffer, options);
+          break;
+        default:
+          throw new Error(`Operación desconocida: "${operation}"`);
+      }
+      stopEditorAudio();
+      setAudioUndoStack(stack => [
+        ...stack.slice(-(MAX_AUDIO_UNDO - 1)),
+        { label: AUDIO_EDIT_LABELS[operation], buffer, start: trimStart, end: trimEnd },
+      ]);
+      setLoadedAudioBuffer(result);
+      setTrimStart(Math.min(region.start, result.duration));
+      setTrimEnd(Math.min(region.end, result.duration));
+      setStatusMessage(`${AUDIO_EDIT_LABELS[operation]}: hecho.`);
+    } catch (e) {
+      console.error(e);
+      setStatusMessage('');
+      setError(`Error al editar el audio: ${e.message}`);
+    }
+  };
+
+  const undoAudioEdit = () => {
+    const last = audioUndoStack[audioUndoStack.length - 1];
+    if (!last) return;
+    stopEditorAudio();
+    setLoadedAudioBuffer(last.buffer);
+    setTrimStart(last.start);
+    setTrimEnd(last.end);
+    setAudioUndoStack(stack => stack.slice(0, -1));
+    setStatusMessage(`Deshecho: ${last.label}.`);
+  };
+
+  /**
+   * Descarga como WAV la región seleccionada o todo el audio editado.
+   */
+  const exportAudioClip = (scope) => {
+    if (!loadedAudioBuffer || !audioContextRef.current) return;
+    const buffer = scope === 'region'
+      ? copyRegion(audioContextRef.current, loadedAudioBuffer, trimStart, trimEnd)
+      : loadedAudioBuffer;
+    downloadBlob(audioBufferToWav(buffer), scope === 'region' ? 'recorte.wav' : 'audio_editado.wav');
+  };
+
+  /**
+   * Convierte la región recortada en un instrumento de muestra con nombre: melódico
+   * (transpuesto respecto a la nota raíz) o pad de batería de un solo disparo.
+   */
+  const createSampleFromTrim = () => {
+    if (!loadedAudioBuffer || !audioContextRef.current || isReadOnly) return;
+    setError(null);
+    const name = sampleName.trim().toLowerCase();
+    const isOwnSample = samples.some(sample => sample.name === name);
+    if (!SAMPLE_NAME_PATTERN.test(name)) {
+      setError('El nombre de la muestra debe empezar por una letra y usar sólo minúsculas, números y "_".');
+      return;
+    }
+    if (!isOwnSample && (instrumentRegistry[name] || drumMapping[name] || instrumentRegistry.drums.pads.includes(name))) {
+      setError(`El nombre "${name}" ya está en uso por otro instrumento o sonido.`);
+      return;
+    }
+    if (clips.some(clip => clip.name === name)) {
+      setError(`El nombre "${name}" ya está en uso por un clip.`);
+      return;
+    }
+    const root = parseNoteSpec(sampleRoot);
+    if (sampleMode === 'pitched' && (!root || root.error)) {
+      setError(`Nota raíz no válida: "${sampleRoot}"`);
+      return;
+    }
+    if (trimEnd <= trimStart) {
+      setError('El final del recorte debe ser posterior al inicio.');
+      return;
+    }
+    if (trimEnd - trimStart > MAX_SAMPLE_SECONDS) {
+      setError(`Las muestras están limitadas a ${MAX_SAMPLE_SECONDS} s.`);
+      return;
+    }
+    const buffer = extractRegion(audioContextRef.current, loadedAudioBuffer, trimStart, trimEnd);
+    const sample = { name, mode: sampleMode, root: sampleMode === 'pitched' ? root.midi : null, buffer };
+    const audioSize = getAudioSize([...serializedSamples.filter(s => s.name !== name), ...serializedClips, serializeSample(sample)]);
+    if (audioSize > AUDIO_BUDGET_BYTES) {
+      setError(`No hay sitio para la muestra: el audio del proyecto ocuparía ${formatKilobytes(audioSize)} de ${formatKilobytes(AUDIO_BUDGET_BYTES)}. Acorta el recorte o borra otras muestras o clips.`);
+      return;
+    }
+    setSamples(prev => [...prev.filter(s => s.name !== name), sample]);
+    setStatusMessage(sampleMode === 'pitched'
+      ? `Instrumento "${name}" creado. Úsalo así: [${name}=do,mi,sol]`
+      : `Pad "${name}" creado. Úsalo en la batería: [drums=kick,${name}]`);
+  };
+
+  /**
+   * Añade la región recortada como clip de audio al principio de la canción.
+   */
+  const addClipFromTrim = () => {
+    if (!loadedAudioBuffer || !audioContextRef.current || isReadOnly) return;
+    setError(null);
+    if (trimEnd <= trimStart) {
+      setError('El final del recorte debe ser posterior al inicio.');
+      return;
+    }
+    if (trimEnd - trimStart > MAX_CLIP_SECONDS) {
+      setError(`Los clips están limitados a ${MAX_CLIP_SECONDS} s.`);
+      return;
+    }
+    const buffer = extractRegion(audioContextRef.current, loadedAudioBuffer, trimStart, trimEnd);
+    // El nombre identifica el audio del clip en el mezclador y en las versiones: no
+    // puede repetir el de otro clip ni el de una muestra, aunque se hayan borrado clips.
+    const usedNames = new Set([...clips, ...samples].map(item => item.name));
+    let number = clips.length + 1;
+    while (usedNames.has(`clip${number}`)) number++;
+    const name = `clip${number}`;
+    const clip = createClip({ name, buffer, bpm });
+    const audioSize = getAudioSize([...serializedSamples, ...serializedClips, serializeClip(clip)]);
+    if (audioSize > AUDIO_BUDGET_BYTES) {
+      setError(`No hay sitio para el clip: el audio del proyecto ocuparía ${formatKilobytes(audioSize)} de ${formatKilobytes(AUDIO_BUDGET_BYTES)}. Acorta el recorte o borra otras muestras o clips.`);
+      return;
+    }
+    setClips(prev => [...prev, clip]);
+    setStatusMessage(`Clip "${name}" añadido al arreglo en el compás 1.`);
+  };
+
+  const updateClip = (index, changes) => {
+    if (isReadOnly) return;
+    setClips(prev => prev.map((clip, i) => (i === index ? { ...clip, ...changes } : clip)));
+  };
+
+  const removeClip = (index) => {
+    if (isReadOnly) return;
+    stopPlayback();
+    setClips(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const deleteSample = (name) => {
+    if (isReadOnly) return;
+    setSamples(prev => prev.filter(sample => sample.name !== name));
   };
 
   // Renderiza la interfaz de usuario.
@@ -617,6 +1534,25 @@ const App = () => {
           </p>
         )}
 
+        {sharedProject && (
+          <div className="mb-6 p-4 bg-blue-500/20 text-blue-100 rounded-xl flex flex-wrap items-center gap-3">
+            <span className="flex-1">Estás viendo un proyecto compartido en sólo lectura.</span>
+            <input
+              type="text"
+              value={forkId}
+              onChange={(e) => setForkId(e.target.value)}
+              placeholder="ID para tu copia"
+              className="bg-gray-900 text-white border border-gray-600 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+            />
+            <button onClick={forkSharedProject} className="px-3 py-1 rounded-lg font-bold bg-yellow-600 hover:bg-yellow-700 text-white">
+              Copiar a mis proyectos
+            </button>
+            <button onClick={closeSharedProject} className="px-3 py-1 rounded-lg font-bold bg-gray-700 hover:bg-gray-600 text-white">
+              Editar sin guardar
+            </button>
+          </div>
+        )}
+
         {/* Sección de Definiciones de Pista */}
         <h2 className="text-2xl font-bold text-center text-teal-400 mb-4">Definiciones de Pista (Formato de Cadena Única)</h2>
         <div className="flex flex-col sm:flex-row gap-4 mb-6 items-center">
@@ -624,18 +1560,134 @@ const App = () => {
                 <label className="text-gray-400">BPM:</label>
                 <input
                     type="number"
-                    value={bpm}
-                    onChange={(e) => setBpm(Number(e.target.value))}
+                    min="1"
+                    value={bpmInput === null ? bpm : bpmInput}
+                    readOnly={isReadOnly}
+                    onChange={(e) => {
+                      setBpmInput(e.target.value);
+                      const value = Number(e.target.value);
+                      if (value > 0 && Number.isFinite(value)) setBpm(value);
+                    }}
+                    onBlur={() => setBpmInput(null)}
+                    className="w-20 bg-gray-900 text-white border border-gray-600 rounded-xl px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-teal-400"
+                />
+            </div>
+            <div className="flex items-center gap-2">
+                <label className="text-gray-400">La4 (Hz):</label>
+                <input
+                    type="number"
+                    value={referencePitch}
+                    readOnly={isReadOnly}
+                    onChange={(e) => setReferencePitch(Number(e.target.value))}
                     className="w-20 bg-gray-900 text-white border border-gray-600 rounded-xl px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-teal-400"
                 />
             </div>
         </div>
         <textarea
+            ref={definitionsInputRef}
             value={trackDefinitions}
+            readOnly={isReadOnly}
             onChange={(e) => setTrackDefinitions(e.target.value)}
+            onSelect={(e) => updateFocusedTrack(e.target.selectionStart)}
+            onBlur={() => setFocusedTrack(null)}
             className="w-full h-40 p-4 bg-gray-900 text-white border border-gray-600 rounded-xl placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-teal-400 transition-colors"
             placeholder="Ej: v=8 [synth=sol,sol,mi,fa], v=6 [piano=C4,D4,E4]"
         />
+        {parsedSong.diagnostics.length > 0 && (
+          <ul className="mt-2 p-3 bg-gray-900 rounded-xl text-sm font-mono">
+            {parsedSong.diagnostics.map((d, i) => (
+              <li key={i} className={d.severity === 'error' ? 'text-red-300' : 'text-yellow-300'}>
+                Línea {d.line}, columna {d.column}: {d.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Arreglo */}
+        {(parsedSong.patterns.length > 0 || clips.length > 0) && (
+          <ArrangementTimeline
+              arrangement={arrangement}
+              patterns={parsedSong.patterns}
+              clips={preparedClips}
+              currentStep={currentStep}
+          />
+        )}
+        {clips.length > 0 && (
+          <ClipTracks
+              clips={clips}
+              preparedClips={preparedClips}
+              disabled={isReadOnly}
+              onChange={updateClip}
+              onRemove={removeClip}
+          />
+        )}
+
+        {/* Cuadrícula de pasos */}
+        {parsedSong.tracks.length > 0 && (
+          <StepGrid
+              tracks={parsedSong.tracks}
+              length={getSongLength(parsedSong.tracks, gridLength)}
+              trackSteps={trackSteps}
+              parserOptions={parserOptions}
+              onSetStep={updateStep}
+          />
+        )}
+
+        {/* Piano roll */}
+        <PianoRoll
+            tracks={parsedSong.tracks}
+            parserOptions={parserOptions}
+            trackSteps={trackSteps}
+            onChange={updateTrackNotes}
+        />
+
+        {/* Instrumentos personalizados */}
+        <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+            <summary className="cursor-pointer text-teal-400 font-bold">Instrumentos personalizados (JSON)</summary>
+            <p className="text-gray-400 text-sm mt-2">
+                Cada patch se usa por su nombre en las pistas, p. ej. <code>v=7 [mybass=do2,-,sol2,-]</code>.
+            </p>
+            <textarea
+                value={instrumentPatches}
+                readOnly={isReadOnly}
+                onChange={(e) => setInstrumentPatches(e.target.value)}
+                className="w-full h-40 mt-2 p-4 bg-gray-800 text-white font-mono text-sm border border-gray-600 rounded-xl placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-teal-400 transition-colors"
+                placeholder={EXAMPLE_PATCHES}
+            />
+            {!instrumentPatches.trim() && !isReadOnly && (
+              <button
+                onClick={() => setInstrumentPatches(EXAMPLE_PATCHES)}
+                className="mt-2 px-4 py-2 rounded-xl text-sm font-bold bg-gray-700 hover:bg-gray-600 text-white"
+              >
+                Insertar ejemplo
+              </button>
+            )}
+            {parsedPatches.errors.length > 0 && (
+              <ul className="mt-2 text-sm font-mono text-red-300">
+                {parsedPatches.errors.map((message, i) => <li key={i}>{message}</li>)}
+              </ul>
+            )}
+        </details>
+
+        {/* Mezclador */}
+        <MixerPanel
+            tracks={parsedSong.tracks}
+            clips={clips}
+            masterSettings={masterSettings}
+            onTrackOptionChange={updateTrackOption}
+            onClipChange={updateClip}
+            onMasterSettingsChange={setMasterSettings}
+            disabled={isReadOnly}
+        />
+
+        {/* Efectos */}
+        <EffectsRack
+            tracks={parsedSong.tracks}
+            effects={effects}
+            onChange={setEffects}
+            onTrackChainChange={(trackIndex, id) => updateTrackOption(trackIndex, 'fx', id)}
+            disabled={isReadOnly}
+        />
 
         {/* Controles de reproducción y prompt */}
         <div className="flex flex-col sm:flex-row gap-4 mb-4 mt-8">
@@ -657,14 +1709,54 @@ const App = () => {
             >
               {isPlaying ? 'Detener' : 'Reproducir'}
             </button>
+            {currentStep !== null && (
+              <span className="self-center text-gray-400 font-mono whitespace-nowrap">
+                {Math.floor(currentStep / STEPS_PER_BAR) + 1}.{(currentStep % STEPS_PER_BAR) + 1}
+              </span>
+            )}
             <button
               onClick={generateMusic}
-              className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-blue-600 hover:bg-blue-700 text-white shadow-blue-500/50 transition-all duration-300 ease-in-out transform hover:scale-105"
+              disabled={isReadOnly || isGenerating}
+              className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-blue-600 hover:bg-blue-700 text-white shadow-blue-500/50 transition-all duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Generar con IA
+              {isGenerating ? 'Generando...' : 'Generar con IA'}
             </button>
           </div>
         </div>
+        <AiTrackActions
+          tracks={parsedSong.tracks}
+          focusedTrack={focusedTrack}
+          disabled={isReadOnly}
+          isGenerating={isGenerating}
+          onRun={runTrackAction}
+        />
+        {aiUndoStack.length > 0 && !isReadOnly && (
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-400">
+            <span>Último cambio de la IA: {aiUndoStack[aiUndoStack.length - 1].label}</span>
+            <button onClick={undoAiChange} className="px-3 py-1 rounded-lg font-bold text-white bg-gray-700 hover:bg-gray-600">
+              Deshacer
+            </button>
+          </div>
+        )}
+        {aiProposal && (
+          <AiPreview
+            proposal={aiProposal}
+            currentDefinitions={trackDefinitions}
+            parserOptions={parserOptions}
+            auditioningIndex={typeof auditioningId === 'string' && auditioningId.startsWith(AI_AUDITION_PREFIX)
+              ? Number(auditioningId.slice(AI_AUDITION_PREFIX.length))
+              : null}
+            onAudition={index => auditionSong(`${AI_AUDITION_PREFIX}${index}`, {
+              trackDefinitions: aiProposal.candidates[index].results[aiProposal.options[0].key],
+              bpm,
+              effects,
+            })}
+            onStopAudition={stopPlayback}
+            onApply={applyAiProposal}
+            onDiscard={() => setAiProposal(null)}
+          />
+        )}
+        <AiSettings settings={aiSettings} apiKey={aiApiKey} onChange={setAiSettings} onApiKeyChange={setAiApiKey} />
 
         {/* Editor de Audio */}
         <div className="mt-8">
@@ -679,42 +1771,128 @@ const App = () => {
             {loadedAudioBuffer && (
                 <div className="mt-4 p-4 bg-gray-900 rounded-xl">
                     <p className="text-gray-400 mb-2">Archivo cargado: Duración total: {loadedAudioBuffer.duration.toFixed(2)}s</p>
-                    <div className="flex items-center gap-4">
-                        <label className="text-gray-400">Inicio (s):</label>
-                        <input
-                            type="range"
-                            min="0"
-                            max={loadedAudioBuffer.duration}
-                            step="0.01"
-                            value={trimStart}
-                            onChange={(e) => setTrimStart(parseFloat(e.target.value))}
-                            className="flex-1"
-                        />
-                        <span className="text-white">{trimStart.toFixed(2)}s</span>
+                    <WaveformView
+                        key={audioFileKey}
+                        buffer={loadedAudioBuffer}
+                        start={trimStart}
+                        end={trimEnd}
+                        cursor={editorCursor}
+                        isPlaying={isEditorPlaying}
+                        getPlayhead={getEditorPlayhead}
+                        onRegionChange={setTrimRegion}
+                        onSeek={seekEditorAudio}
+                    />
+                    <div className="mt-4 flex flex-wrap items-center justify-center gap-4">
+                        <label className="text-gray-400">
+                            Inicio (s):{' '}
+                            <input
+                                type="number"
+                                min="0"
+                                max={trimEnd}
+                                step="0.01"
+                                value={Number(trimStart.toFixed(3))}
+                                onChange={(e) => setTrimRegion(parseFloat(e.target.value) || 0, trimEnd)}
+                                className="w-24 bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1"
+                            />
+                        </label>
+                        <label className="text-gray-400">
+                            Fin (s):{' '}
+                            <input
+                                type="number"
+                                min={trimStart}
+                                max={loadedAudioBuffer.duration}
+                                step="0.01"
+                                value={Number(trimEnd.toFixed(3))}
+                                onChange={(e) => setTrimRegion(trimStart, parseFloat(e.target.value) || 0)}
+                                className="w-24 bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1"
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-gray-400">
+                            <input
+                                type="checkbox"
+                                checked={loopRegion}
+                                onChange={(e) => {
+                                    setLoopRegion(e.target.checked);
+                                    if (isEditorPlaying) playEditorAudio({ from: getEditorPlayhead(), loop: e.target.checked });
+                                }}
+                            />
+                            Repetir la región
+                        </label>
+                        <button
+                            onClick={isEditorPlaying ? stopEditorAudio : () => playEditorAudio()}
+                            className={`px-6 py-3 rounded-xl font-bold text-white transition-all duration-300 ease-in-out transform hover:scale-105 ${
+                                isEditorPlaying ? 'bg-red-600 hover:bg-red-700 shadow-red-500/50' : 'bg-pink-600 hover:bg-pink-700 shadow-pink-500/50'
+                            }`}
+                        >
+                            {isEditorPlaying ? 'Detener' : 'Reproducir Recorte'}
+                        </button>
                     </div>
-                    <div className="flex items-center gap-4 mt-2">
-                        <label className="text-gray-400">Fin (s):</label>
+                    <AudioEditTools
+                        buffer={loadedAudioBuffer}
+                        hasClipboard={audioClipboard !== null}
+                        undoLabel={audioUndoStack.length > 0 ? audioUndoStack[audioUndoStack.length - 1].label : null}
+                        onEdit={applyAudioEdit}
+                        onUndo={undoAudioEdit}
+                        onExport={exportAudioClip}
+                    />
+                    <div className="mt-4 flex flex-col sm:flex-row gap-2 items-center">
                         <input
-                            type="range"
-                            min="0"
-                            max={loadedAudioBuffer.duration}
-                            step="0.01"
-                            value={trimEnd}
-                            onChange={(e) => setTrimEnd(parseFloat(e.target.value))}
-                            className="flex-1"
+                            type="text"
+                            value={sampleName}
+                            onChange={(e) => setSampleName(e.target.value)}
+                            className="flex-1 bg-gray-800 text-white border border-gray-600 rounded-xl px-3 py-2 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                            placeholder="Nombre de la muestra (Ej: vox)"
                         />
-                        <span className="text-white">{trimEnd.toFixed(2)}s</span>
-                    </div>
-                    <div className="mt-4 flex justify-center">
+                        <select
+                            value={sampleMode}
+                            onChange={(e) => setSampleMode(e.target.value)}
+                            className="bg-gray-800 text-white border border-gray-600 rounded-xl px-3 py-2"
+                        >
+                            <option value="pitched">Instrumento melódico</option>
+                            <option value="oneshot">Pad de batería</option>
+                        </select>
+                        {sampleMode === 'pitched' && (
+                            <input
+                                type="text"
+                                value={sampleRoot}
+                                onChange={(e) => setSampleRoot(e.target.value)}
+                                className="w-24 bg-gray-800 text-white border border-gray-600 rounded-xl px-3 py-2 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                placeholder="Raíz"
+                                title="Nota raíz de la muestra"
+                            />
+                        )}
+                        <button
+                            onClick={createSampleFromTrim}
+                            disabled={isReadOnly}
+                            className="px-4 py-2 rounded-xl font-bold bg-yellow-600 hover:bg-yellow-700 text-white disabled:opacity-50"
+                        >
+                            Crear instrumento
+                        </button>
                         <button
-                            onClick={playTrimmedAudio}
-                            className="px-6 py-3 rounded-xl font-bold bg-pink-600 hover:bg-pink-700 text-white shadow-pink-500/50 transition-all duration-300 ease-in-out transform hover:scale-105"
+                            onClick={addClipFromTrim}
+                            disabled={isReadOnly}
+                            className="px-4 py-2 rounded-xl font-bold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50"
                         >
-                            Reproducir Recorte
+                            Añadir al arreglo
                         </button>
                     </div>
                 </div>
             )}
+            {samples.length > 0 && (
+                <ul className="mt-4 p-4 bg-gray-900 rounded-xl text-sm">
+                    {samples.map(sample => (
+                        <li key={sample.name} className="flex items-center gap-2 py-1">
+                            <span className="flex-1 text-white font-mono">
+                                {sample.name}{' '}
+                                <span className="text-gray-400">
+                                    ({sample.mode === 'oneshot' ? 'pad de batería' : `melódico, raíz ${midiToNoteName(sample.root)}`}, {sample.buffer.duration.toFixed(2)}s)
+                                </span>
+                            </span>
+                            <button onClick={() => deleteSample(sample.name)} disabled={isReadOnly} className="px-2 text-red-400 hover:text-red-300 disabled:opacity-50">Eliminar</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
 
         {/* Sección de Notas del Proyecto */}
@@ -722,6 +1900,8 @@ const App = () => {
             <h2 className="text-2xl font-bold text-center text-teal-400 mb-4">Notas del Proyecto</h2>
             <textarea
                 id="projectNotes"
+                ref={notesInputRef}
+                readOnly={isReadOnly}
                 value={projectNotes}
                 onChange={(e) => setProjectNotes(e.target.value)}
                 className="w-full h-32 p-4 bg-gray-900 text-white border border-gray-600 rounded-xl placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-teal-400 transition-colors"
@@ -729,6 +1909,53 @@ const App = () => {
             />
         </div>
 
+        {/* Opciones de exportación */}
+        <div className="flex flex-col sm:flex-row gap-4 mt-8 items-center">
+            <div className="flex items-center gap-2">
+                <label className="text-gray-400">Importar (MIDI, ABC, MusicXML):</label>
+                <input
+                    type="file"
+                    accept=".mid,.midi,.abc,.xml,.musicxml"
+                    disabled={isReadOnly}
+                    onChange={handleScoreFileUpload}
+                    className="text-sm text-white file:mr-2 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-700 file:text-white hover:file:bg-gray-600"
+                />
+            </div>
+            <div className="flex items-center gap-2">
+                <label className="text-gray-400">Instrumento de las partituras:</label>
+                <select
+                    value={scoreInstrument}
+                    onChange={(e) => setScoreInstrument(e.target.value)}
+                    className="bg-gray-900 text-white border border-gray-600 rounded-xl px-2 py-1 focus:outline-none focus:ring-2 focus:ring-teal-400"
+                >
+                    {Object.keys(instrumentRegistry)
+                      .filter(name => instrumentRegistry[name].kind !== 'drums')
+                      .map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+            <div className="flex items-center gap-2">
+                <label className="text-gray-400">Repeticiones:</label>
+                <input
+                    type="number"
+                    min="1"
+                    value={exportLoops}
+                    onChange={(e) => setExportLoops(Math.max(1, Number(e.target.value)))}
+                    className="w-20 bg-gray-900 text-white border border-gray-600 rounded-xl px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-teal-400"
+                />
+            </div>
+            <div className="flex items-center gap-2">
+                <label className="text-gray-400">Cola de efectos (s):</label>
+                <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={exportTail}
+                    onChange={(e) => setExportTail(Math.max(0, Number(e.target.value)))}
+                    className="w-20 bg-gray-900 text-white border border-gray-600 rounded-xl px-2 py-1 text-center focus:outline-none focus:ring-2 focus:ring-teal-400"
+                />
+            </div>
+        </div>
+
         {/* Controles de Guardar/Cargar y Exportar */}
         <div className="flex flex-col sm:flex-row gap-4 mb-4 mt-8 items-center">
             <input
@@ -738,14 +1965,22 @@ const App = () => {
                 className="flex-1 bg-gray-900 text-white border border-gray-600 rounded-xl px-4 py-3 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-400 transition-colors"
                 placeholder="ID del Proyecto (Ej: mi-cancion-1)"
             />
+            <input
+                type="text"
+                value={versionMessage}
+                onChange={(e) => setVersionMessage(e.target.value)}
+                className="flex-1 bg-gray-900 text-white border border-gray-600 rounded-xl px-4 py-3 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-400 transition-colors"
+                placeholder="Mensaje de la versión (opcional)"
+            />
             <button
                 onClick={saveProject}
-                className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-yellow-600 hover:bg-yellow-700 text-white shadow-yellow-500/50 transition-all duration-300 ease-in-out transform hover:scale-105"
+                disabled={isReadOnly}
+                className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-yellow-600 hover:bg-yellow-700 text-white shadow-yellow-500/50 transition-all duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
             >
                 Guardar
             </button>
             <button
-                onClick={loadProject}
+                onClick={() => loadProject()}
                 className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-purple-600 hover:bg-purple-700 text-white shadow-purple-500/50 transition-all duration-300 ease-in-out transform hover:scale-105"
             >
                 Cargar
@@ -759,10 +1994,119 @@ const App = () => {
                         : 'bg-teal-600 hover:bg-teal-700 text-white shadow-teal-500/50 transform hover:scale-105'
                 }`}
             >
-                {isExporting ? 'Exportando...' : 'Exportar WAV'}
+                {isExporting ? `Exportando... ${Math.round(exportProgress * 100)}%` : 'Exportar WAV'}
+            </button>
+            <button
+                onClick={exportToMidi}
+                className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-indigo-600 hover:bg-indigo-700 text-white shadow-indigo-500/50 transition-all duration-300 ease-in-out transform hover:scale-105"
+            >
+                Exportar MIDI
+            </button>
+            <button
+                onClick={() => exportScore('abc')}
+                className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-gray-700 hover:bg-gray-600 text-white transition-all duration-300 ease-in-out transform hover:scale-105"
+            >
+                Exportar ABC
+            </button>
+            <button
+                onClick={() => exportScore('musicxml')}
+                className="flex-1 sm:flex-initial w-full sm:w-auto px-6 py-3 rounded-xl font-bold bg-gray-700 hover:bg-gray-600 text-white transition-all duration-300 ease-in-out transform hover:scale-105"
+            >
+                Exportar MusicXML
+            </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+            <span className="text-gray-400">
+                Guardando en: {projectStore.kind === 'local' ? 'este navegador (sin conexión a la nube)' : 'la nube'}
+            </span>
+            <button
+                onClick={shareProject}
+                className="px-4 py-2 rounded-xl font-bold bg-blue-600 hover:bg-blue-700 text-white transition-all duration-300 ease-in-out"
+            >
+                Compartir enlace
+            </button>
+            {shareUrl && (
+              <input
+                  type="text"
+                  readOnly
+                  value={shareUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 bg-gray-900 text-gray-300 border border-gray-600 rounded-xl px-2 py-1 font-mono text-xs"
+              />
+            )}
+            <button
+                onClick={downloadProjectFile}
+                className="px-4 py-2 rounded-xl font-bold bg-gray-700 hover:bg-gray-600 text-white transition-all duration-300 ease-in-out"
+            >
+                Descargar proyecto (.json)
             </button>
+            <div className="flex items-center gap-2">
+                <label className="text-gray-400">Abrir archivo de proyecto:</label>
+                <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleProjectFileUpload}
+                    className="text-sm text-white file:mr-2 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-700 file:text-white hover:file:bg-gray-600"
+                />
+            </div>
         </div>
 
+        {draftOffer && (
+          <div className="mb-4 p-3 bg-yellow-500/20 text-yellow-100 rounded-xl flex flex-wrap items-center gap-3">
+            <span className="flex-1">
+              Hay un borrador sin guardar{draftOffer.projectId ? ` de "${draftOffer.projectId}"` : ''} del {new Date(draftOffer.savedAt).toLocaleString('es-ES')}.
+            </span>
+            <button onClick={restoreDraft} className="px-3 py-1 rounded-lg font-bold bg-yellow-600 hover:bg-yellow-700 text-white">
+              Recuperar
+            </button>
+            <button onClick={() => setDraftOffer(null)} className="px-3 py-1 rounded-lg font-bold bg-gray-700 hover:bg-gray-600 text-white">
+              Descartar
+            </button>
+          </div>
+        )}
+
+        <ProjectBrowser
+            projects={projects}
+            isLoading={isLoadingProjects}
+            currentProjectId={openProjectId}
+            onRefresh={refreshProjects}
+            onOpen={loadProject}
+            onRename={renameSavedProject}
+            onDuplicate={duplicateSavedProject}
+            onDelete={deleteSavedProject}
+        />
+        {openProjectId && (
+          <VersionHistory
+            projectId={openProjectId}
+            versions={versions}
+            isLoading={isLoadingVersions}
+            currentDefinitions={trackDefinitions}
+            currentBpm={bpm}
+            parserOptions={parserOptions}
+            auditioningId={auditioningId}
+            onRefresh={() => refreshVersions()}
+            onAudition={version => auditionSong(version.id, version.data)}
+            onStopAudition={stopPlayback}
+            onRestore={restoreVersion}
+          />
+        )}
+        {userId && (
+          <CollaborationPanel
+            sessionId={sessionId}
+            participants={participants}
+            conflict={conflict}
+            tracks={parsedSong.tracks}
+            name={collaboratorName}
+            onNameChange={setCollaboratorName}
+            joinId={joinSessionId}
+            onJoinIdChange={setJoinSessionId}
+            onStart={startSession}
+            onJoin={joinSession}
+            onLeave={leaveSession}
+          />
+        )}
+
         {/* Mensajes de estado */}
         {statusMessage && (
           <div className="mt-4 p-3 bg-green-500/20 text-green-200 rounded-xl">
@@ -0,0 +1,72 @@
+import React from 'react';
+import { STEPS_PER_BAR } from './transport';
+
+/**
+ * Línea de tiempo del arreglo: una franja por sección de la canción, con su patrón,
+ * su duración en compases y el cursor de reproducción. Debajo, una fila por clip de
+ * audio (ver clips.js) desde su paso inicial y con su duración.
+ */
+
+const STEP_WIDTH = 4;
+
+// Colores por patrón, en orden de definición.
+const PATTERN_COLORS = ['bg-teal-600', 'bg-indigo-600', 'bg-amber-600', 'bg-rose-600', 'bg-lime-600', 'bg-sky-600'];
+
+const formatBars = (steps) => {
+  const bars = steps / STEPS_PER_BAR;
+  return `${Number.isInteger(bars) ? bars : bars.toFixed(2)} ${bars === 1 ? 'compás' : 'compases'}`;
+};
+
+const ArrangementTimeline = ({ arrangement, patterns, clips = [], currentStep }) => {
+  const colorOf = (name) => (name === null
+    ? 'bg-gray-600'
+    : PATTERN_COLORS[patterns.findIndex(pattern => pattern.name === name) % PATTERN_COLORS.length]);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <div className="flex justify-between text-sm">
+        <span className="text-teal-400 font-bold">Arreglo</span>
+        <span className="text-gray-400">{formatBars(arrangement.length)}</span>
+      </div>
+      {arrangement.sections.length === 0 ? (
+        <p className="mt-2 text-sm text-gray-400">La canción no tiene secciones con notas.</p>
+      ) : (
+        <div className="mt-2 overflow-x-auto">
+          <div className="relative" style={{ width: arrangement.length * STEP_WIDTH }}>
+            <div className="flex h-12">
+              {arrangement.sections.map((section, i) => (
+                <div
+                  key={i}
+                  title={`${section.pattern || 'Pistas'}: ${formatBars(section.length)}`}
+                  className={`shrink-0 h-full px-2 border-r-2 border-gray-900 rounded-md overflow-hidden text-sm font-bold text-white leading-[3rem] whitespace-nowrap ${colorOf(section.pattern)}`}
+                  style={{ width: section.length * STEP_WIDTH }}
+                >
+                  {section.pattern || 'Pistas'}
+                </div>
+              ))}
+            </div>
+            {clips.map((clip, i) => (
+              <div key={i} className="relative h-6 mt-1">
+                <div
+                  title={`${clip.name}: ${formatBars(clip.length)}`}
+                  className={`absolute h-full px-2 rounded-md overflow-hidden text-xs text-white leading-6 whitespace-nowrap ${clip.mute ? 'bg-gray-700' : 'bg-pink-700'}`}
+                  style={{ left: clip.start * STEP_WIDTH, width: clip.length * STEP_WIDTH }}
+                >
+                  {clip.name}
+                </div>
+              </div>
+            ))}
+            {currentStep !== null && (
+              <div
+                className="absolute top-0 bottom-0 w-0.5 bg-yellow-400 pointer-events-none"
+                style={{ left: currentStep * STEP_WIDTH }}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArrangementTimeline;
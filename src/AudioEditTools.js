@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { FADE_SHAPES, DEFAULT_NORMALIZE_DB } from './audioEdit';
+
+/**
+ * Barra de operaciones del Editor de Audio sobre la región seleccionada: cortar,
+ * copiar, pegar en el cursor, borrar, fundidos, normalizar, ganancia, invertir,
+ * silenciar y conversión de formato, además de deshacer y exportar a WAV.
+ * Cada operación se pide con `onEdit(operation, options)`.
+ */
+
+const BUTTON_CLASS = 'px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50';
+const INPUT_CLASS = 'bg-gray-800 text-white border border-gray-600 rounded px-2 py-1';
+
+const SAMPLE_RATES = [22050, 32000, 44100, 48000, 96000];
+
+const AudioEditTools = ({ buffer, hasClipboard, undoLabel, onEdit, onUndo, onExport }) => {
+  const [fadeShape, setFadeShape] = useState('linear');
+  const [gainDb, setGainDb] = useState(3);
+  const [normalizeDb, setNormalizeDb] = useState(DEFAULT_NORMALIZE_DB);
+
+  return (
+    <div className="mt-4 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onEdit('cut')} className={BUTTON_CLASS}>Cortar</button>
+        <button onClick={() => onEdit('copy')} className={BUTTON_CLASS}>Copiar</button>
+        <button onClick={() => onEdit('paste')} disabled={!hasClipboard} className={BUTTON_CLASS}>Pegar en el cursor</button>
+        <button onClick={() => onEdit('delete')} className={BUTTON_CLASS}>Borrar</button>
+        <button onClick={() => onEdit('silence')} className={BUTTON_CLASS}>Silenciar</button>
+        <button onClick={() => onEdit('reverse')} className={BUTTON_CLASS}>Invertir</button>
+        <button onClick={onUndo} disabled={!undoLabel} title={undoLabel ? `Deshacer: ${undoLabel}` : ''} className={BUTTON_CLASS}>
+          Deshacer{undoLabel ? ` (${undoLabel})` : ''}
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={fadeShape} onChange={(e) => setFadeShape(e.target.value)} className={INPUT_CLASS}>
+          {Object.entries(FADE_SHAPES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button onClick={() => onEdit('fadeIn', { shape: fadeShape })} className={BUTTON_CLASS}>Fundido de entrada</button>
+        <button onClick={() => onEdit('fadeOut', { shape: fadeShape })} className={BUTTON_CLASS}>Fundido de salida</button>
+        <label className="text-gray-400 ml-2">
+          Ganancia (dB):{' '}
+          <input type="number" step="0.5" value={gainDb} onChange={(e) => setGainDb(parseFloat(e.target.value) || 0)} className={`w-20 ${INPUT_CLASS}`} />
+        </label>
+        <button onClick={() => onEdit('gain', { db: gainDb })} className={BUTTON_CLASS}>Aplicar</button>
+        <label className="text-gray-400 ml-2">
+          Pico (dBFS):{' '}
+          <input type="number" step="0.5" max="0" value={normalizeDb} onChange={(e) => setNormalizeDb(Math.min(0, parseFloat(e.target.value) || 0))} className={`w-20 ${INPUT_CLASS}`} />
+        </label>
+        <button onClick={() => onEdit('normalize', { db: normalizeDb })} className={BUTTON_CLASS}>Normalizar</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-gray-400">
+          Frecuencia:{' '}
+          <select
+            value={buffer.sampleRate}
+            onChange={(e) => onEdit('convert', { sampleRate: Number(e.target.value) })}
+            className={INPUT_CLASS}
+          >
+            {[...new Set([...SAMPLE_RATES, buffer.sampleRate])].sort((a, b) => a - b).map(rate => (
+              <option key={rate} value={rate}>{rate} Hz</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-gray-400">
+          Canales:{' '}
+          <select
+            value={Math.min(buffer.numberOfChannels, 2)}
+            onChange={(e) => onEdit('convert', { channels: Number(e.target.value) })}
+            className={INPUT_CLASS}
+          >
+            <option value={1}>Mono</option>
+            <option value={2}>Estéreo</option>
+          </select>
+        </label>
+        <button onClick={() => onExport('region')} className={`ml-auto ${BUTTON_CLASS}`}>Exportar región (WAV)</button>
+        <button onClick={() => onExport('all')} className={BUTTON_CLASS}>Exportar todo (WAV)</button>
+      </div>
+    </div>
+  );
+};
+
+export default AudioEditTools;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { CLIP_FIT_MODES } from './clips';
+import { STEPS_PER_BAR } from './transport';
+
+/**
+ * Lista de clips de audio de la canción: dónde empieza cada uno (compás y paso), cómo
+ * se ajusta al BPM del proyecto y cuántos compases debe durar al ajustarlo.
+ * Los cambios se piden con `onChange(index, cambios)`.
+ */
+
+const INPUT_CLASS = 'bg-gray-800 text-white border border-gray-600 rounded px-2 py-1';
+
+const ClipTracks = ({ clips, preparedClips, disabled, onChange, onRemove }) => (
+  <div className="mt-4 p-4 bg-gray-900 rounded-xl text-sm">
+    <p className="text-teal-400 font-bold">Clips de audio</p>
+    <ul className="mt-2 space-y-2">
+      {clips.map((clip, i) => {
+        const bar = Math.floor(clip.start / STEPS_PER_BAR) + 1;
+        const step = (clip.start % STEPS_PER_BAR) + 1;
+        const length = preparedClips[i] ? preparedClips[i].length / STEPS_PER_BAR : 0;
+        return (
+          <li key={i} className="flex flex-wrap items-center gap-2">
+            <span className="w-32 truncate text-white font-mono" title={clip.name}>{clip.name}</span>
+            <label className="text-gray-400">
+              Compás{' '}
+              <input
+                type="number"
+                min="1"
+                value={bar}
+                disabled={disabled}
+                onChange={(e) => onChange(i, { start: (Math.max(1, Number(e.target.value) || 1) - 1) * STEPS_PER_BAR + step - 1 })}
+                className={`w-16 ${INPUT_CLASS}`}
+              />
+            </label>
+            <label className="text-gray-400">
+              Paso{' '}
+              <input
+                type="number"
+                min="1"
+                max={STEPS_PER_BAR}
+                value={step}
+                disabled={disabled}
+                onChange={(e) => onChange(i, {
+                  start: (bar - 1) * STEPS_PER_BAR + Math.min(STEPS_PER_BAR, Math.max(1, Number(e.target.value) || 1)) - 1,
+                })}
+                className={`w-14 ${INPUT_CLASS}`}
+              />
+            </label>
+            <select value={clip.fit} disabled={disabled} onChange={(e) => onChange(i, { fit: e.target.value })} className={INPUT_CLASS}>
+              {Object.entries(CLIP_FIT_MODES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            {clip.fit !== 'none' && (
+              <label className="text-gray-400">
+                a{' '}
+                <input
+                  type="number"
+                  min="1"
+                  value={clip.bars}
+                  disabled={disabled}
+                  onChange={(e) => onChange(i, { bars: Math.max(1, Math.round(Number(e.target.value)) || 1) })}
+                  className={`w-14 ${INPUT_CLASS}`}
+                />{' '}
+                compás(es)
+              </label>
+            )}
+            <span className="text-gray-500">
+              {clip.buffer.duration.toFixed(2)} s · {Number.isInteger(length) ? length : length.toFixed(2)} compás(es)
+            </span>
+            <button onClick={() => onRemove(i)} disabled={disabled} className="ml-auto px-2 text-red-400 hover:text-red-300 disabled:opacity-50">
+              Eliminar
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  </div>
+);
+
+export default ClipTracks;
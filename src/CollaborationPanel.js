@@ -0,0 +1,74 @@
+import React from 'react';
+import { getTrackLabel } from './trackParser';
+
+/**
+ * Panel de la sesión colaborativa: crear o unirse a una sesión por su ID, nombre
+ * visible y participantes conectados con la pista que está editando cada uno.
+ */
+
+const BUTTON_CLASS = 'px-3 py-1 rounded-lg font-bold text-white disabled:opacity-50';
+
+const INPUT_CLASS = 'bg-gray-900 text-white border border-gray-600 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-yellow-400';
+
+const CollaborationPanel = ({
+  sessionId, participants, conflict, tracks, name, onNameChange,
+  joinId, onJoinIdChange, onStart, onJoin, onLeave,
+}) => {
+  const describeTrack = (trackIndex) => {
+    const track = trackIndex === null ? null : tracks[trackIndex];
+    return track ? `editando ${getTrackLabel(track, trackIndex)}` : 'sin pista seleccionada';
+  };
+
+  return (
+    <details className="mt-4 p-4 bg-gray-900 rounded-xl" open={Boolean(sessionId)}>
+      <summary className="cursor-pointer text-teal-400 font-bold">
+        Sesión compartida{sessionId ? ` · ${participants.length} conectado(s)` : ''}
+      </summary>
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <label className="text-gray-400">Tu nombre:</label>
+        <input type="text" value={name} onChange={(e) => onNameChange(e.target.value)} className={`w-40 ${INPUT_CLASS}`} />
+        {sessionId ? (
+          <>
+            <span className="text-gray-300">
+              ID de la sesión: <span className="font-mono text-yellow-300 select-all">{sessionId}</span>
+            </span>
+            <button onClick={onLeave} className={`${BUTTON_CLASS} bg-red-600 hover:bg-red-700`}>Salir</button>
+          </>
+        ) : (
+          <>
+            <button onClick={onStart} className={`${BUTTON_CLASS} bg-teal-600 hover:bg-teal-700`}>Iniciar sesión</button>
+            <input
+              type="text"
+              value={joinId}
+              onChange={(e) => onJoinIdChange(e.target.value)}
+              placeholder="ID de una sesión"
+              className={`w-48 ${INPUT_CLASS}`}
+            />
+            <button onClick={onJoin} disabled={!joinId.trim()} className={`${BUTTON_CLASS} bg-purple-600 hover:bg-purple-700`}>Unirse</button>
+          </>
+        )}
+      </div>
+      {sessionId && (
+        <>
+          <p className="mt-2 text-xs text-gray-400">
+            Se comparten las pistas, el BPM y las notas. Comparte el ID para que otros se unan.
+          </p>
+          <ul className="mt-3 flex flex-wrap gap-2 text-sm">
+            {participants.map(participant => (
+              <li
+                key={participant.userId}
+                className={`px-3 py-1 rounded-full ${participant.isSelf ? 'bg-yellow-600/30 text-yellow-200' : 'bg-gray-800 text-gray-200'}`}
+              >
+                <span className="font-bold">{participant.name}{participant.isSelf ? ' (tú)' : ''}</span>
+                {' · '}{describeTrack(participant.trackIndex)}
+              </li>
+            ))}
+          </ul>
+          {conflict && <p className="mt-2 text-sm text-yellow-300">{conflict}</p>}
+        </>
+      )}
+    </details>
+  );
+};
+
+export default CollaborationPanel;
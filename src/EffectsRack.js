@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { effectTypes, createEffect, getTrackChain, getFreeChainId } from './effects';
+import { getTrackLabel } from './trackParser';
+
+/**
+ * Rack de efectos: una cadena ordenada de inserción por pista y otra para el bus
+ * maestro, con los parámetros de cada efecto editables. Cada pista usa la cadena de
+ * su `fx=`; al dar efectos a una pista sin cadena se le asigna un número libre con
+ * `onTrackChainChange(índice, número)`. Con `disabled` sólo se muestran.
+ */
+const EffectsRack = ({ tracks, effects, disabled = false, onChange, onTrackChainChange }) => {
+  const [newEffectType, setNewEffectType] = useState('reverb');
+
+  // `target` es 'master' o el índice de la pista.
+  const getChain = (target) => (target === 'master' ? effects.master : getTrackChain(effects, tracks[target]));
+
+  const setChain = (target, chain) => {
+    if (target === 'master') {
+      onChange({ ...effects, master: chain });
+      return;
+    }
+    let id = tracks[target].fx;
+    if (!id) {
+      id = getFreeChainId(effects, tracks);
+      if (id === null) return;
+      onTrackChainChange(target, id);
+    }
+    onChange({ ...effects, chains: { ...effects.chains, [id]: chain } });
+  };
+
+  const updateEffect = (target, index, key, value) => {
+    setChain(target, getChain(target).map((effect, i) => (i === index ? { ...effect, [key]: value } : effect)));
+  };
+
+  const moveEffect = (target, index, direction) => {
+    const chain = [...getChain(target)];
+    const destination = index + direction;
+    if (destination < 0 || destination >= chain.length) return;
+    [chain[index], chain[destination]] = [chain[destination], chain[index]];
+    setChain(target, chain);
+  };
+
+  const removeEffect = (target, index) => {
+    setChain(target, getChain(target).filter((_, i) => i !== index));
+  };
+
+  const renderChain = (target, title) => (
+    <div key={target} className="p-3 bg-gray-800 rounded-xl">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="flex-1 font-bold text-white">{title}</span>
+        <button
+          onClick={() => setChain(target, [...getChain(target), createEffect(newEffectType)])}
+          className="px-3 py-1 rounded-lg text-sm font-bold bg-gray-700 hover:bg-gray-600 text-white"
+        >
+          + {effectTypes[newEffectType].label}
+        </button>
+      </div>
+      {getChain(target).map((effect, index) => (
+        <div key={index} className="mt-2 p-2 border border-gray-700 rounded-lg">
+          <div className="flex items-center gap-2 mb-1">
+            <span className="flex-1 text-sm text-teal-300">{index + 1}. {effectTypes[effect.type].label}</span>
+            <button onClick={() => moveEffect(target, index, -1)} className="px-2 text-gray-400 hover:text-white">↑</button>
+            <button onClick={() => moveEffect(target, index, 1)} className="px-2 text-gray-400 hover:text-white">↓</button>
+            <button onClick={() => removeEffect(target, index)} className="px-2 text-red-400 hover:text-red-300">✕</button>
+          </div>
+          {effectTypes[effect.type].params.map(param => (
+            <label key={param.key} className="flex items-center gap-2 text-sm text-gray-400">
+              <span className="w-36">{param.label}</span>
+              {param.options ? (
+                <select
+                  value={effect[param.key]}
+                  onChange={(e) => updateEffect(target, index, param.key, e.target.value)}
+                  className="flex-1 bg-gray-900 text-white border border-gray-600 rounded-lg px-2 py-1"
+                >
+                  {param.options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+              ) : (
+                <>
+                  <input
+                    type="range"
+                    min={param.min}
+                    max={param.max}
+                    step={param.step}
+                    value={effect[param.key]}
+                    onChange={(e) => updateEffect(target, index, param.key, Number(e.target.value))}
+                    className="flex-1"
+                  />
+                  <span className="w-14 text-right text-white font-mono">{effect[param.key]}</span>
+                </>
+              )}
+            </label>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <summary className="cursor-pointer text-teal-400 font-bold">Efectos</summary>
+      <fieldset disabled={disabled} className="disabled:opacity-60">
+        <div className="mt-4 flex items-center gap-2">
+          <label className="text-sm text-gray-400">Efecto a añadir:</label>
+          <select
+            value={newEffectType}
+            onChange={(e) => setNewEffectType(e.target.value)}
+            className="bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1"
+          >
+            {Object.keys(effectTypes).map(type => <option key={type} value={type}>{effectTypes[type].label}</option>)}
+          </select>
+        </div>
+        <div className="mt-4 flex flex-col gap-3">
+          {tracks.map((track, i) => renderChain(i, track.fx ? `${getTrackLabel(track, i)} (fx=${track.fx})` : getTrackLabel(track, i)))}
+          {renderChain('master', 'Maestro')}
+        </div>
+      </fieldset>
+    </details>
+  );
+};
+
+export default EffectsRack;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { isTrackAudible, normalizeMasterSettings } from './mixGraph';
+import { getTrackLabel } from './trackParser';
+
+/**
+ * Panel de mezcla: una tira por pista (volumen, panorama, envío al eco, mute y solo)
+ * y los controles del bus maestro. Los ajustes de cada pista se guardan como opciones
+ * en su definición (`v=`, `pan=`, `send=`, `mute=`, `solo=`), así que el panel sólo
+ * pide que se reescriban con `onTrackOptionChange(trackIndex, key, value)`.
+ *
+ * Los clips de audio tienen su propia tira tras las pistas; sus ajustes se guardan en
+ * el propio clip con `onClipChange(clipIndex, cambios)`. Mute y solo se comparten:
+ * un solo en una pista silencia los clips y al revés.
+ *
+ * Con `disabled` (p. ej. en un proyecto compartido de sólo lectura) los controles se
+ * muestran pero no se pueden cambiar.
+ */
+const MixerPanel = ({ tracks, clips = [], masterSettings, disabled = false, onTrackOptionChange, onClipChange, onMasterSettingsChange }) => {
+  const master = normalizeMasterSettings(masterSettings);
+  const mixTracks = [...tracks, ...clips];
+
+  const updateMaster = (section, key, value) => {
+    if (section) {
+      onMasterSettingsChange({ ...master, [section]: { ...master[section], [key]: value } });
+    } else {
+      onMasterSettingsChange({ ...master, [key]: value });
+    }
+  };
+
+  const slider = (label, value, min, max, step, onChange, display = value) => (
+    <label className="flex items-center gap-2 text-sm text-gray-400">
+      <span className="w-16">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="flex-1"
+      />
+      <span className="w-12 text-right text-white font-mono">{display}</span>
+    </label>
+  );
+
+  const toggle = (label, active, activeClass, onClick) => (
+    <button
+      onClick={onClick}
+      className={`w-8 h-8 rounded-lg text-sm font-bold ${active ? activeClass : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <summary className="cursor-pointer text-teal-400 font-bold">Mezclador</summary>
+      <fieldset disabled={disabled} className="mt-4 flex flex-col gap-3 disabled:opacity-60">
+        {tracks.map((track, i) => (
+          <div key={i} className="p-3 bg-gray-800 rounded-xl">
+            <div className="flex items-center gap-2 mb-2">
+              <span className={`flex-1 font-bold ${isTrackAudible(track, mixTracks) ? 'text-white' : 'text-gray-500'}`}>
+                {getTrackLabel(track, i)}
+              </span>
+              {toggle('M', track.mute, 'bg-red-600 text-white', () => onTrackOptionChange(i, 'mute', track.mute ? null : 1))}
+              {toggle('S', track.solo, 'bg-yellow-500 text-gray-900', () => onTrackOptionChange(i, 'solo', track.solo ? null : 1))}
+            </div>
+            {slider('Volumen', Math.round(track.volume * 10), 0, 10, 1, (value) => onTrackOptionChange(i, 'v', value))}
+            {slider('Panorama', Math.round(track.pan * 10), -10, 10, 1, (value) => onTrackOptionChange(i, 'pan', value === 0 ? null : value))}
+            {slider('Eco', Math.round(track.send * 10), 0, 10, 1, (value) => onTrackOptionChange(i, 'send', value === 0 ? null : value))}
+          </div>
+        ))}
+        {clips.map((clip, i) => (
+          <div key={`clip-${i}`} className="p-3 bg-gray-800 rounded-xl">
+            <div className="flex items-center gap-2 mb-2">
+              <span className={`flex-1 font-bold ${isTrackAudible(clip, mixTracks) ? 'text-white' : 'text-gray-500'}`}>
+                Clip: {clip.name}
+              </span>
+              {toggle('M', clip.mute, 'bg-red-600 text-white', () => onClipChange(i, { mute: !clip.mute }))}
+              {toggle('S', clip.solo, 'bg-yellow-500 text-gray-900', () => onClipChange(i, { solo: !clip.solo }))}
+            </div>
+            {slider('Volumen', Math.round(clip.volume * 10), 0, 10, 1, (value) => onClipChange(i, { volume: value / 10 }))}
+            {slider('Panorama', Math.round(clip.pan * 10), -10, 10, 1, (value) => onClipChange(i, { pan: value / 10 }))}
+            {slider('Eco', Math.round(clip.send * 10), 0, 10, 1, (value) => onClipChange(i, { send: value / 10 }))}
+          </div>
+        ))}
+        <div className="p-3 bg-gray-800 rounded-xl">
+          <p className="font-bold text-white mb-2">Maestro</p>
+          {slider('Ganancia', master.gain, 0, 2, 0.05, (value) => updateMaster(null, 'gain', value), master.gain.toFixed(2))}
+          <div className="flex items-center gap-2 mt-2">
+            {toggle('C', master.compressor.enabled, 'bg-teal-600 text-white', () => updateMaster('compressor', 'enabled', !master.compressor.enabled))}
+            <span className="text-sm text-gray-400">Compresor</span>
+          </div>
+          {slider('Umbral', master.compressor.threshold, -60, 0, 1, (value) => updateMaster('compressor', 'threshold', value), `${master.compressor.threshold} dB`)}
+          {slider('Ratio', master.compressor.ratio, 1, 20, 0.5, (value) => updateMaster('compressor', 'ratio', value), `${master.compressor.ratio}:1`)}
+          <div className="flex items-center gap-2 mt-2">
+            {toggle('L', master.limiter.enabled, 'bg-teal-600 text-white', () => updateMaster('limiter', 'enabled', !master.limiter.enabled))}
+            <span className="text-sm text-gray-400">Limitador</span>
+          </div>
+          {slider('Techo', master.limiter.ceiling, -12, 0, 0.5, (value) => updateMaster('limiter', 'ceiling', value), `${master.limiter.ceiling} dB`)}
+        </div>
+      </fieldset>
+    </details>
+  );
+};
+
+export default MixerPanel;
@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getTrackNotes, getTrackLabel } from './trackParser';
+import { midiToSolfege } from './pitch';
+
+/**
+ * Editor de piano roll para las pistas melódicas: cada nota es un bloque sobre una
+ * rejilla de altura × tiempo en semicorcheas.
+ *
+ * - Arrastrar un bloque lo mueve; arrastrar su borde derecho cambia su duración.
+ * - Arrastrar sobre el fondo selecciona con un recuadro; un clic sin arrastrar añade
+ *   una nota. Mayús+clic añade o quita notas de la selección.
+ * - Supr borra la selección, Ctrl+C / Ctrl+V copian y pegan en el último paso pulsado
+ *   y Ctrl+A selecciona todo.
+ *
+ * Las notas se leen del modelo analizado y cada cambio se devuelve completo con
+ * `onChange(trackIndex, notes)` para reescribir los pasos de la pista.
+ */
+
+const STEP_WIDTH = 20;
+const ROW_HEIGHT = 12;
+const STEPS_PER_BAR = 16;
+// Rango visible por defecto (do2 a si6); se amplía si la pista tiene notas fuera de él.
+const LOWEST_PITCH = 36;
+const HIGHEST_PITCH = 95;
+// Desplazamiento mínimo, en píxeles, para que un clic en el fondo cuente como recuadro.
+const DRAG_THRESHOLD = 4;
+
+const QUANTIZE_GRIDS = [
+  { steps: 1, label: '1/16' },
+  { steps: 2, label: '1/8' },
+  { steps: 4, label: '1/4' },
+];
+
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+const noteKey = (note) => `${note.time}:${note.midi}`;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Aplica a las notas el arrastre en curso (mover o redimensionar las seleccionadas).
+ */
+const applyDrag = (notes, drag) => {
+  if (!drag || drag.mode === 'select') return notes;
+  const deltaSteps = Math.round((drag.x - drag.startX) / STEP_WIDTH);
+  const deltaPitch = -Math.round((drag.y - drag.startY) / ROW_HEIGHT);
+  return notes.map(note => {
+    if (!drag.keys.has(noteKey(note))) return note;
+    if (drag.mode === 'move') {
+      return { ...note, time: Math.max(0, note.time + deltaSteps), midi: clamp(note.midi + deltaPitch, 0, 127) };
+    }
+    return { ...note, duration: Math.max(1, note.duration + deltaSteps) };
+  });
+};
+
+/**
+ * Ajusta el inicio y la duración de las notas a múltiplos de `grid` pasos.
+ */
+const quantizeNotes = (notes, grid, keys) => notes.map(note => {
+  if (keys && !keys.has(noteKey(note))) return note;
+  return {
+    ...note,
+    time: Math.round(note.time / grid) * grid,
+    duration: Math.max(grid, Math.round(note.duration / grid) * grid),
+  };
+});
+
+const PianoRoll = ({ tracks, parserOptions, trackSteps, onChange }) => {
+  const melodicTracks = tracks
+    .map((track, index) => ({ track, index }))
+    .filter(({ track }) => !parserOptions.drumInstruments.includes(track.instrument));
+  const [trackIndex, setTrackIndex] = useState(null);
+  const [selection, setSelection] = useState(new Set());
+  const [drag, setDrag] = useState(null);
+  const [clipboard, setClipboard] = useState([]);
+  const [cursorStep, setCursorStep] = useState(0);
+  const [quantizeGrid, setQuantizeGrid] = useState(1);
+  const gridRef = useRef(null);
+
+  const entry = melodicTracks.find(e => e.index === trackIndex) || melodicTracks[0];
+  const notes = entry ? getTrackNotes(entry.track) : [];
+  const shownNotes = applyDrag(notes, drag);
+
+  const highest = Math.max(HIGHEST_PITCH, ...notes.map(note => note.midi));
+  const lowest = Math.min(LOWEST_PITCH, ...notes.map(note => note.midi));
+  const rows = highest - lowest + 1;
+  const trackLength = entry ? Math.ceil(entry.track.length) : 0;
+  const contentEnd = Math.max(trackLength, ...shownNotes.map(note => note.time + note.duration));
+  // Un compás libre al final para poder alargar la pista.
+  const columns = (Math.ceil(contentEnd / STEPS_PER_BAR) + 1) * STEPS_PER_BAR;
+
+  const commit = (updated, selectedKeys) => {
+    onChange(entry.index, updated);
+    setSelection(new Set(selectedKeys));
+  };
+
+  const getPointer = (e) => {
+    const rect = gridRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  // Mientras se arrastra se escuchan los movimientos en toda la ventana.
+  useEffect(() => {
+    if (!drag) return undefined;
+    const handleMove = (e) => {
+      const { x, y } = getPointer(e);
+      setDrag(prev => prev && { ...prev, x, y });
+    };
+    const handleUp = () => {
+      const moved = Math.abs(drag.x - drag.startX) > DRAG_THRESHOLD || Math.abs(drag.y - drag.startY) > DRAG_THRESHOLD;
+      if (drag.mode === 'select') {
+        const step = Math.floor(drag.startX / STEP_WIDTH);
+        if (!moved) {
+          const note = { midi: highest - Math.floor(drag.startY / ROW_HEIGHT), time: step, duration: quantizeGrid };
+          setCursorStep(step);
+          commit([...notes, note], [noteKey(note)]);
+        } else {
+          const [left, right] = [Math.min(drag.startX, drag.x), Math.max(drag.startX, drag.x)];
+          const [top, bottom] = [Math.min(drag.startY, drag.y), Math.max(drag.startY, drag.y)];
+          const inside = notes.filter(note => {
+            const noteTop = (highest - note.midi) * ROW_HEIGHT;
+            return note.time * STEP_WIDTH < right && (note.time + note.duration) * STEP_WIDTH > left
+              && noteTop < bottom && noteTop + ROW_HEIGHT > top;
+          });
+          setSelection(new Set([...(drag.additive ? selection : []), ...inside.map(noteKey)]));
+        }
+      } else {
+        const updated = applyDrag(notes, drag);
+        if (updated.some((note, i) => noteKey(note) !== noteKey(notes[i]) || note.duration !== notes[i].duration)) {
+          commit(updated, updated.filter((note, i) => drag.keys.has(noteKey(notes[i]))).map(noteKey));
+        }
+      }
+      setDrag(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  });
+
+  if (!entry) return null;
+
+  const handleBackgroundDown = (e) => {
+    if (e.button !== 0) return;
+    const { x, y } = getPointer(e);
+    if (!e.shiftKey) setSelection(new Set());
+    setDrag({ mode: 'select', startX: x, startY: y, x, y, additive: e.shiftKey });
+  };
+
+  const handleNoteDown = (e, note, mode) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    const key = noteKey(note);
+    let keys = selection;
+    if (e.shiftKey) {
+      keys = new Set(selection);
+      if (keys.has(key)) keys.delete(key); else keys.add(key);
+      setSelection(keys);
+      return;
+    }
+    if (!selection.has(key)) {
+      keys = new Set([key]);
+      setSelection(keys);
+    }
+    const { x, y } = getPointer(e);
+    setDrag({ mode, startX: x, startY: y, x, y, keys });
+  };
+
+  const handleKeyDown = (e) => {
+    const modifier = e.ctrlKey || e.metaKey;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      if (selection.size > 0) commit(notes.filter(note => !selection.has(noteKey(note))), []);
+    } else if (modifier && e.key === 'a') {
+      e.preventDefault();
+      setSelection(new Set(notes.map(noteKey)));
+    } else if (modifier && e.key === 'c') {
+      const copied = notes.filter(note => selection.has(noteKey(note)));
+      const start = Math.min(...copied.map(note => note.time));
+      setClipboard(copied.map(note => ({ ...note, time: note.time - start })));
+    } else if (modifier && e.key === 'v' && clipboard.length > 0) {
+      e.preventDefault();
+      const pasted = clipboard.map(note => ({ ...note, time: note.time + cursorStep }));
+      const span = Math.max(...clipboard.map(note => note.time + note.duration));
+      setCursorStep(cursorStep + span);
+      commit([...notes, ...pasted], pasted.map(noteKey));
+    }
+  };
+
+  const quantize = () => {
+    const keys = selection.size > 0 ? selection : null;
+    const updated = quantizeNotes(notes, quantizeGrid, keys);
+    commit(updated, updated.filter((note, i) => !keys || keys.has(noteKey(notes[i]))).map(noteKey));
+  };
+
+  const trackStep = trackSteps[entry.index];
+  const playheadStep = trackStep !== undefined && trackStep !== null && trackLength > 0 ? trackStep % trackLength : null;
+  const hasGroups = entry.track.events.some(event => event.grouped);
+
+  return (
+    <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <summary className="cursor-pointer text-teal-400 font-bold">Piano roll</summary>
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+        <select
+          value={entry.index}
+          onChange={(e) => {
+            setTrackIndex(Number(e.target.value));
+            setSelection(new Set());
+          }}
+          className="bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1"
+        >
+          {melodicTracks.map(({ track, index }) => (
+            <option key={index} value={index}>{getTrackLabel(track, index)}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-gray-400">
+          Rejilla
+          <select
+            value={quantizeGrid}
+            onChange={(e) => setQuantizeGrid(Number(e.target.value))}
+            className="bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1"
+          >
+            {QUANTIZE_GRIDS.map(grid => <option key={grid.steps} value={grid.steps}>{grid.label}</option>)}
+          </select>
+        </label>
+        <button
+          onClick={quantize}
+          disabled={notes.length === 0}
+          className="px-3 py-1 rounded-lg font-bold bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50"
+        >
+          Cuantizar {selection.size > 0 ? 'selección' : 'todo'}
+        </button>
+        {hasGroups && (
+          <span className="text-yellow-300">Al editar, los grupos de tresillo se redondearán a semicorcheas.</span>
+        )}
+      </div>
+      <div
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        className="mt-3 flex max-h-96 overflow-auto border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-400"
+      >
+        <div className="sticky left-0 z-10 bg-gray-900 shrink-0">
+          {Array.from({ length: rows }, (_, row) => {
+            const midi = highest - row;
+            return (
+              <div
+                key={midi}
+                style={{ height: ROW_HEIGHT }}
+                className={`w-12 pr-1 text-right text-[9px] leading-3 ${BLACK_KEYS.includes(midi % 12) ? 'bg-gray-800 text-gray-500' : 'text-gray-300'}`}
+              >
+                {midi % 12 === 0 || midi === highest ? midiToSolfege(midi) : ''}
+              </div>
+            );
+          })}
+        </div>
+        <div
+          ref={gridRef}
+          onMouseDown={handleBackgroundDown}
+          className="relative shrink-0 select-none cursor-crosshair"
+          style={{ width: columns * STEP_WIDTH, height: rows * ROW_HEIGHT }}
+        >
+          {Array.from({ length: rows }, (_, row) => (
+            <div
+              key={row}
+              className={`absolute left-0 right-0 ${BLACK_KEYS.includes((highest - row) % 12) ? 'bg-gray-800' : 'bg-gray-700'}`}
+              style={{ top: row * ROW_HEIGHT, height: ROW_HEIGHT - 1 }}
+            />
+          ))}
+          {Array.from({ length: columns }, (_, step) => (
+            <div
+              key={step}
+              className={`absolute top-0 bottom-0 ${step % STEPS_PER_BAR === 0 ? 'bg-gray-400' : step % 4 === 0 ? 'bg-gray-600' : 'bg-gray-900 opacity-40'}`}
+              style={{ left: step * STEP_WIDTH, width: 1 }}
+            />
+          ))}
+          {trackLength > 0 && (
+            <div className="absolute top-0 bottom-0 bg-black opacity-40" style={{ left: trackLength * STEP_WIDTH, right: 0 }} />
+          )}
+          {shownNotes.map((note, i) => {
+            const selected = drag && drag.mode !== 'select' ? drag.keys.has(noteKey(notes[i])) : selection.has(noteKey(note));
+            return (
+              <div
+                key={i}
+                onMouseDown={(e) => handleNoteDown(e, note, 'move')}
+                title={midiToSolfege(note.midi)}
+                className={`absolute rounded-sm cursor-move ${selected ? 'bg-yellow-300' : 'bg-teal-400'}`}
+                style={{
+                  left: note.time * STEP_WIDTH,
+                  top: (highest - note.midi) * ROW_HEIGHT,
+                  width: Math.max(4, note.duration * STEP_WIDTH - 1),
+                  height: ROW_HEIGHT - 1,
+                }}
+              >
+                <div
+                  onMouseDown={(e) => handleNoteDown(e, note, 'resize')}
+                  className="absolute top-0 bottom-0 right-0 w-1.5 cursor-ew-resize bg-black opacity-30"
+                />
+              </div>
+            );
+          })}
+          {drag && drag.mode === 'select' && (
+            <div
+              className="absolute border border-white bg-white opacity-20 pointer-events-none"
+              style={{
+                left: Math.min(drag.startX, drag.x),
+                top: Math.min(drag.startY, drag.y),
+                width: Math.abs(drag.x - drag.startX),
+                height: Math.abs(drag.y - drag.startY),
+              }}
+            />
+          )}
+          {playheadStep !== null && (
+            <div className="absolute top-0 bottom-0 w-0.5 bg-yellow-400 pointer-events-none" style={{ left: playheadStep * STEP_WIDTH }} />
+          )}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default PianoRoll;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+
+/**
+ * Explorador de proyectos guardados: lista los proyectos del usuario con su fecha de
+ * modificación, tempo y un extracto de las notas, y permite abrirlos, renombrarlos,
+ * duplicarlos o borrarlos.
+ */
+
+const formatDate = (timestamp) => (timestamp === null ? 'Sin fecha' : new Date(timestamp).toLocaleString('es-ES'));
+
+const BUTTON_CLASS = 'px-3 py-1 rounded-lg font-bold text-white disabled:opacity-50';
+
+const ProjectBrowser = ({ projects, isLoading, currentProjectId, onRefresh, onOpen, onRename, onDuplicate, onDelete }) => {
+  // Fila en edición: `{ id, action: 'rename' | 'duplicate', value }`.
+  const [editing, setEditing] = useState(null);
+
+  const submitEdit = () => {
+    const value = editing.value.trim();
+    if (value && value !== editing.id) {
+      (editing.action === 'rename' ? onRename : onDuplicate)(editing.id, value);
+    }
+    setEditing(null);
+  };
+
+  return (
+    <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <summary className="cursor-pointer text-teal-400 font-bold">Mis proyectos ({projects.length})</summary>
+      <div className="mt-3 flex items-center gap-3 text-sm">
+        <button onClick={onRefresh} disabled={isLoading} className={`${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}>
+          {isLoading ? 'Actualizando...' : 'Actualizar'}
+        </button>
+      </div>
+      {projects.length === 0 ? (
+        <p className="mt-3 text-sm text-gray-400">{isLoading ? 'Cargando proyectos...' : 'Todavía no hay proyectos guardados.'}</p>
+      ) : (
+        <ul className="mt-3 space-y-2">
+          {projects.map(project => (
+            <li
+              key={project.id}
+              className={`p-3 rounded-lg bg-gray-800 border ${project.id === currentProjectId ? 'border-yellow-400' : 'border-gray-700'}`}
+            >
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                <span className="font-bold text-white">{project.id}</span>
+                <span className="text-xs text-gray-400">{formatDate(project.updatedAt)} · {project.bpm} BPM</span>
+              </div>
+              {project.notesPreview && <p className="mt-1 text-sm text-gray-400 truncate">{project.notesPreview}</p>}
+              {editing && editing.id === project.id ? (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    submitEdit();
+                  }}
+                  className="mt-2 flex flex-wrap items-center gap-2 text-sm"
+                >
+                  <label className="text-gray-400">{editing.action === 'rename' ? 'Nuevo ID:' : 'ID de la copia:'}</label>
+                  <input
+                    autoFocus
+                    type="text"
+                    value={editing.value}
+                    onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                    className="flex-1 bg-gray-900 text-white border border-gray-600 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                  />
+                  <button type="submit" className={`${BUTTON_CLASS} bg-yellow-600 hover:bg-yellow-700`}>Aceptar</button>
+                  <button type="button" onClick={() => setEditing(null)} className={`${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}>
+                    Cancelar
+                  </button>
+                </form>
+              ) : (
+                <div className="mt-2 flex flex-wrap gap-2 text-sm">
+                  <button onClick={() => onOpen(project.id)} className={`${BUTTON_CLASS} bg-purple-600 hover:bg-purple-700`}>Abrir</button>
+                  <button
+                    onClick={() => setEditing({ id: project.id, action: 'rename', value: project.id })}
+                    className={`${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}
+                  >
+                    Renombrar
+                  </button>
+                  <button
+                    onClick={() => setEditing({ id: project.id, action: 'duplicate', value: `${project.id}-copia` })}
+                    className={`${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}
+                  >
+                    Duplicar
+                  </button>
+                  <button onClick={() => onDelete(project.id)} className={`${BUTTON_CLASS} bg-red-700 hover:bg-red-800`}>Borrar</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+};
+
+export default ProjectBrowser;
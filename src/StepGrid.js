@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { DURATION_SEPARATOR, REST_TOKEN, drumMapping, getEditableEvent, getTrackLabel } from './trackParser';
+
+/**
+ * Cuadrícula de pasos sincronizada con las definiciones de pista: una fila por pista y
+ * una columna por semicorchea. La cuadrícula se dibuja a partir del modelo analizado y
+ * cada edición se devuelve con `onSetStep(trackIndex, step, value)` para reescribir
+ * sólo ese fragmento del texto.
+ *
+ * Clic en una celda vacía: escribe la nota actual de la fila. Clic en una celda llena:
+ * la selecciona para cambiar su nota; un segundo clic la vacía.
+ */
+
+const SOLFEGE = ['do', 'do#', 're', 're#', 'mi', 'fa', 'fa#', 'sol', 'sol#', 'la', 'la#', 'si'];
+const GRID_OCTAVES = [2, 3, 4, 5, 6];
+const STEPS_PER_BAR = 16;
+
+const pitchOptions = GRID_OCTAVES.flatMap(octave => SOLFEGE.map(name => `${name}${octave}`));
+
+// Texto de la nota de un evento, sin su figura: `sol:4` → `sol`.
+const eventText = (event) => {
+  const separator = event.token.indexOf(DURATION_SEPARATOR);
+  return separator === -1 ? event.token : event.token.slice(0, separator);
+};
+
+/**
+ * Describe la celda `step` de una pista: `{ state, label, editable }`, donde `state` es
+ * 'note', 'rest', 'held' (dentro de una nota larga), 'locked' (dentro de un grupo o de
+ * un silencio largo) o 'ghost' (más allá del final, donde la pista se repite en bucle).
+ */
+const describeCell = (track, step) => {
+  const loopLength = Math.ceil(track.length);
+  if (step >= loopLength) {
+    const editable = track.closeOffset !== null && Number.isInteger(track.length);
+    if (loopLength === 0) return { state: 'rest', label: '', editable };
+    const ghost = describeCell(track, step % loopLength);
+    return { state: 'ghost', label: ghost.state === 'note' ? ghost.label : '', editable };
+  }
+  const event = getEditableEvent(track, step);
+  if (event) {
+    return event.kind === 'rest'
+      ? { state: 'rest', label: '', editable: true }
+      : { state: 'note', label: eventText(event), editable: true };
+  }
+  const covering = track.events.find(e => e.time < step && e.time + e.duration > step);
+  if (covering && !covering.grouped && covering.kind !== 'rest') {
+    return { state: 'held', label: '', editable: false };
+  }
+  const grouped = track.events.some(e => e.grouped && e.time >= step && e.time < step + 1);
+  return { state: 'locked', label: grouped ? '3' : '', editable: false };
+};
+
+const cellClasses = {
+  note: 'bg-teal-500 text-gray-900',
+  rest: 'bg-gray-700 hover:bg-gray-600',
+  held: 'bg-teal-800',
+  locked: 'bg-gray-800 text-gray-500 cursor-not-allowed',
+  ghost: 'bg-gray-800 text-gray-500 hover:bg-gray-700',
+};
+
+const StepGrid = ({ tracks, length, trackSteps, parserOptions, onSetStep }) => {
+  const { drumInstruments, drumPads } = parserOptions;
+  const isDrumTrack = (track) => drumInstruments.includes(track.instrument);
+  const [selected, setSelected] = useState(null);
+  // Última nota usada en cada fila, para rellenar las celdas vacías.
+  const [brushes, setBrushes] = useState({});
+
+  const columns = Math.ceil(Math.max(length, 1) / STEPS_PER_BAR) * STEPS_PER_BAR;
+
+  const getOptions = (track) => (isDrumTrack(track)
+    ? [...Object.keys(drumMapping), ...drumPads]
+    : pitchOptions);
+
+  const getBrush = (track, trackIndex) => {
+    if (brushes[trackIndex]) return brushes[trackIndex];
+    const firstNote = track.events.find(event => event.kind !== 'rest');
+    return firstNote ? eventText(firstNote) : getOptions(track)[isDrumTrack(track) ? 0 : 24];
+  };
+
+  const setCell = (trackIndex, step, value) => {
+    onSetStep(trackIndex, step, value);
+    if (value !== REST_TOKEN) {
+      setBrushes(prev => ({ ...prev, [trackIndex]: value }));
+    }
+  };
+
+  const handleCellClick = (track, trackIndex, step, cell) => {
+    if (!cell.editable) return;
+    const isSelected = selected && selected.trackIndex === trackIndex && selected.step === step;
+    if (cell.state === 'note') {
+      if (isSelected) {
+        setCell(trackIndex, step, REST_TOKEN);
+        setSelected(null);
+      } else {
+        setSelected({ trackIndex, step });
+      }
+    } else {
+      setCell(trackIndex, step, getBrush(track, trackIndex));
+      setSelected({ trackIndex, step });
+    }
+  };
+
+  const selectedTrack = selected && tracks[selected.trackIndex];
+  const selectedCell = selectedTrack && describeCell(selectedTrack, selected.step);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <div className="overflow-x-auto">
+        <table className="border-separate" style={{ borderSpacing: 2 }}>
+          <tbody>
+            {tracks.map((track, trackIndex) => (
+              <tr key={trackIndex}>
+                <th className="pr-2 text-left text-sm text-gray-400 font-normal whitespace-nowrap">
+                  {getTrackLabel(track, trackIndex)}
+                </th>
+                {Array.from({ length: columns }, (_, step) => {
+                  const cell = describeCell(track, step);
+                  const isSelected = selected && selected.trackIndex === trackIndex && selected.step === step;
+                  const isPlayhead = trackSteps[trackIndex] === step;
+                  return (
+                    <td
+                      key={step}
+                      onClick={() => handleCellClick(track, trackIndex, step, cell)}
+                      title={cell.label || undefined}
+                      className={`w-7 h-7 min-w-[1.75rem] rounded text-[10px] text-center leading-7 overflow-hidden cursor-pointer select-none
+                        ${cellClasses[cell.state]}
+                        ${step % STEPS_PER_BAR === 0 ? 'border-l-2 border-gray-500' : ''}
+                        ${isPlayhead ? 'ring-2 ring-yellow-400' : ''}
+                        ${isSelected ? 'outline outline-2 outline-white' : ''}`}
+                    >
+                      {cell.label}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {selectedCell && selectedCell.state === 'note' && (
+        <div className="mt-3 flex items-center gap-2 text-sm">
+          <span className="text-gray-400">
+            Pista {selected.trackIndex + 1}, paso {selected.step + 1}:
+          </span>
+          <select
+            value={selectedCell.label}
+            onChange={(e) => setCell(selected.trackIndex, selected.step, e.target.value)}
+            className="bg-gray-800 text-white border border-gray-600 rounded-lg px-2 py-1"
+          >
+            {!getOptions(selectedTrack).includes(selectedCell.label) && (
+              <option value={selectedCell.label}>{selectedCell.label}</option>
+            )}
+            {getOptions(selectedTrack).map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <button
+            onClick={() => {
+              setCell(selected.trackIndex, selected.step, REST_TOKEN);
+              setSelected(null);
+            }}
+            className="px-3 py-1 rounded-lg font-bold bg-gray-700 hover:bg-gray-600 text-white"
+          >
+            Borrar
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepGrid;
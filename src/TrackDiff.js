@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import { diffTracks } from './diff';
+
+/**
+ * Diferencias pista a pista entre dos definiciones: lo que aparece en `after` y no en
+ * `before` se marca en verde y lo que desaparece, tachado en rojo.
+ */
+
+const STATUS_LABELS = { same: 'sin cambios', changed: 'modificada', added: 'nueva', removed: 'eliminada' };
+
+const CHANGE_CLASSES = {
+  same: 'text-gray-400',
+  added: 'bg-green-500/30 text-green-200',
+  removed: 'bg-red-500/30 text-red-200 line-through',
+};
+
+const TrackDiff = ({ before, after, parserOptions }) => {
+  const entries = useMemo(() => diffTracks(before, after, parserOptions), [before, after, parserOptions]);
+
+  return (
+    <div className="space-y-2 text-sm">
+      {entries.map((entry, i) => (
+        <div key={i}>
+          <p className={entry.status === 'same' ? 'text-gray-500' : 'text-yellow-300'}>
+            {entry.label} ({STATUS_LABELS[entry.status]})
+          </p>
+          {entry.status !== 'same' && (
+            <p className="mt-1 font-mono text-xs leading-6 break-words">
+              {entry.changes.map((change, j) => (
+                <span key={j} className={`mr-1 px-0.5 rounded ${CHANGE_CLASSES[change.type]}`}>{change.text}</span>
+              ))}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TrackDiff;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import TrackDiff from './TrackDiff';
+
+/**
+ * Historial de versiones del proyecto abierto: cada guardado con su fecha y mensaje,
+ * las diferencias de cada pista frente al estado actual, la escucha previa de una
+ * versión sin cargarla y su restauración.
+ */
+
+const BUTTON_CLASS = 'px-3 py-1 rounded-lg font-bold text-white disabled:opacity-50';
+
+const VersionHistory = ({
+  projectId, versions, isLoading, currentDefinitions, currentBpm, parserOptions,
+  auditioningId, onRefresh, onAudition, onStopAudition, onRestore,
+}) => {
+  const [selectedId, setSelectedId] = useState(null);
+
+  return (
+    <details className="mt-4 p-4 bg-gray-900 rounded-xl">
+      <summary className="cursor-pointer text-teal-400 font-bold">Historial de "{projectId}" ({versions.length})</summary>
+      <div className="mt-3 flex items-center gap-3 text-sm">
+        <button onClick={onRefresh} disabled={isLoading} className={`${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}>
+          {isLoading ? 'Actualizando...' : 'Actualizar'}
+        </button>
+      </div>
+      {versions.length === 0 ? (
+        <p className="mt-3 text-sm text-gray-400">{isLoading ? 'Cargando versiones...' : 'Este proyecto no tiene versiones guardadas.'}</p>
+      ) : (
+        <ul className="mt-3 space-y-2">
+          {versions.map(version => (
+            <li key={version.id} className="p-3 rounded-lg bg-gray-800 border border-gray-700">
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                <span className="font-bold text-white">{version.message || 'Sin mensaje'}</span>
+                <span className="text-xs text-gray-400">
+                  {new Date(version.savedAt).toLocaleString('es-ES')} · {version.data.bpm || 120} BPM
+                </span>
+              </div>
+              <div className="mt-2 flex flex-wrap gap-2 text-sm">
+                <button
+                  onClick={() => setSelectedId(selectedId === version.id ? null : version.id)}
+                  className={`${BUTTON_CLASS} bg-gray-700 hover:bg-gray-600`}
+                >
+                  {selectedId === version.id ? 'Ocultar cambios' : 'Ver cambios'}
+                </button>
+                {auditioningId === version.id ? (
+                  <button onClick={onStopAudition} className={`${BUTTON_CLASS} bg-red-600 hover:bg-red-700`}>Detener</button>
+                ) : (
+                  <button onClick={() => onAudition(version)} className={`${BUTTON_CLASS} bg-teal-600 hover:bg-teal-700`}>Escuchar</button>
+                )}
+                <button onClick={() => onRestore(version)} className={`${BUTTON_CLASS} bg-yellow-600 hover:bg-yellow-700`}>Restaurar</button>
+              </div>
+              {selectedId === version.id && (
+                <div className="mt-3 space-y-2 text-sm">
+                  {(version.data.bpm || 120) !== currentBpm && (
+                    <p className="text-gray-300">BPM: {version.data.bpm || 120} → {currentBpm}</p>
+                  )}
+                  {/* Se compara la versión con el estado actual: lo añadido desde entonces aparece en verde. */}
+                  <TrackDiff before={version.data.trackDefinitions || ''} after={currentDefinitions} parserOptions={parserOptions} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+};
+
+export default VersionHistory;
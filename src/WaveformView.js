@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPeaksComputer } from './waveform';
+import { findZeroCrossing } from './waveformAnalysis';
+
+/**
+ * Forma de onda del Editor de Audio sobre un canvas, con la región recortada.
+ *
+ * - Arrastrar las asas amarillas mueve el inicio y el fin de la región (con ajuste
+ *   opcional al paso por cero más cercano); el inicio nunca pasa del fin.
+ * - Un clic en el resto coloca el cursor de reproducción y arrastrar lo desplaza.
+ * - Ctrl+rueda acerca o aleja alrededor del ratón; la rueda o la barra inferior
+ *   desplazan la vista cuando está ampliada.
+ *
+ * La región sólo se comunica al soltar (`onRegionChange(start, end)`); el cursor se
+ * comunica mientras se arrastra (`onSeek(time)`). `getPlayhead()` devuelve la posición
+ * que suena, en segundos, y se consulta en cada fotograma mientras `isPlaying`.
+ */
+
+const HEIGHT = 128;
+// Distancia en píxeles a la que un clic agarra un asa.
+const HANDLE_GRAB = 6;
+// Duración mínima de la región, en segundos.
+const MIN_REGION_SECONDS = 0.01;
+const ZOOM_STEP = 1.5;
+
+const BUTTON_CLASS = 'px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Ajusta el canvas a `width` píxeles CSS con la densidad de la pantalla.
+const prepareCanvas = (canvas, width) => {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = width * ratio;
+  canvas.height = HEIGHT * ratio;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+};
+
+const WaveformView = ({ buffer, start, end, cursor, isPlaying, getPlayhead, onRegionChange, onSeek }) => {
+  const [width, setWidth] = useState(800);
+  const [view, setView] = useState({ start: 0, duration: buffer.duration });
+  const [peaks, setPeaks] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [snapToZero, setSnapToZero] = useState(true);
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const computerRef = useRef(null);
+  const requestRef = useRef(0);
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const getPlayheadRef = useRef(getPlayhead);
+  getPlayheadRef.current = getPlayhead;
+
+  const minDuration = Math.min(buffer.duration, Math.max(width / buffer.sampleRate, MIN_REGION_SECONDS));
+  const timeToX = (time) => (time - view.start) / view.duration * width;
+  const xToTime = (x) => clamp(view.start + x / width * view.duration, 0, buffer.duration);
+
+  const region = drag && drag.mode !== 'seek' ? { start: drag.start, end: drag.end } : { start, end };
+
+  useEffect(() => {
+    computerRef.current = createPeaksComputer();
+    return () => computerRef.current.dispose();
+  }, []);
+
+  // Tras una edición se conserva la vista mientras quepa en el audio nuevo.
+  useEffect(() => {
+    computerRef.current.setBuffer(buffer);
+    setView(prev => (prev.start + prev.duration <= buffer.duration ? prev : { start: 0, duration: buffer.duration }));
+  }, [buffer]);
+
+  // El canvas ocupa todo el ancho disponible.
+  useEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.max(1, Math.floor(entry.contentRect.width))));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Se piden los picos de la vista; si llegan tarde respecto a otra petición se ignoran.
+  useEffect(() => {
+    const id = ++requestRef.current;
+    computerRef.current.request(view.start, view.start + view.duration, width).then(values => {
+      if (id === requestRef.current) setPeaks({ values, ...view, width });
+    });
+  }, [buffer, view, width]);
+
+  useEffect(() => {
+    const ctx = prepareCanvas(canvasRef.current, width);
+    const middle = HEIGHT / 2;
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(0, 0, width, HEIGHT);
+    const regionLeft = timeToX(region.start);
+    const regionRight = timeToX(region.end);
+    ctx.fillStyle = 'rgba(250, 204, 21, 0.12)';
+    ctx.fillRect(regionLeft, 0, regionRight - regionLeft, HEIGHT);
+    ctx.fillStyle = '#374151';
+    ctx.fillRect(0, middle, width, 1);
+    if (peaks) {
+      for (let i = 0; i < peaks.width; i++) {
+        const time = peaks.start + i / peaks.width * peaks.duration;
+        const x = Math.floor(timeToX(time));
+        if (x < 0 || x >= width) continue;
+        const min = peaks.values[i * 2];
+        const max = peaks.values[i * 2 + 1];
+        ctx.fillStyle = time >= region.start && time < region.end ? '#2dd4bf' : '#6b7280';
+        ctx.fillRect(x, middle - max * middle, 1, Math.max(1, (max - min) * middle));
+      }
+    }
+    [regionLeft, regionRight].forEach(x => {
+      ctx.fillStyle = '#facc15';
+      ctx.fillRect(x - 1, 0, 2, HEIGHT);
+      ctx.fillRect(x - 4, 0, 8, 8);
+    });
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(timeToX(cursor), 0, 1, HEIGHT);
+  });
+
+  // Cabezal de reproducción en un canvas superpuesto, redibujado en cada fotograma.
+  useEffect(() => {
+    const ctx = prepareCanvas(overlayRef.current, width);
+    ctx.clearRect(0, 0, width, HEIGHT);
+    if (!isPlaying) return undefined;
+    let frame;
+    const draw = () => {
+      ctx.clearRect(0, 0, width, HEIGHT);
+      const time = getPlayheadRef.current();
+      if (time !== null) {
+        const { start: viewStart, duration } = viewRef.current;
+        ctx.fillStyle = '#f472b6';
+        ctx.fillRect((time - viewStart) / duration * width - 1, 0, 2, HEIGHT);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, width]);
+
+  const setViewClamped = (viewStart, duration) => {
+    const clampedDuration = clamp(duration, minDuration, buffer.duration);
+    setView({ start: clamp(viewStart, 0, buffer.duration - clampedDuration), duration: clampedDuration });
+  };
+
+  const zoom = (factor, anchor = view.start + view.duration / 2) => {
+    const duration = clamp(view.duration * factor, minDuration, buffer.duration);
+    setViewClamped(anchor - (anchor - view.start) * duration / view.duration, duration);
+  };
+
+  // La rueda necesita un oyente no pasivo para poder cancelar el desplazamiento de la página.
+  useEffect(() => {
+    const canvas = overlayRef.current;
+    const handleWheel = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        zoom(e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, xToTime(e.clientX - rect.left));
+      } else if (view.duration < buffer.duration) {
+        e.preventDefault();
+        const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+        setViewClamped(view.start + delta / width * view.duration, view.duration);
+      }
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  });
+
+  const getTime = (e) => xToTime(e.clientX - overlayRef.current.getBoundingClientRect().left);
+
+  const snap = (time) => (snapToZero ? findZeroCrossing(buffer, time) : time);
+
+  // Mientras se arrastra se escuchan los movimientos en toda la ventana.
+  useEffect(() => {
+    if (!drag) return undefined;
+    const handleMove = (e) => {
+      const time = getTime(e);
+      if (drag.mode === 'seek') {
+        onSeek(time);
+      } else if (drag.mode === 'start') {
+        setDrag({ ...drag, start: clamp(snap(time), 0, drag.end - MIN_REGION_SECONDS) });
+      } else {
+        setDrag({ ...drag, end: clamp(snap(time), drag.start + MIN_REGION_SECONDS, buffer.duration) });
+      }
+    };
+    const handleUp = () => {
+      if (drag.mode !== 'seek' && (drag.start !== start || drag.end !== end)) {
+        onRegionChange(drag.start, drag.end);
+      }
+      setDrag(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  });
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const x = e.clientX - overlayRef.current.getBoundingClientRect().left;
+    const distanceToStart = Math.abs(x - timeToX(start));
+    const distanceToEnd = Math.abs(x - timeToX(end));
+    if (Math.min(distanceToStart, distanceToEnd) <= HANDLE_GRAB) {
+      setDrag({ mode: distanceToStart < distanceToEnd ? 'start' : 'end', start, end });
+    } else {
+      onSeek(xToTime(x));
+      setDrag({ mode: 'seek' });
+    }
+  };
+
+  const handleHover = (e) => {
+    const x = e.clientX - overlayRef.current.getBoundingClientRect().left;
+    const onHandle = Math.min(Math.abs(x - timeToX(start)), Math.abs(x - timeToX(end))) <= HANDLE_GRAB;
+    overlayRef.current.style.cursor = onHandle || (drag && drag.mode !== 'seek') ? 'ew-resize' : 'text';
+  };
+
+  return (
+    <div>
+      <div ref={containerRef} className="relative w-full rounded-lg overflow-hidden" style={{ height: HEIGHT }}>
+        <canvas ref={canvasRef} className="absolute inset-0" style={{ width, height: HEIGHT }} />
+        <canvas
+          ref={overlayRef}
+          className="absolute inset-0"
+          style={{ width, height: HEIGHT }}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleHover}
+        />
+      </div>
+      {view.duration < buffer.duration && (
+        <input
+          type="range"
+          min="0"
+          max={buffer.duration - view.duration}
+          step="any"
+          value={view.start}
+          onChange={(e) => setViewClamped(parseFloat(e.target.value), view.duration)}
+          className="w-full mt-1"
+        />
+      )}
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        <button onClick={() => zoom(1 / ZOOM_STEP)} disabled={view.duration <= minDuration} className={BUTTON_CLASS}>Acercar</button>
+        <button onClick={() => zoom(ZOOM_STEP)} disabled={view.duration >= buffer.duration} className={BUTTON_CLASS}>Alejar</button>
+        <button onClick={() => setViewClamped(start, end - start)} className={BUTTON_CLASS}>Ver región</button>
+        <button onClick={() => setViewClamped(0, buffer.duration)} className={BUTTON_CLASS}>Ver todo</button>
+        <label className="flex items-center gap-1 text-gray-400">
+          <input type="checkbox" checked={snapToZero} onChange={(e) => setSnapToZero(e.target.checked)} />
+          Ajustar a pasos por cero
+        </label>
+        <span className="ml-auto text-gray-500 font-mono">
+          {view.start.toFixed(2)}s – {(view.start + view.duration).toFixed(2)}s
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default WaveformView;
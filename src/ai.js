@@ -0,0 +1,250 @@
+import { parseTrackDefinitions, SONG_KEYWORD } from './trackParser';
+import { STEPS_PER_BAR } from './transport';
+
+/**
+ * Generación de pistas con IA: proveedores intercambiables (la API de Gemini o
+ * cualquier servidor compatible con la API de chat de OpenAI, como un servidor local
+ * o el simulador de `scripts/mockAiServer.js`), validación de la respuesta con el
+ * analizador de pistas y reintentos que devuelven los errores al modelo.
+ */
+
+/* eslint-disable no-undef */
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Proveedores disponibles con su configuración por defecto.
+export const AI_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent',
+    model: '',
+  },
+  openai: {
+    label: 'Compatible con OpenAI (servidor local o simulador)',
+    endpoint: 'http://localhost:8787/v1/chat/completions',
+    model: 'local-model',
+  },
+};
+
+export const DEFAULT_AI_SETTINGS = { provider: 'gemini', endpoint: AI_PROVIDERS.gemini.endpoint, model: '' };
+
+/**
+ * Completa ajustes guardados (o incompletos) con los valores por defecto del proveedor.
+ */
+export const normalizeAiSettings = (settings = {}) => {
+  const provider = AI_PROVIDERS[settings.provider] ? settings.provider : DEFAULT_AI_SETTINGS.provider;
+  return {
+    provider,
+    endpoint: settings.endpoint || AI_PROVIDERS[provider].endpoint,
+    model: typeof settings.model === 'string' ? settings.model : AI_PROVIDERS[provider].model,
+  };
+};
+
+const postJson = async (url, body, headers = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`Error en la API: ${response.statusText} (${response.status}) - ${JSON.stringify(errorData)}`);
+  }
+  return response.json();
+};
+
+// Cada proveedor recibe la conversación como `[{ role: 'user' | 'assistant', text }]`
+// y devuelve el texto de la respuesta.
+const providers = {
+  gemini: async ({ endpoint, apiKey }, messages) => {
+    const url = apiKey ? `${endpoint}${endpoint.includes('?') ? '&' : '?'}key=${encodeURIComponent(apiKey)}` : endpoint;
+    const result = await postJson(url, {
+      contents: messages.map(({ role, text }) => ({ role: role === 'assistant' ? 'model' : 'user', parts: [{ text }] })),
+    });
+    return result?.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+  openai: async ({ endpoint, apiKey, model }, messages) => {
+    const result = await postJson(endpoint, {
+      model,
+      messages: messages.map(({ role, text }) => ({ role, content: text })),
+    }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+    return result?.choices?.[0]?.message?.content;
+  },
+};
+
+/**
+ * Crea un proveedor con `complete(messages)`, que devuelve el texto de la respuesta
+ * del modelo. La clave de API por defecto es la del entorno (`__api_key`).
+ */
+export const createAiProvider = (settings, apiKey = typeof __api_key !== 'undefined' ? __api_key : '') => {
+  const { provider, endpoint, model } = normalizeAiSettings(settings);
+  return {
+    complete: async (messages) => {
+      const text = await providers[provider]({ endpoint, apiKey, model }, messages);
+      if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('La respuesta de la IA está vacía o es inválida.');
+      }
+      return text;
+    },
+  };
+};
+
+/**
+ * Limpia la respuesta del modelo: se queda con el contenido del primer bloque de
+ * código si lo hay y quita comillas o acentos graves sueltos alrededor.
+ */
+export const extractDefinitions = (text) => {
+  const fenced = /```[a-z]*\s*\n?([\s\S]*?)```/i.exec(text);
+  return (fenced ? fenced[1] : text).trim().replace(/^[`"']+|[`"']+$/g, '').trim();
+};
+
+/**
+ * Instrucciones con la gramática de las pistas y los instrumentos disponibles.
+ */
+export const buildGrammarPrompt = ({ instruments, drumInstruments, drumPads }) => {
+  const melodic = instruments.filter(name => !drumInstruments.includes(name));
+  const drumSounds = ['kick', 'snare', 'hihat', ...drumPads];
+  return [
+    'Responde sólo con definiciones de pista, sin explicaciones ni bloques de código.',
+    "Cada pista tiene el formato 'v=[volumen 0-10] [instrumento=pasos separados por comas]' y las pistas se separan por comas.",
+    'Cada paso es una semicorchea: una nota en solfeo o en notación inglesa con octava opcional (do, sol#3, C4, Bb2), '
+      + "un acorde con notas unidas por '-' (do4-mi4-sol4), '-' para un silencio o '_' para prolongar el paso anterior.",
+    "Una figura tras ':' cambia la duración (sol:4 negra, do:8 corchea, -:2 silencio de blanca).",
+    `Instrumentos melódicos: ${melodic.join(', ')}.`,
+    `Instrumentos de batería: ${drumInstruments.join(', ')}; sus pasos son golpes (${drumSounds.join(', ')}), varios a la vez unidos por '-' (kick-hihat).`,
+    'Ejemplo: v=8 [synth=sol,sol,mi,fa], v=6 [piano=C4,D4,E4], v=10 [drums=kick,-,snare,-]',
+  ].join('\n');
+};
+
+/**
+ * Añade pistas nuevas a unas definiciones. Si hay una línea `song:`, las pistas se
+ * insertan antes para que no se lean como secciones de la canción.
+ */
+export const appendTrackDefinitions = (current, addition) => {
+  const base = current.trim();
+  if (!base) return addition;
+  const song = new RegExp(`(^|[\\s,}])${SONG_KEYWORD}`, 'i').exec(base);
+  if (!song) return `${base.replace(/,+$/, '')}, ${addition}`;
+  const at = song.index + song[1].length;
+  return `${base.slice(0, at).replace(/[\s,]+$/, '')}, ${addition}\n${base.slice(at)}`;
+};
+
+const formatDiagnostics = (diagnostics) => {
+  return diagnostics.map(d => `- Línea ${d.line}, columna ${d.column}: ${d.message}`).join('\n');
+};
+
+/**
+ * Pide al modelo pistas para `prompt` y las valida con el analizador. Si la respuesta
+ * tiene errores se le devuelven para que la corrija, hasta `maxAttempts` intentos.
+ * `validate(tracks)` puede añadir comprobaciones propias, devolviendo mensajes de error
+ * que se tratan igual que los de sintaxis. Devuelve `{ definitions, diagnostics, tracks,
+ * attempts, isValid }` del último intento; `onAttempt(attempt)` avisa del comienzo de
+ * cada uno.
+ */
+export const generateTrackDefinitions = async ({
+  provider, prompt, currentDefinitions = '', parserOptions, validate = () => [],
+  maxAttempts = DEFAULT_MAX_ATTEMPTS, onAttempt = () => {},
+}) => {
+  const context = currentDefinitions.trim()
+    ? `\n\nLa canción actual, como referencia de estilo y tonalidad:\n${currentDefinitions.trim()}`
+    : '';
+  const messages = [{ role: 'user', text: `${buildGrammarPrompt(parserOptions)}\n\nPetición: ${prompt}${context}` }];
+  let result = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    onAttempt(attempt);
+    const reply = await provider.complete(messages);
+    const definitions = extractDefinitions(reply);
+    const { tracks, diagnostics } = parseTrackDefinitions(definitions, parserOptions);
+    if (tracks.length === 0 && !diagnostics.some(d => d.severity === 'error')) {
+      diagnostics.push({ line: 1, column: 1, message: 'La respuesta no contiene ninguna pista.', severity: 'error' });
+    } else if (tracks.length > 0) {
+      validate(tracks).forEach(message => diagnostics.push({ line: 1, column: 1, message, severity: 'error' }));
+    }
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    result = { definitions, diagnostics, tracks, attempts: attempt, isValid: errors.length === 0 };
+    if (result.isValid) break;
+    messages.push(
+      { role: 'assistant', text: reply },
+      { role: 'user', text: `La respuesta tiene errores:\n${formatDiagnostics(errors)}\nCorrígelos y responde sólo con las pistas completas.` }
+    );
+  }
+  return result;
+};
+
+// Acciones sobre una pista concreta. `mode` es la forma de aplicar el resultado que
+// se ofrece primero: sustituir la pista o insertarlo como pista nueva.
+export const TRACK_ACTIONS = {
+  continue: { label: 'Continuar la frase', mode: 'replace' },
+  harmony: { label: 'Añadir una segunda voz', mode: 'insert' },
+  bass: { label: 'Escribir un bajo', mode: 'insert' },
+  drums: { label: 'Escribir la batería', mode: 'insert' },
+  variations: { label: 'Variaciones', mode: 'replace' },
+};
+
+/**
+ * Petición para una acción sobre la pista `trackText`. `bars` es cuántos compases
+ * añade `continue`; `variation` y `count` numeran las variaciones.
+ */
+export const buildTrackActionPrompt = ({ action, trackText, trackLength, bars = 1, variation = 1, count = 1 }) => {
+  const target = `\n\nPista seleccionada (${trackLength} pasos):\n${trackText}`;
+  const single = 'Responde con una sola pista.';
+  switch (action) {
+    case 'continue':
+      return `Continúa la pista seleccionada ${bars} compás(es) más (${bars * STEPS_PER_BAR} pasos), con el mismo instrumento, estilo y tonalidad. `
+        + `${single} Debe contener los pasos originales seguidos de la continuación.${target}`;
+    case 'harmony':
+      return 'Escribe una segunda voz que armonice con la pista seleccionada (terceras o sextas por encima o por debajo), '
+        + `con un instrumento melódico, el mismo ritmo y la misma duración. ${single}${target}`;
+    case 'bass':
+      return 'Escribe una línea de bajo (octavas 1 a 3) con un instrumento melódico que encaje con la armonía de la canción '
+        + `y con la pista seleccionada, con la misma duración. ${single}${target}`;
+    case 'drums':
+      return 'Escribe una pista de batería que acompañe a la pista seleccionada y al estilo de la canción, '
+        + `con la misma duración. ${single}${target}`;
+    case 'variations':
+      return `Escribe una variación de la pista seleccionada (la ${variation} de ${count}, distinta de las demás): `
+        + `el mismo instrumento y la misma duración, cambiando el ritmo o algunas notas sin que deje de reconocerse. ${single}${target}`;
+    default:
+      throw new Error(`Acción de IA desconocida: "${action}"`);
+  }
+};
+
+// Lo que suena en los primeros `end` pasos de una pista, cortado en `end`, para
+// comparar pistas escritas de otra forma (silencios juntos o separados).
+const soundingPrefix = (track, end) => JSON.stringify(track.events
+  .filter(event => event.kind !== 'rest' && event.time < end)
+  .map(event => [event.kind, event.notes, event.time, Math.min(event.duration, end - event.time)]));
+
+/**
+ * Comprobaciones de la respuesta a una acción sobre la pista `track`: una sola pista,
+ * de batería sólo para `drums`. Para `continue`, con el mismo instrumento, `bars`
+ * compases más larga y con los pasos de `track` sin cambios al principio.
+ */
+export const getTrackActionValidator = (action, { drumInstruments }, { track, bars = 1 } = {}) => (tracks) => {
+  if (tracks.length !== 1) {
+    return [`Se esperaba una sola pista y la respuesta tiene ${tracks.length}.`];
+  }
+  const [result] = tracks;
+  const isDrum = drumInstruments.includes(result.instrument);
+  if (action === 'drums' && !isDrum) {
+    return [`La pista debe usar un instrumento de batería (${drumInstruments.join(', ')}).`];
+  }
+  if ((action === 'harmony' || action === 'bass') && isDrum) {
+    return ['La pista debe usar un instrumento melódico.'];
+  }
+  if (action === 'continue' && track) {
+    const messages = [];
+    const expected = track.length + bars * STEPS_PER_BAR;
+    if (result.instrument !== track.instrument) {
+      messages.push(`La continuación debe usar el mismo instrumento (${track.instrument}).`);
+    }
+    if (result.length !== expected) {
+      messages.push(`La pista debe durar ${expected} pasos (los ${track.length} originales y ${bars} compás(es) más) y dura ${result.length}.`);
+    }
+    if (soundingPrefix(result, track.length) !== soundingPrefix(track, track.length)) {
+      messages.push(`Los primeros ${track.length} pasos deben ser los de la pista original, sin cambios.`);
+    }
+    return messages;
+  }
+  return [];
+};
@@ -0,0 +1,102 @@
+import { extractDefinitions, appendTrackDefinitions, generateTrackDefinitions, getTrackActionValidator, buildTrackActionPrompt } from './ai';
+import { parseTrackDefinitions, DEFAULT_INSTRUMENTS, DEFAULT_DRUM_INSTRUMENTS } from './trackParser';
+
+const parserOptions = { instruments: DEFAULT_INSTRUMENTS, drumInstruments: DEFAULT_DRUM_INSTRUMENTS, drumPads: [] };
+
+// Proveedor que responde en orden con `replies` y guarda las conversaciones recibidas.
+const createFakeProvider = (replies) => {
+  const calls = [];
+  return {
+    calls,
+    complete: async (messages) => {
+      calls.push(messages.map(message => ({ ...message })));
+      return replies[calls.length - 1];
+    },
+  };
+};
+
+const tracksOf = (source) => parseTrackDefinitions(source, parserOptions).tracks;
+
+describe('extractDefinitions', () => {
+  test('se queda con el bloque de código o quita las comillas', () => {
+    expect(extractDefinitions('Aquí tienes:\n```\n[piano=do,re]\n```\nSuerte')).toBe('[piano=do,re]');
+    expect(extractDefinitions('"[piano=do]"')).toBe('[piano=do]');
+  });
+});
+
+describe('appendTrackDefinitions', () => {
+  test('añade las pistas antes de la línea song:', () => {
+    expect(appendTrackDefinitions('@a{[piano=do]}\nsong: a', '[synth=mi]')).toBe('@a{[piano=do]}, [synth=mi]\nsong: a');
+    expect(appendTrackDefinitions('[piano=do],', '[synth=mi]')).toBe('[piano=do], [synth=mi]');
+  });
+});
+
+describe('generateTrackDefinitions', () => {
+  test('devuelve los errores al modelo hasta que la respuesta es válida', async () => {
+    const provider = createFakeProvider(['[piano=do,zz]', '```\n[piano=do,re]\n```']);
+    const attempts = [];
+    const result = await generateTrackDefinitions({ provider, prompt: 'una escala', parserOptions, onAttempt: attempt => attempts.push(attempt) });
+    expect(result).toMatchObject({ definitions: '[piano=do,re]', attempts: 2, isValid: true });
+    expect(attempts).toEqual([1, 2]);
+    const [, repair] = provider.calls;
+    expect(repair.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(repair[2].text).toContain('- Línea 1, columna 11: Nota no reconocida: "zz"');
+  });
+
+  test('las comprobaciones propias también se reintentan', async () => {
+    const provider = createFakeProvider(['[piano=do], [synth=mi]', '[piano=do]']);
+    const validate = tracks => (tracks.length === 1 ? [] : ['Una sola pista.']);
+    const result = await generateTrackDefinitions({ provider, prompt: 'x', parserOptions, validate });
+    expect(result).toMatchObject({ attempts: 2, isValid: true });
+    expect(provider.calls[1][2].text).toContain('Una sola pista.');
+  });
+
+  test('se rinde tras maxAttempts y devuelve el último intento', async () => {
+    const provider = createFakeProvider(['nada', 'nada', 'nada']);
+    const result = await generateTrackDefinitions({ provider, prompt: 'x', parserOptions, maxAttempts: 2 });
+    expect(result).toMatchObject({ attempts: 2, isValid: false });
+    expect(provider.calls).toHaveLength(2);
+  });
+});
+
+describe('getTrackActionValidator', () => {
+  const [track] = tracksOf('[piano=do,re,mi,fa]');
+  const validateContinue = getTrackActionValidator('continue', parserOptions, { track, bars: 1 });
+
+  test('continue acepta la pista original seguida de un compás', () => {
+    expect(validateContinue(tracksOf('[piano=do,re,mi,fa,sol:2,la:4,si:4]'))).toEqual([]);
+    expect(validateContinue(tracksOf('[piano=do:16,re:16,mi:16,fa:16,sol:2,-:4,-:8,la:8]'))).toEqual([]);
+  });
+
+  test('continue rechaza cambios en los pasos originales', () => {
+    expect(validateContinue(tracksOf('[piano=do,re,mi,sol,sol:2,la:4,si:4]'))).toEqual([
+      'Los primeros 4 pasos deben ser los de la pista original, sin cambios.',
+    ]);
+  });
+
+  test('continue comprueba la duración y el instrumento', () => {
+    expect(validateContinue(tracksOf('[synth=do,re,mi,fa,sol:4]'))).toEqual([
+      'La continuación debe usar el mismo instrumento (piano).',
+      'La pista debe durar 20 pasos (los 4 originales y 1 compás(es) más) y dura 8.',
+    ]);
+  });
+
+  test('drums exige batería y bass un instrumento melódico', () => {
+    expect(getTrackActionValidator('drums', parserOptions)(tracksOf('[piano=do]'))).toEqual([
+      'La pista debe usar un instrumento de batería (drums).',
+    ]);
+    expect(getTrackActionValidator('bass', parserOptions)(tracksOf('[drums=kick]'))).toEqual([
+      'La pista debe usar un instrumento melódico.',
+    ]);
+    expect(getTrackActionValidator('harmony', parserOptions)(tracksOf('[piano=do], [synth=mi]'))).toEqual([
+      'Se esperaba una sola pista y la respuesta tiene 2.',
+    ]);
+  });
+});
+
+describe('buildTrackActionPrompt', () => {
+  test('incluye la pista y rechaza acciones desconocidas', () => {
+    expect(buildTrackActionPrompt({ action: 'continue', trackText: '[piano=do]', trackLength: 1, bars: 2 })).toContain('2 compás(es) más (32 pasos)');
+    expect(() => buildTrackActionPrompt({ action: 'bailar', trackText: '', trackLength: 0 })).toThrow('Acción de IA desconocida: "bailar"');
+  });
+});
@@ -0,0 +1,62 @@
+import { getSongLength } from './trackParser';
+
+/**
+ * Arreglo de la canción: en qué orden suenan los patrones y qué pistas suenan en cada
+ * paso. Lo recorren tanto el transporte en vivo como la exportación.
+ *
+ * Un arreglo es `{ sections, length, loop }`, donde cada sección es
+ * `{ pattern, start, length, trackIndices }` (paso inicial, duración en pasos e
+ * índices de las pistas que suenan). Dentro de una sección cada pista se repite en
+ * bucle con su propia longitud, contando desde el inicio de la sección.
+ */
+
+/**
+ * Construye el arreglo de una canción analizada (`{ tracks, patterns, song }`).
+ *
+ * - Sin patrones, toda la canción es una única sección de al menos `minLength` pasos
+ *   que se repite sin fin, como siempre.
+ * - Con patrones, las secciones siguen la línea `song:` (o cada patrón una vez, en
+ *   orden de definición, si no la hay) y la canción termina al acabar la última.
+ *   Las pistas que no están en ningún patrón suenan en todas las secciones.
+ *
+ * Cada sección dura lo que su pista más larga; los patrones vacíos o desconocidos se omiten.
+ */
+export const buildArrangement = ({ tracks, patterns = [], song = null }, minLength = 0) => {
+  if (patterns.length === 0) {
+    const length = getSongLength(tracks, minLength);
+    return { sections: [{ pattern: null, start: 0, length, trackIndices: tracks.map((_, i) => i) }], length, loop: true };
+  }
+  const order = song
+    ? song.flatMap(entry => Array(entry.repeat).fill(entry.pattern))
+    : patterns.map(pattern => pattern.name);
+  const sections = [];
+  let start = 0;
+  order.forEach(name => {
+    if (!patterns.some(pattern => pattern.name === name)) return;
+    const trackIndices = tracks
+      .map((_, i) => i)
+      .filter(i => tracks[i].pattern === name || tracks[i].pattern === null);
+    const length = getSongLength(trackIndices.map(i => tracks[i]));
+    if (length === 0) return;
+    sections.push({ pattern: name, start, length, trackIndices });
+    start += length;
+  });
+  return { sections, length: start, loop: false };
+};
+
+/**
+ * Sección que suena en el paso `step`, o `null` si está fuera de la canción.
+ */
+export const getSectionAt = (arrangement, step) => {
+  return arrangement.sections.find(section => step >= section.start && step < section.start + section.length) || null;
+};
+
+/**
+ * Paso de la pista `trackIndex` que suena en el paso `step` de la canción (contado
+ * desde el inicio de su sección), o `null` si la pista no suena en ese momento.
+ */
+export const getTrackPosition = (arrangement, trackIndex, step) => {
+  const section = getSectionAt(arrangement, step);
+  if (!section || !section.trackIndices.includes(trackIndex)) return null;
+  return step - section.start;
+};
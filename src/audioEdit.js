@@ -0,0 +1,164 @@
+/**
+ * Operaciones destructivas del Editor de Audio. Ninguna modifica el AudioBuffer que
+ * recibe: todas devuelven uno nuevo creado con `context.createBuffer`, de modo que el
+ * anterior pueda guardarse para deshacer. Las regiones se indican en segundos.
+ */
+
+// Formas de los fundidos como ganancia en función del avance (0 a 1) de un fundido
+// de entrada; el de salida usa la misma curva al revés.
+export const FADE_SHAPES = {
+  linear: { label: 'Lineal', gain: t => t },
+  exponential: { label: 'Exponencial', gain: t => (Math.pow(2, 10 * t) - 1) / 1023 },
+  logarithmic: { label: 'Logarítmica', gain: t => Math.log10(1 + 9 * t) },
+  scurve: { label: 'Curva en S', gain: t => (1 - Math.cos(Math.PI * t)) / 2 },
+};
+
+// Pico al que se normaliza por defecto, en dBFS.
+export const DEFAULT_NORMALIZE_DB = -1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toFrame = (buffer, time) => clamp(Math.round(time * buffer.sampleRate), 0, buffer.length);
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Copia de `buffer` en la que `process(data, from, to)` modifica cada canal entre los
+ * fotogramas de la región.
+ */
+const processRegion = (context, buffer, start, end, process) => {
+  const result = context.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  const from = toFrame(buffer, start);
+  const to = toFrame(buffer, end);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = result.getChannelData(c);
+    data.set(buffer.getChannelData(c));
+    process(data, from, to);
+  }
+  return result;
+};
+
+/**
+ * Región [start, end) como un AudioBuffer nuevo con todos sus canales.
+ */
+export const copyRegion = (context, buffer, start, end) => {
+  const from = toFrame(buffer, start);
+  const to = Math.max(from + 1, toFrame(buffer, end));
+  const result = context.createBuffer(buffer.numberOfChannels, to - from, buffer.sampleRate);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    result.getChannelData(c).set(buffer.getChannelData(c).subarray(from, to));
+  }
+  return result;
+};
+
+/**
+ * Audio sin la región [start, end).
+ */
+export const deleteRegion = (context, buffer, start, end) => {
+  const from = toFrame(buffer, start);
+  const to = toFrame(buffer, end);
+  if (to - from >= buffer.length) {
+    throw new Error('No se puede borrar todo el audio.');
+  }
+  const result = context.createBuffer(buffer.numberOfChannels, buffer.length - (to - from), buffer.sampleRate);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    const output = result.getChannelData(c);
+    output.set(data.subarray(0, from));
+    output.set(data.subarray(to), from);
+  }
+  return result;
+};
+
+/**
+ * Inserta `clip` en `at` segundos. Debe tener la frecuencia de muestreo de `buffer`
+ * (ver `convertBuffer`); si tiene menos canales, el último se repite en los que faltan.
+ */
+export const insertBuffer = (context, buffer, clip, at) => {
+  if (clip.sampleRate !== buffer.sampleRate) {
+    throw new Error('El fragmento tiene otra frecuencia de muestreo.');
+  }
+  const position = toFrame(buffer, at);
+  const result = context.createBuffer(buffer.numberOfChannels, buffer.length + clip.length, buffer.sampleRate);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    const output = result.getChannelData(c);
+    output.set(data.subarray(0, position));
+    output.set(clip.getChannelData(Math.min(c, clip.numberOfChannels - 1)), position);
+    output.set(data.subarray(position), position + clip.length);
+  }
+  return result;
+};
+
+/**
+ * Fundido de entrada (`direction: 'in'`) o de salida (`'out'`) a lo largo de la región
+ * con una de las curvas de `FADE_SHAPES`.
+ */
+export const fadeRegion = (context, buffer, start, end, direction, shape = 'linear') => {
+  const curve = FADE_SHAPES[shape].gain;
+  return processRegion(context, buffer, start, end, (data, from, to) => {
+    const length = Math.max(1, to - from - 1);
+    for (let i = from; i < to; i++) {
+      const progress = (i - from) / length;
+      data[i] *= curve(direction === 'in' ? progress : 1 - progress);
+    }
+  });
+};
+
+/**
+ * Cambia la ganancia de la región en `db` decibelios.
+ */
+export const gainRegion = (context, buffer, start, end, db) => {
+  const gain = dbToGain(db);
+  return processRegion(context, buffer, start, end, (data, from, to) => {
+    for (let i = from; i < to; i++) data[i] *= gain;
+  });
+};
+
+/**
+ * Pico absoluto de la región en todos los canales.
+ */
+export const getPeak = (buffer, start, end) => {
+  const from = toFrame(buffer, start);
+  const to = toFrame(buffer, end);
+  let peak = 0;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = from; i < to; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+  }
+  return peak;
+};
+
+/**
+ * Ajusta la ganancia de la región para que su pico quede en `targetDb` dBFS.
+ */
+export const normalizeRegion = (context, buffer, start, end, targetDb = DEFAULT_NORMALIZE_DB) => {
+  const peak = getPeak(buffer, start, end);
+  if (peak === 0) {
+    throw new Error('La región está en silencio; no hay nada que normalizar.');
+  }
+  return gainRegion(context, buffer, start, end, targetDb - 20 * Math.log10(peak));
+};
+
+export const reverseRegion = (context, buffer, start, end) => processRegion(context, buffer, start, end, (data, from, to) => {
+  data.subarray(from, to).reverse();
+});
+
+export const silenceRegion = (context, buffer, start, end) => processRegion(context, buffer, start, end, (data, from, to) => {
+  data.fill(0, from, to);
+});
+
+/**
+ * Convierte el audio a otra frecuencia de muestreo o número de canales (1 o 2)
+ * renderizándolo con un OfflineAudioContext, que remuestrea y mezcla los canales.
+ */
+export const convertBuffer = async (buffer, { sampleRate = buffer.sampleRate, channels = buffer.numberOfChannels }) => {
+  const context = new OfflineAudioContext(channels, Math.max(1, Math.ceil(buffer.duration * sampleRate)), sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start();
+  return context.startRendering();
+};
@@ -0,0 +1,88 @@
+import { copyRegion, deleteRegion, insertBuffer, fadeRegion, gainRegion, normalizeRegion, reverseRegion, silenceRegion } from './audioEdit';
+
+// Contexto mínimo: sólo crea AudioBuffers en memoria.
+const context = {
+  createBuffer: (channels, length, sampleRate) => {
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    return { length, sampleRate, numberOfChannels: channels, duration: length / sampleRate, getChannelData: c => data[c] };
+  },
+};
+
+// AudioBuffer a 10 Hz (un fotograma cada 0,1 s) con los valores de cada canal.
+const createBuffer = (...channels) => {
+  const buffer = context.createBuffer(channels.length, channels[0].length, 10);
+  channels.forEach((values, c) => buffer.getChannelData(c).set(values));
+  return buffer;
+};
+
+const channelsOf = (buffer) => Array.from({ length: buffer.numberOfChannels }, (_, c) => Array.from(buffer.getChannelData(c)));
+
+describe('cortar y pegar', () => {
+  test('copia y borra la región en todos los canales sin tocar el original', () => {
+    const buffer = createBuffer([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+    expect(channelsOf(copyRegion(context, buffer, 0.1, 0.3))).toEqual([[2, 3], [7, 8]]);
+    expect(channelsOf(deleteRegion(context, buffer, 0.1, 0.3))).toEqual([[1, 4, 5], [6, 9, 10]]);
+    expect(channelsOf(buffer)).toEqual([[1, 2, 3, 4, 5], [6, 7, 8, 9, 10]]);
+  });
+
+  test('una región vacía se copia como un fotograma', () => {
+    expect(channelsOf(copyRegion(context, createBuffer([1, 2, 3]), 0.2, 0.2))).toEqual([[3]]);
+  });
+
+  test('no deja borrar todo el audio', () => {
+    expect(() => deleteRegion(context, createBuffer([1, 2, 3]), 0, 0.3)).toThrow('No se puede borrar todo el audio.');
+  });
+
+  test('pega en la posición indicada y repite el último canal si faltan', () => {
+    const buffer = createBuffer([1, 2, 3], [4, 5, 6]);
+    expect(channelsOf(insertBuffer(context, buffer, createBuffer([9, 9]), 0.1))).toEqual([[1, 9, 9, 2, 3], [4, 9, 9, 5, 6]]);
+    expect(channelsOf(insertBuffer(context, buffer, createBuffer([8]), 0.3))).toEqual([[1, 2, 3, 8], [4, 5, 6, 8]]);
+  });
+
+  test('rechaza fragmentos con otra frecuencia de muestreo', () => {
+    const clip = { ...createBuffer([1]), sampleRate: 44100 };
+    expect(() => insertBuffer(context, createBuffer([1, 2]), clip, 0)).toThrow('otra frecuencia de muestreo');
+  });
+});
+
+describe('fundidos', () => {
+  test('cada forma va de silencio a ganancia completa', () => {
+    ['linear', 'exponential', 'logarithmic', 'scurve'].forEach(shape => {
+      const faded = channelsOf(fadeRegion(context, createBuffer([1, 1, 1, 1, 1]), 0, 0.5, 'in', shape))[0];
+      expect(faded[0]).toBeCloseTo(0);
+      expect(faded[4]).toBeCloseTo(1);
+      faded.slice(1).forEach((value, i) => expect(value).toBeGreaterThanOrEqual(faded[i]));
+    });
+    expect(channelsOf(fadeRegion(context, createBuffer([1, 1, 1, 1, 1]), 0, 0.5, 'in'))[0]).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(channelsOf(fadeRegion(context, createBuffer([1, 1, 1, 1, 1]), 0.2, 0.5, 'out'))[0]).toEqual([1, 1, 1, 0.5, 0]);
+  });
+
+  test('un fundido de un solo fotograma no da NaN', () => {
+    expect(channelsOf(fadeRegion(context, createBuffer([1, 1, 1]), 0.1, 0.2, 'in'))[0]).toEqual([1, 0, 1]);
+    expect(channelsOf(fadeRegion(context, createBuffer([1, 1, 1]), 0.1, 0.2, 'out'))[0]).toEqual([1, 1, 1]);
+  });
+});
+
+describe('ganancia, normalización y otros', () => {
+  test('la ganancia en dB sólo afecta a la región', () => {
+    const [values] = channelsOf(gainRegion(context, createBuffer([0.5, 0.5, 0.5]), 0.1, 0.2, -6));
+    expect(values[0]).toBe(0.5);
+    expect(values[1]).toBeCloseTo(0.5 * Math.pow(10, -6 / 20));
+    expect(values[2]).toBe(0.5);
+  });
+
+  test('normaliza el pico de todos los canales', () => {
+    const normalized = channelsOf(normalizeRegion(context, createBuffer([0.1, -0.25], [0.2, 0]), 0, 0.2, 0));
+    expect(normalized[0][1]).toBeCloseTo(-1);
+    expect(normalized[1][0]).toBeCloseTo(0.8);
+  });
+
+  test('no normaliza una región en silencio', () => {
+    expect(() => normalizeRegion(context, createBuffer([0, 0, 1]), 0, 0.2)).toThrow('en silencio');
+  });
+
+  test('invierte y silencia sólo la región', () => {
+    expect(channelsOf(reverseRegion(context, createBuffer([1, 2, 3, 4]), 0.1, 0.4))).toEqual([[1, 4, 3, 2]]);
+    expect(channelsOf(silenceRegion(context, createBuffer([1, 2, 3, 4]), 0, 0.2))).toEqual([[0, 0, 3, 4]]);
+  });
+});
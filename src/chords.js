@@ -0,0 +1,41 @@
+import { parseNoteSpec } from './pitch';
+
+/**
+ * Cifrados de acordes (`Cmaj7`, `Am`, `G7/B`) y su expansión a notas MIDI.
+ */
+
+// Intervalos en semitonos sobre la fundamental para cada tipo de acorde.
+export const chordQualities = {
+  'maj': [0, 4, 7], 'M': [0, 4, 7],
+  'm': [0, 3, 7], 'min': [0, 3, 7],
+  'dim': [0, 3, 6], 'aug': [0, 4, 8],
+  'sus2': [0, 2, 7], 'sus4': [0, 5, 7],
+  '6': [0, 4, 7, 9], 'm6': [0, 3, 7, 9],
+  '7': [0, 4, 7, 10], 'maj7': [0, 4, 7, 11], 'M7': [0, 4, 7, 11],
+  'm7': [0, 3, 7, 10], 'm7b5': [0, 3, 6, 10], 'dim7': [0, 3, 6, 9],
+  '9': [0, 4, 7, 10, 14], 'add9': [0, 4, 7, 14],
+};
+
+// La fundamental va en mayúscula para no confundir `Am` con una nota. Ojo: `G7` es
+// un acorde; para la nota Sol en la octava 7 se escribe `g7` o `sol7`.
+const CHORD_PATTERN = /^([A-G](?:#|b)?)([A-Za-z0-9]*)(?:\/([A-G](?:#|b)?))?$/;
+
+/**
+ * Expande un cifrado a sus notas MIDI con la fundamental en `octave`; un bajo
+ * indicado con `/` se coloca una octava por debajo. Devuelve `null` si el token
+ * no es un cifrado (por ejemplo `C4` o `Bb`, que son notas sueltas).
+ */
+export const parseChordSymbol = (token, octave) => {
+  const match = CHORD_PATTERN.exec(token);
+  if (!match) return null;
+  const [, root, quality, bass] = match;
+  if (!quality && !bass) return null;
+  const intervals = chordQualities[quality || 'maj'];
+  if (!intervals) return null;
+  const rootMidi = parseNoteSpec(root, octave).midi;
+  const notes = intervals.map(interval => rootMidi + interval);
+  if (bass) {
+    notes.unshift(parseNoteSpec(bass, Math.max(octave - 1, 0)).midi);
+  }
+  return notes.filter(midi => midi >= 0 && midi <= 127);
+};
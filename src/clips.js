@@ -0,0 +1,199 @@
+import { audioBufferToWavBase64, base64ToArrayBuffer } from './wav';
+import { STEPS_PER_BAR } from './transport';
+
+/**
+ * Clips de audio en la línea de tiempo: fragmentos del Editor de Audio que empiezan en
+ * un paso de la canción y suenan a través del mezclador como una pista más, tanto en
+ * la reproducción como en la exportación.
+ *
+ * Un clip es `{ name, buffer, start, volume, pan, send, mute, solo, fit, bars }`: los
+ * campos de mezcla son los mismos que los de las pistas analizadas para compartir
+ * mute/solo y canales. Con `fit` distinto de `'none'` el clip se ajusta para durar
+ * `bars` compases al BPM del proyecto. En el proyecto se guardan como WAV en base64.
+ *
+ * El audio estirado se calcula aparte con `stretchClip` (fuera del hilo principal) y
+ * se guarda por clip y proporción; hasta que está listo, el clip no suena.
+ */
+
+// Duración máxima de cada clip; además, todo el audio del proyecto debe caber en
+// `AUDIO_BUDGET_BYTES` (projects.js).
+export const MAX_CLIP_SECONDS = 8;
+
+// Límites de la proporción de estiramiento o remuestreo: más allá el audio no se
+// reconoce, y un BPM absurdo no debe pedir un audio enorme.
+const MIN_FIT_RATIO = 0.25;
+const MAX_FIT_RATIO = 4;
+
+// Proporciones estiradas que se conservan por clip (las de los últimos BPM usados).
+const MAX_CACHED_STRETCHES = 4;
+
+export const CLIP_FIT_MODES = {
+  none: 'Duración original',
+  stretch: 'Estirar (mantiene el tono)',
+  resample: 'Remuestrear (cambia el tono)',
+};
+
+// Fundido al cortar un clip para que no haga clic.
+const RELEASE_SECONDS = 0.01;
+
+const getStepSeconds = (bpm) => 60 / bpm / 4;
+
+/**
+ * Compases enteros (al menos uno) que más se acercan a `duration` segundos a `bpm`.
+ */
+export const estimateBars = (duration, bpm) => {
+  return Math.max(1, Math.round(duration / (STEPS_PER_BAR * getStepSeconds(bpm))));
+};
+
+/**
+ * Clip nuevo en el paso `start` con los ajustes de mezcla por defecto.
+ */
+export const createClip = ({ name, buffer, start = 0, bpm }) => ({
+  name, buffer, start, volume: 0.8, pan: 0, send: 0, mute: false, solo: false, fit: 'none', bars: estimateBars(buffer.duration, bpm),
+});
+
+/**
+ * Proporción entre la duración ajustada del clip a `bpm` y la original, limitada a
+ * [MIN_FIT_RATIO, MAX_FIT_RATIO].
+ */
+const getFitRatio = (clip, bpm) => {
+  const ratio = (clip.bars * STEPS_PER_BAR * getStepSeconds(bpm)) / clip.buffer.duration;
+  return Math.min(MAX_FIT_RATIO, Math.max(MIN_FIT_RATIO, ratio));
+};
+
+// Audios estirados (o en cálculo) de cada clip, por proporción: `{ promise, buffer }`.
+const stretchCache = new WeakMap();
+
+const getStretchEntry = (clip, bpm) => {
+  const cache = stretchCache.get(clip.buffer);
+  return cache ? cache.get(getFitRatio(clip, bpm).toFixed(6)) : undefined;
+};
+
+/**
+ * Calcula el audio estirado de un clip para `bpm` con `stretch(channels, ratio)` (ver
+ * `createStretcher`), si no lo estaba ya. Devuelve una promesa con el AudioBuffer, o
+ * con `null` si el clip no se estira.
+ */
+export const stretchClip = (context, clip, bpm, stretch) => {
+  if (clip.fit !== 'stretch') return Promise.resolve(null);
+  const existing = getStretchEntry(clip, bpm);
+  if (existing) return existing.promise;
+  if (!stretchCache.has(clip.buffer)) stretchCache.set(clip.buffer, new Map());
+  const cache = stretchCache.get(clip.buffer);
+  const ratio = getFitRatio(clip, bpm);
+  const key = ratio.toFixed(6);
+  const channels = [];
+  for (let c = 0; c < clip.buffer.numberOfChannels; c++) {
+    channels.push(clip.buffer.getChannelData(c).slice());
+  }
+  const entry = { buffer: null };
+  entry.promise = stretch(channels, ratio).then(stretched => {
+    const buffer = context.createBuffer(stretched.length, stretched[0].length, clip.buffer.sampleRate);
+    stretched.forEach((data, c) => buffer.copyToChannel(data, c));
+    entry.buffer = buffer;
+    return buffer;
+  });
+  entry.promise.catch(() => cache.delete(key));
+  cache.set(key, entry);
+  // Los Map recorren sus claves por orden de inserción: la primera es la más antigua.
+  if (cache.size > MAX_CACHED_STRETCHES) cache.delete(cache.keys().next().value);
+  return entry.promise;
+};
+
+/**
+ * Prepara un clip para sonar a `bpm`: `playback` es el audio que se reproduce (`null`
+ * mientras `stretchClip` no lo tenga listo), `rate` su velocidad y `length` su
+ * duración en pasos.
+ */
+export const prepareClip = (clip, bpm) => {
+  const stepSeconds = getStepSeconds(bpm);
+  if (clip.fit === 'none') {
+    return { ...clip, playback: clip.buffer, rate: 1, length: clip.buffer.duration / stepSeconds, stepSeconds };
+  }
+  const ratio = getFitRatio(clip, bpm);
+  const target = clip.buffer.duration * ratio;
+  // Si la proporción no se limitó, el clip dura justo los compases pedidos.
+  const length = Math.abs(target / stepSeconds - clip.bars * STEPS_PER_BAR) < 1e-6 ? clip.bars * STEPS_PER_BAR : target / stepSeconds;
+  if (clip.fit === 'resample') {
+    return { ...clip, playback: clip.buffer, rate: 1 / ratio, length, stepSeconds };
+  }
+  const entry = getStretchEntry(clip, bpm);
+  return { ...clip, playback: entry ? entry.buffer : null, rate: 1, length, stepSeconds };
+};
+
+/**
+ * Alarga el arreglo hasta el compás en que termina el último clip. Sin patrones se
+ * alarga la única sección, así que las pistas siguen repitiéndose debajo del clip.
+ */
+export const extendArrangement = (arrangement, clips) => {
+  const end = Math.max(0, ...clips.map(clip => clip.start + Math.ceil(clip.length)));
+  if (end <= arrangement.length) return arrangement;
+  const length = Math.ceil(end / STEPS_PER_BAR) * STEPS_PER_BAR;
+  if (arrangement.sections.length === 1 && arrangement.sections[0].pattern === null) {
+    return { ...arrangement, length, sections: [{ ...arrangement.sections[0], length }] };
+  }
+  return { ...arrangement, length };
+};
+
+/**
+ * Programa un clip preparado en `output` a partir de `time`, cortándolo con un fundido
+ * como muy tarde a los `maxSteps` pasos (el final de la canción). Si el tempo cambió
+ * desde que se preparó, los clips ajustados se aceleran o frenan para seguirlo.
+ * Devuelve la fuente para poder pararla, o `null` si el clip aún no tiene audio.
+ */
+export const scheduleClip = (context, clip, output, time, stepSeconds, maxSteps) => {
+  if (!clip.playback) return null;
+  const source = context.createBufferSource();
+  source.buffer = clip.playback;
+  const tempoRate = clip.fit === 'none' ? 1 : clip.stepSeconds / stepSeconds;
+  source.playbackRate.value = clip.rate * tempoRate;
+  const duration = Math.min(clip.playback.duration / source.playbackRate.value, maxSteps * stepSeconds);
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(clip.volume, time);
+  gain.gain.setValueAtTime(clip.volume, Math.max(time, time + duration - RELEASE_SECONDS));
+  gain.gain.linearRampToValueAtTime(0, time + duration);
+  source.connect(gain);
+  gain.connect(output);
+  source.start(time);
+  source.stop(time + duration);
+  return source;
+};
+
+const CLIP_FIELDS = ['name', 'start', 'volume', 'pan', 'send', 'mute', 'solo', 'fit', 'bars'];
+
+// El audio codificado se reutiliza al cambiar sólo los ajustes de un clip.
+const encodedCache = new WeakMap();
+
+/**
+ * Prepara un clip para guardarlo en el proyecto.
+ */
+export const serializeClip = (clip) => {
+  if (!encodedCache.has(clip.buffer)) encodedCache.set(clip.buffer, audioBufferToWavBase64(clip.buffer));
+  return {
+    ...Object.fromEntries(CLIP_FIELDS.map(field => [field, clip[field]])),
+    data: encodedCache.get(clip.buffer),
+  };
+};
+
+/**
+ * Reconstruye los clips guardados en un proyecto. Los que no se pueden decodificar se
+ * omiten y se devuelven sus nombres en `failed`.
+ */
+export const deserializeClips = async (context, stored = []) => {
+  const clips = [];
+  const failed = [];
+  for (const clip of stored) {
+    try {
+      const buffer = await context.decodeAudioData(base64ToArrayBuffer(clip.data));
+      clips.push({
+        ...createClip({ name: String(clip.name || 'clip'), buffer, bpm: 120 }),
+        ...Object.fromEntries(CLIP_FIELDS.filter(field => clip[field] !== undefined).map(field => [field, clip[field]])),
+        fit: CLIP_FIT_MODES[clip.fit] ? clip.fit : 'none',
+      });
+    } catch (e) {
+      console.error(e);
+      failed.push(clip.name);
+    }
+  }
+  return { clips, failed };
+};
@@ -0,0 +1,58 @@
+import { createClip, prepareClip, stretchClip, scheduleClip } from './clips';
+
+// AudioBuffer mínimo: `seconds` segundos mono a 1000 Hz.
+const createBuffer = (seconds, sampleRate = 1000) => {
+  const data = new Float32Array(Math.round(seconds * sampleRate));
+  return { duration: seconds, length: data.length, numberOfChannels: 1, sampleRate, getChannelData: () => data };
+};
+
+const context = {
+  createBuffer: (channels, length, sampleRate) => {
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    return { duration: length / sampleRate, length, sampleRate, numberOfChannels: channels, copyToChannel: (values, c) => data[c].set(values) };
+  },
+};
+
+// Estiramiento simulado: sólo cambia la longitud y cuenta las llamadas.
+const createFakeStretch = () => jest.fn(async (channels, ratio) => channels.map(channel => new Float32Array(Math.round(channel.length * ratio))));
+
+describe('prepareClip', () => {
+  test('remuestrea para durar los compases pedidos', () => {
+    const clip = { ...createClip({ name: 'clip1', buffer: createBuffer(1), bpm: 120 }), fit: 'resample', bars: 1 };
+    expect(prepareClip(clip, 120)).toMatchObject({ rate: 0.5, length: 16 });
+  });
+
+  test('limita la proporción con tempos extremos', () => {
+    const clip = { ...createClip({ name: 'clip1', buffer: createBuffer(1), bpm: 120 }), fit: 'resample', bars: 1 };
+    const fast = prepareClip(clip, 1e6);
+    expect(fast.rate).toBe(4);
+    expect(fast.length).toBeCloseTo(0.25 / fast.stepSeconds);
+    expect(prepareClip(clip, 1).rate).toBe(0.25);
+  });
+});
+
+describe('stretchClip', () => {
+  test('el clip no suena hasta tener el audio estirado, que se reutiliza por BPM', async () => {
+    const stretch = createFakeStretch();
+    const clip = { ...createClip({ name: 'clip1', buffer: createBuffer(1), bpm: 120 }), fit: 'stretch', bars: 1 };
+    expect(prepareClip(clip, 120).playback).toBeNull();
+    expect(scheduleClip(context, prepareClip(clip, 120), null, 0, 0.125, 16)).toBeNull();
+
+    const buffer = await stretchClip(context, clip, 120, stretch);
+    expect(buffer.length).toBe(2000);
+    expect(prepareClip(clip, 120)).toMatchObject({ playback: buffer, rate: 1, length: 16 });
+
+    await stretchClip(context, { ...clip, volume: 0.5 }, 120, stretch);
+    expect(stretch).toHaveBeenCalledTimes(1);
+    await stretchClip(context, clip, 60, stretch);
+    expect(stretch).toHaveBeenCalledTimes(2);
+    expect(stretch).toHaveBeenLastCalledWith([expect.any(Float32Array)], 4);
+  });
+
+  test('los clips sin estirar no piden nada', async () => {
+    const stretch = createFakeStretch();
+    const clip = createClip({ name: 'clip1', buffer: createBuffer(1), bpm: 120 });
+    expect(await stretchClip(context, clip, 120, stretch)).toBeNull();
+    expect(stretch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getFirestore, connectFirestoreEmulator, doc, updateDoc } from 'firebase/firestore';
+import { createSession, connectSession } from './collaboration';
+import { getAppId } from './projects';
+
+// Pruebas contra el emulador de Firestore: `npm run test:emulators`, o con
+// FIRESTORE_EMULATOR_HOST apuntando a un emulador ya iniciado. Sin él se omiten.
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = emulatorHost ? describe : describe.skip;
+
+const values = (trackDefinitions) => ({ trackDefinitions, bpm: 120, projectNotes: '' });
+
+const waitFor = async (condition, timeout = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Tiempo de espera agotado');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describeWithEmulator('connectSession con el emulador de Firestore', () => {
+  jest.setTimeout(20000);
+
+  const apps = [];
+  const connections = [];
+
+  const openDb = (name) => {
+    const app = initializeApp({ projectId: 'demo-musica', apiKey: 'demo-key' }, `${name}-${Date.now()}`);
+    apps.push(app);
+    const db = getFirestore(app);
+    const [host, port] = emulatorHost.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+    return db;
+  };
+
+  // Participante que acepta siempre los valores fusionados; `synced` indica que ya
+  // recibió el estado de la sesión, que sustituye a sus valores iniciales.
+  const join = (db, userId, sessionId) => {
+    const client = { values: values('sin sincronizar'), conflicts: [], synced: false };
+    client.connection = connectSession({
+      db,
+      userId,
+      sessionId,
+      getValues: () => client.values,
+      onRemoteValues: (merged) => {
+        client.values = merged;
+        client.synced = true;
+      },
+      onConflicts: (conflicts) => client.conflicts.push(...conflicts),
+      onError: (message) => { throw new Error(message); },
+      onSessionEnd: () => {},
+    });
+    connections.push(client.connection);
+    return client;
+  };
+
+  afterEach(async () => {
+    connections.splice(0).forEach(connection => connection.disconnect());
+    await Promise.all(apps.splice(0).map(app => deleteApp(app)));
+  });
+
+  test('el eco de los envíos propios no da conflictos al seguir escribiendo', async () => {
+    const db = openDb('a');
+    const sessionId = await createSession(db, 'a', values(''), 'eco');
+    const client = join(db, 'a', sessionId);
+    await waitFor(() => client.synced);
+    let text = '';
+    for (const note of ['do', 're', 'mi', 'fa', 'sol', 'la', 'si']) {
+      text = text ? `${text},${note}` : `[piano=${note}`;
+      client.values = values(`${text}]`);
+      // Sin esperar al envío anterior, como al teclear deprisa.
+      client.connection.push();
+      await new Promise(resolve => setTimeout(resolve, 30));
+    }
+    await waitFor(() => !client.connection.hasChanges());
+    await client.connection.push();
+    expect(client.conflicts).toEqual([]);
+    expect(client.values.trackDefinitions).toBe('[piano=do,re,mi,fa,sol,la,si]');
+  });
+
+  test('las ediciones simultáneas en zonas distintas se conservan las dos', async () => {
+    const [dbA, dbB] = [openDb('a'), openDb('b')];
+    const sessionId = await createSession(dbA, 'a', values('[piano=do]'), 'fusion');
+    const a = join(dbA, 'a', sessionId);
+    const b = join(dbB, 'b', sessionId);
+    await waitFor(() => a.synced && b.synced);
+    a.values = values('[piano=do], [synth=mi]');
+    b.values = values('[drums=kick], [piano=do]');
+    await Promise.all([a.connection.push(), b.connection.push()]);
+    const merged = '[drums=kick], [piano=do], [synth=mi]';
+    await waitFor(() => a.values.trackDefinitions === merged && b.values.trackDefinitions === merged);
+    expect([...a.conflicts, ...b.conflicts]).toEqual([]);
+  });
+
+  test('un cambio ajeno en el mismo paso es un conflicto y se conservan los dos', async () => {
+    const db = openDb('a');
+    const sessionId = await createSession(db, 'a', values('[piano=do]'), 'conflicto');
+    const client = join(db, 'a', sessionId);
+    await waitFor(() => client.synced);
+    client.values = values('[piano=re]');
+    await updateDoc(doc(db, `artifacts/${getAppId()}/public/data/sessions/${sessionId}`), { trackDefinitions: '[piano=mi]', revision: 'b-1' });
+    await waitFor(() => client.conflicts.length > 0);
+    expect(client.conflicts).toEqual(['trackDefinitions']);
+    expect(client.values.trackDefinitions).toBe('[piano=re,mi]');
+  });
+});
@@ -0,0 +1,396 @@
+import { useEffect, useRef, useState } from 'react';
+import { collection, doc, getDoc, setDoc, deleteDoc, onSnapshot, runTransaction } from 'firebase/firestore';
+import { getAppId } from './projects';
+
+/**
+ * Edición colaborativa en tiempo real. Una sesión es un documento compartido en
+ * `artifacts/{appId}/public/data/sessions/{sessionId}` con las definiciones de
+ * pista, el BPM y las notas; cada participante anuncia su presencia (y la pista que
+ * edita) en la subcolección `presence`.
+ *
+ * Los cambios locales se envían con una transacción que los fusiona con los remotos
+ * a partir del último estado sincronizado (la base). La fusión compara pasos y
+ * palabras: las ediciones en pasos distintos se aplican las dos y, si dos personas
+ * cambian el mismo paso, se conservan ambas versiones una junto a la otra, así que
+ * no se pierden pulsaciones de nadie.
+ */
+
+export const SHARED_FIELDS = ['trackDefinitions', 'bpm', 'projectNotes'];
+
+const CONFLICT_MESSAGES = {
+  trackDefinitions: 'Cambios simultáneos en las pistas: se conservaron los dos, revisa el resultado.',
+  bpm: 'Cambios simultáneos en el BPM: se conservó el tuyo.',
+  projectNotes: 'Cambios simultáneos en las notas: se conservaron los dos, revisa el resultado.',
+};
+
+// Qué se pone entre las dos versiones de un mismo fragmento editado a la vez.
+const CONFLICT_SEPARATORS = { trackDefinitions: ',', projectNotes: ' ' };
+
+// Unidades que compara la fusión: pasos, nombres y palabras, o un separador suelto.
+const TOKEN_PATTERN = /[^\s,[\]=]+|[\s\S]/g;
+
+// Por encima de este tamaño (pasos distintos de una versión por los de la otra) no
+// se buscan coincidencias dentro del fragmento cambiado: cuenta como un solo cambio.
+const MAX_DIFF_CELLS = 1000000;
+
+// Espera tras la última edición antes de enviarla.
+const PUSH_DELAY_MS = 300;
+const HEARTBEAT_MS = 20000;
+// Un participante sin latido en este tiempo se da por desconectado.
+const PRESENCE_TIMEOUT_MS = 60000;
+
+const sessionRef = (db, sessionId) => doc(db, `artifacts/${getAppId()}/public/data/sessions/${sessionId}`);
+
+const presenceCollection = (db, sessionId) => collection(sessionRef(db, sessionId), 'presence');
+
+const pickValues = (data) => ({ trackDefinitions: data.trackDefinitions || '', bpm: data.bpm || 120, projectNotes: data.projectNotes || '' });
+
+const sameValues = (a, b) => SHARED_FIELDS.every(key => a[key] === b[key]);
+
+/**
+ * Zona de `base` que cambió para convertirse en `text`: `[start, end)` en `base` y
+ * el texto que la sustituye.
+ */
+const changedRegion = (base, text) => {
+  let prefix = 0;
+  while (prefix < base.length && prefix < text.length && base[prefix] === text[prefix]) prefix++;
+  let suffix = 0;
+  const maxSuffix = Math.min(base.length, text.length) - prefix;
+  while (suffix < maxSuffix && base[base.length - 1 - suffix] === text[text.length - 1 - suffix]) suffix++;
+  return { start: prefix, end: base.length - suffix, text: text.slice(prefix, text.length - suffix) };
+};
+
+const tokenize = (text) => text.match(TOKEN_PATTERN) || [];
+
+/**
+ * Cambios que convierten los tokens `base` en `other` (por la subsecuencia común más
+ * larga), como `{ start, end, tokens }`: `[start, end)` en `base` y lo que lo sustituye.
+ */
+const diffTokens = (base, other) => {
+  let prefix = 0;
+  while (prefix < base.length && prefix < other.length && base[prefix] === other[prefix]) prefix++;
+  let suffix = 0;
+  const maxSuffix = Math.min(base.length, other.length) - prefix;
+  while (suffix < maxSuffix && base[base.length - 1 - suffix] === other[other.length - 1 - suffix]) suffix++;
+  const a = base.slice(prefix, base.length - suffix);
+  const b = other.slice(prefix, other.length - suffix);
+  if (a.length === 0 && b.length === 0) return [];
+  if (a.length * b.length > MAX_DIFF_CELLS) return [{ start: prefix, end: prefix + a.length, tokens: b }];
+
+  // common[i][j]: longitud de la subsecuencia común más larga de a[i..] y b[j..].
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      if (hunk) hunks.push(hunk);
+      hunk = null;
+      i++;
+      j++;
+    } else {
+      if (!hunk) hunk = { start: prefix + i, end: prefix + i, tokens: [] };
+      if (j < b.length && (i === a.length || common[i][j + 1] >= common[i + 1][j])) {
+        hunk.tokens.push(b[j++]);
+      } else {
+        hunk.end = prefix + ++i;
+      }
+    }
+  }
+  if (hunk) hunks.push(hunk);
+  return hunks;
+};
+
+/**
+ * Fusión a tres bandas de un texto, por pasos y palabras. Los cambios de `local` y de
+ * `remote` que no se solapan se aplican todos; donde se solapan (o insertan en el
+ * mismo punto) se conservan las dos versiones, la local y luego la remota unidas por
+ * `separator`, y se indica conflicto; salvo que una sea continuación de la otra.
+ */
+export const mergeText = (base, local, remote, separator = ',') => {
+  if (local === base || local === remote) return { text: remote, conflict: false };
+  if (remote === base) return { text: local, conflict: false };
+  const baseTokens = tokenize(base);
+  const hunks = [
+    ...diffTokens(baseTokens, tokenize(local)).map(hunk => ({ ...hunk, side: 'local' })),
+    ...diffTokens(baseTokens, tokenize(remote)).map(hunk => ({ ...hunk, side: 'remote' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Agrupa los cambios que se solapan. Los de un mismo lado nunca se tocan.
+  const groups = [];
+  hunks.forEach(hunk => {
+    const group = groups[groups.length - 1];
+    const sameInsertion = group && hunk.start === hunk.end && group.start === group.end && hunk.start === group.start;
+    if (group && (hunk.start < group.end || sameInsertion)) {
+      group.end = Math.max(group.end, hunk.end);
+      group.hunks.push(hunk);
+    } else {
+      groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  });
+
+  let conflict = false;
+  let position = 0;
+  const parts = [];
+  groups.forEach(group => {
+    const applySide = (side) => {
+      const tokens = [];
+      let at = group.start;
+      group.hunks.filter(hunk => hunk.side === side).forEach(hunk => {
+        tokens.push(...baseTokens.slice(at, hunk.start), ...hunk.tokens);
+        at = hunk.end;
+      });
+      return tokens.concat(baseTokens.slice(at, group.end)).join('');
+    };
+    const original = baseTokens.slice(group.start, group.end).join('');
+    const mine = applySide('local');
+    const theirs = applySide('remote');
+    parts.push(baseTokens.slice(position, group.start).join(''));
+    if (theirs === original || theirs === mine) {
+      parts.push(mine);
+    } else if (mine === original) {
+      parts.push(theirs);
+    } else if (mine && theirs && (mine.startsWith(theirs) || theirs.startsWith(mine))) {
+      // Uno continuó lo que escribió el otro: la versión más larga ya contiene las dos.
+      parts.push(mine.length >= theirs.length ? mine : theirs);
+    } else {
+      conflict = true;
+      const joined = mine && theirs && !/[\s,]$/.test(mine) && !/^[\s,]/.test(theirs);
+      parts.push(joined ? mine + separator + theirs : mine + theirs);
+    }
+    position = group.end;
+  });
+  parts.push(baseTokens.slice(position).join(''));
+  return { text: parts.join(''), conflict };
+};
+
+/**
+ * Fusiona los campos compartidos. Devuelve los valores resultantes y la lista de
+ * campos en conflicto: en los textos se conservan las dos versiones y en el BPM el
+ * valor local.
+ */
+export const mergeValues = (base, local, remote) => {
+  const values = {};
+  const conflicts = [];
+  SHARED_FIELDS.forEach(key => {
+    if (typeof base[key] === 'string') {
+      const { text, conflict } = mergeText(base[key], local[key], remote[key], CONFLICT_SEPARATORS[key]);
+      values[key] = text;
+      if (conflict) conflicts.push(key);
+    } else {
+      values[key] = local[key] !== base[key] ? local[key] : remote[key];
+      if (local[key] !== base[key] && remote[key] !== base[key] && local[key] !== remote[key]) conflicts.push(key);
+    }
+  });
+  return { values, conflicts };
+};
+
+/**
+ * Posición equivalente de `offset` tras convertir `before` en `after`, para que el
+ * cursor de un campo de texto no salte al aplicar cambios remotos.
+ */
+export const transformOffset = (before, after, offset) => {
+  const region = changedRegion(before, after);
+  if (offset <= region.start) return offset;
+  if (offset >= region.end) return offset + after.length - before.length;
+  return region.start + region.text.length;
+};
+
+/**
+ * Crea una sesión compartida con los valores actuales y devuelve su ID.
+ */
+export const createSession = async (db, userId, values, name) => {
+  const slug = (name || 'sesion').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'sesion';
+  const sessionId = `${slug}-${Math.random().toString(36).slice(2, 8)}`;
+  await setDoc(sessionRef(db, sessionId), { ...pickValues(values), owner: userId, updatedBy: userId, updatedAt: Date.now() });
+  return sessionId;
+};
+
+export const sessionExists = async (db, sessionId) => {
+  return (await getDoc(sessionRef(db, sessionId))).exists();
+};
+
+/**
+ * Sincroniza los campos compartidos con la sesión `sessionId`, fuera de React.
+ * `getValues()` da los valores locales, `onRemoteValues(merged, local)` recibe los
+ * que deben sustituirlos y `onConflicts(campos)` los campos en conflicto de cada
+ * fusión. Devuelve `{ push, hasChanges, disconnect }`; `push()` envía los cambios
+ * locales pendientes.
+ *
+ * Cada envío lleva su `revision`. Cuando llega el eco de una revisión propia no se
+ * trata como un cambio remoto (chocaría con lo escrito después del envío y daría un
+ * conflicto falso): sólo se rebasan sobre él las ediciones posteriores.
+ */
+export const connectSession = ({ db, userId, sessionId, getValues, onRemoteValues, onConflicts, onError, onSessionEnd }) => {
+  const ref = sessionRef(db, sessionId);
+  // Último estado confirmado por Firestore; `null` hasta recibir el primero.
+  let base = null;
+  let pushing = false;
+  let active = true;
+  // Valores enviados en cada revisión propia, hasta recibir su eco.
+  const ownWrites = new Map();
+
+  const hasChanges = () => base !== null && !sameValues(getValues(), base);
+
+  // Aplica sobre `merged` lo que se editó localmente después de enviar `sent`.
+  const rebase = (sent, merged) => {
+    const local = getValues();
+    const values = sameValues(local, sent) ? merged : mergeValues(sent, local, merged).values;
+    if (!sameValues(values, local)) onRemoteValues(values, local);
+  };
+
+  // Si mientras se enviaba hubo más ediciones, vuelve a empezar con la nueva base.
+  const push = async () => {
+    if (!active || pushing || !hasChanges()) return;
+    pushing = true;
+    const sentBase = base;
+    const sent = getValues();
+    const revision = `${userId}-${Math.random().toString(36).slice(2, 10)}`;
+    ownWrites.set(revision, sent);
+    try {
+      const { values: merged, conflicts } = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists()) throw new Error('La sesión ya no existe.');
+        const result = mergeValues(sentBase, sent, pickValues(snapshot.data()));
+        transaction.update(ref, { ...result.values, revision, updatedBy: userId, updatedAt: Date.now() });
+        return result;
+      });
+      if (!active) return;
+      onConflicts(conflicts);
+      // Si ya llegó el eco, la base y los valores locales están al día.
+      if (ownWrites.delete(revision)) {
+        base = merged;
+        rebase(sent, merged);
+      }
+    } catch (e) {
+      ownWrites.delete(revision);
+      console.error(e);
+      if (active) onError(`Error al sincronizar la sesión: ${e.message}`);
+      return;
+    } finally {
+      pushing = false;
+    }
+    if (active && hasChanges()) setTimeout(push, PUSH_DELAY_MS);
+  };
+
+  const unsubscribe = onSnapshot(ref, (snapshot) => {
+    if (snapshot.metadata.hasPendingWrites) return;
+    if (!snapshot.exists()) {
+      onSessionEnd();
+      return;
+    }
+    const data = snapshot.data();
+    const remote = pickValues(data);
+    if (ownWrites.has(data.revision)) {
+      const sent = ownWrites.get(data.revision);
+      ownWrites.delete(data.revision);
+      base = remote;
+      rebase(sent, remote);
+      return;
+    }
+    const local = getValues();
+    // Al unirse, el estado de la sesión sustituye al local.
+    const { values: merged, conflicts } = base ? mergeValues(base, local, remote) : { values: remote, conflicts: [] };
+    base = remote;
+    onConflicts(conflicts);
+    if (!sameValues(merged, local)) onRemoteValues(merged, local);
+  }, (e) => onError(`Error en la sesión: ${e.message}`));
+
+  return {
+    push,
+    hasChanges,
+    disconnect: () => {
+      active = false;
+      unsubscribe();
+    },
+  };
+};
+
+/**
+ * Mantiene sincronizados `values` con la sesión `sessionId` mientras esté activa.
+ * `onRemoteValues(merged, local)` recibe los valores que deben sustituir a los
+ * locales. Devuelve los participantes conectados (`{ userId, name, trackIndex, isSelf }`)
+ * y el último aviso de conflicto.
+ */
+export const useCollaboration = ({ db, userId, sessionId, name, trackIndex, values, onRemoteValues, onError, onSessionEnd }) => {
+  const [participants, setParticipants] = useState([]);
+  const [conflict, setConflict] = useState(null);
+  const valuesRef = useRef(values);
+  valuesRef.current = values;
+  const callbacksRef = useRef({ onRemoteValues, onError, onSessionEnd });
+  callbacksRef.current = { onRemoteValues, onError, onSessionEnd };
+  const connectionRef = useRef(null);
+
+  useEffect(() => {
+    if (!db || !userId || !sessionId) return undefined;
+    const connection = connectSession({
+      db,
+      userId,
+      sessionId,
+      getValues: () => valuesRef.current,
+      onRemoteValues: (merged, local) => callbacksRef.current.onRemoteValues(merged, local),
+      onConflicts: (conflicts) => {
+        if (conflicts.length > 0) {
+          setConflict(conflicts.map(key => CONFLICT_MESSAGES[key]).join(' '));
+        }
+      },
+      onError: (message) => callbacksRef.current.onError(message),
+      onSessionEnd: () => callbacksRef.current.onSessionEnd(),
+    });
+    connectionRef.current = connection;
+
+    const unsubscribePresence = onSnapshot(presenceCollection(db, sessionId), (snapshot) => {
+      const now = Date.now();
+      setParticipants(snapshot.docs
+        .map(docSnap => ({ userId: docSnap.id, ...docSnap.data(), isSelf: docSnap.id === userId }))
+        .filter(participant => participant.isSelf || now - participant.lastSeen < PRESENCE_TIMEOUT_MS)
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    });
+
+    return () => {
+      connection.disconnect();
+      unsubscribePresence();
+      connectionRef.current = null;
+      setParticipants([]);
+      setConflict(null);
+    };
+  }, [db, userId, sessionId]);
+
+  // Presencia: se publica al cambiar de pista o de nombre y con un latido periódico.
+  useEffect(() => {
+    if (!db || !userId || !sessionId) return undefined;
+    const ref = doc(presenceCollection(db, sessionId), userId);
+    const publish = () => setDoc(ref, { name, trackIndex, lastSeen: Date.now() }).catch(e => console.error(e));
+    publish();
+    const heartbeat = setInterval(publish, HEARTBEAT_MS);
+    return () => clearInterval(heartbeat);
+  }, [db, userId, sessionId, name, trackIndex]);
+
+  // La presencia se borra al salir de la sesión o al cerrar la página.
+  useEffect(() => {
+    if (!db || !userId || !sessionId) return undefined;
+    const ref = doc(presenceCollection(db, sessionId), userId);
+    const leave = () => {
+      deleteDoc(ref).catch(e => console.error(e));
+    };
+    window.addEventListener('beforeunload', leave);
+    return () => {
+      window.removeEventListener('beforeunload', leave);
+      leave();
+    };
+  }, [db, userId, sessionId]);
+
+  useEffect(() => {
+    if (!sessionId || !connectionRef.current || !connectionRef.current.hasChanges()) return undefined;
+    const timer = setTimeout(() => connectionRef.current && connectionRef.current.push(), PUSH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [sessionId, values.trackDefinitions, values.bpm, values.projectNotes]);
+
+  return { participants, conflict };
+};
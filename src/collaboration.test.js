@@ -0,0 +1,136 @@
+import { runTransaction } from 'firebase/firestore';
+import { mergeText, mergeValues, transformOffset, connectSession } from './collaboration';
+
+// Firestore simulado: un único documento de sesión y un oyente.
+jest.mock('firebase/firestore', () => {
+  const session = { data: null, listener: null };
+  return {
+    session,
+    collection: () => ({}),
+    doc: () => ({}),
+    onSnapshot: (ref, next) => {
+      session.listener = next;
+      return () => { session.listener = null; };
+    },
+    runTransaction: jest.fn(),
+  };
+});
+
+const { session } = jest.requireMock('firebase/firestore');
+
+const emit = (data, hasPendingWrites = false) => session.listener({
+  exists: () => data !== null,
+  data: () => data,
+  metadata: { hasPendingWrites },
+});
+
+const values = (trackDefinitions) => ({ trackDefinitions, bpm: 120, projectNotes: '' });
+
+describe('mergeText', () => {
+  test('conserva ediciones en zonas distintas', () => {
+    expect(mergeText('do,re,mi', 'do,re,mi,fa', 'sol,do,re,mi')).toEqual({ text: 'sol,do,re,mi,fa', conflict: false });
+  });
+
+  test('fusiona pasos distintos de una misma pista sin conflicto', () => {
+    expect(mergeText('v=8 [piano=do,re,mi]', 'v=8 [piano=fa,re,mi]', 'v=8 [piano=do,re,sol:2]'))
+      .toEqual({ text: 'v=8 [piano=fa,re,sol:2]', conflict: false });
+    expect(mergeText('[piano=do]\n[synth=re]', '[organ=do]\n[synth=re]', '[piano=do]\n[synth=re,mi]'))
+      .toEqual({ text: '[organ=do]\n[synth=re,mi]', conflict: false });
+  });
+
+  test('con el mismo paso editado a la vez conserva las dos versiones', () => {
+    expect(mergeText('do,re,mi', 'do,fa,mi', 'do,sol,mi')).toEqual({ text: 'do,fa,sol,mi', conflict: true });
+    expect(mergeText('do,re', 'do,re,mi', 'do,re,la')).toEqual({ text: 'do,re,mi,la', conflict: true });
+    expect(mergeText('una nota', 'una nota larga', 'una nota corta', ' ')).toEqual({ text: 'una nota larga corta', conflict: true });
+  });
+
+  test('el mismo cambio en los dos lados no es un conflicto', () => {
+    expect(mergeText('do,re', 'do,mi', 'do,mi,fa')).toEqual({ text: 'do,mi,fa', conflict: false });
+  });
+
+  test('sin cambios locales toma la versión remota', () => {
+    expect(mergeText('do', 'do', 're')).toEqual({ text: 're', conflict: false });
+  });
+});
+
+describe('mergeValues', () => {
+  test('fusiona cada campo y sólo marca los que chocan', () => {
+    const base = { trackDefinitions: '[piano=do]', bpm: 120, projectNotes: '' };
+    const local = { trackDefinitions: '[piano=do,re]', bpm: 100, projectNotes: '' };
+    const remote = { trackDefinitions: '[piano=do]', bpm: 90, projectNotes: 'nota' };
+    expect(mergeValues(base, local, remote)).toEqual({
+      values: { trackDefinitions: '[piano=do,re]', bpm: 100, projectNotes: 'nota' },
+      conflicts: ['bpm'],
+    });
+  });
+});
+
+describe('transformOffset', () => {
+  test('mueve el cursor con el texto insertado antes que él', () => {
+    expect(transformOffset('do,re', 'sol,do,re', 4)).toBe(8);
+    expect(transformOffset('do,re', 'do,re,mi', 2)).toBe(2);
+  });
+});
+
+describe('connectSession', () => {
+  let local;
+  let connection;
+  let onConflicts;
+
+  beforeEach(() => {
+    onConflicts = jest.fn();
+    local = values('[piano=do]');
+    session.data = { ...values('[piano=do]'), owner: 'a' };
+    connection = connectSession({
+      db: {},
+      userId: 'a',
+      sessionId: 's',
+      getValues: () => local,
+      onRemoteValues: (merged) => { local = merged; },
+      onConflicts,
+      onError: jest.fn(),
+      onSessionEnd: jest.fn(),
+    });
+    emit(session.data);
+  });
+
+  afterEach(() => connection.disconnect());
+
+  // La transacción escribe el documento y su eco llega antes de que termine,
+  // mientras se sigue escribiendo en la misma zona.
+  const pushWithEarlyEcho = (typed) => {
+    runTransaction.mockImplementation(async (db, update) => {
+      const result = await update({
+        get: async () => ({ exists: () => true, data: () => session.data }),
+        update: (ref, data) => { session.data = { ...session.data, ...data }; },
+      });
+      local = values(typed);
+      emit(session.data, true);
+      emit(session.data);
+      return result;
+    });
+    return connection.push();
+  };
+
+  test('el eco de un envío propio no es un conflicto', async () => {
+    local = values('[piano=do,re]');
+    await pushWithEarlyEcho('[piano=do,re,mi]');
+    expect(onConflicts.mock.calls.flat(2)).toEqual([]);
+    expect(local.trackDefinitions).toBe('[piano=do,re,mi]');
+    expect(connection.hasChanges()).toBe(true);
+  });
+
+  test('los cambios ajenos se fusionan con los locales', () => {
+    local = values('[piano=do], [synth=mi]');
+    emit({ ...values('[drums=kick], [piano=do]'), revision: 'b-1' });
+    expect(onConflicts.mock.calls.flat(2)).toEqual([]);
+    expect(local.trackDefinitions).toBe('[drums=kick], [piano=do], [synth=mi]');
+  });
+
+  test('los cambios ajenos en el mismo paso son un conflicto y se conservan los dos', () => {
+    local = values('[piano=re]');
+    emit({ ...values('[piano=mi]'), revision: 'b-1' });
+    expect(onConflicts).toHaveBeenLastCalledWith(['trackDefinitions']);
+    expect(local.trackDefinitions).toBe('[piano=re,mi]');
+  });
+});
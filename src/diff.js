@@ -0,0 +1,70 @@
+import { parseTrackDefinitions, getTrackLabel, getTrackText } from './trackParser';
+
+/**
+ * Diferencias de texto entre dos versiones de las definiciones de pista, pista a
+ * pista, para el historial de versiones.
+ */
+
+// Fragmentos que se comparan: cada paso, opción o corchete, sin las comas ni los espacios.
+const tokenize = (text) => text.match(/[[\]]|[^\s,[\]]+/g) || [];
+
+/**
+ * Diferencia mínima entre dos listas de fragmentos (subsecuencia común más larga).
+ * Devuelve `[{ type: 'same' | 'added' | 'removed', text }]` en orden.
+ */
+export const diffTokens = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  // lengths[i * cols + j]: longitud de la subsecuencia común de before[i..] y after[j..].
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = before[i] === after[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      changes.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      changes.push({ type: 'removed', text: before[i++] });
+    } else {
+      changes.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) changes.push({ type: 'removed', text: before[i++] });
+  while (j < after.length) changes.push({ type: 'added', text: after[j++] });
+  return changes;
+};
+
+/**
+ * Compara las pistas de `before` y `after` por posición. Devuelve una entrada por
+ * pista con su etiqueta, su estado (`'same'`, `'changed'`, `'added'` o `'removed'`)
+ * y los cambios fragmento a fragmento.
+ */
+export const diffTracks = (before, after, parserOptions) => {
+  const beforeTracks = parseTrackDefinitions(before, parserOptions).tracks;
+  const afterTracks = parseTrackDefinitions(after, parserOptions).tracks;
+  const count = Math.max(beforeTracks.length, afterTracks.length);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const oldTrack = beforeTracks[i];
+    const newTrack = afterTracks[i];
+    const changes = diffTokens(
+      oldTrack ? tokenize(getTrackText(before, oldTrack)) : [],
+      newTrack ? tokenize(getTrackText(after, newTrack)) : []
+    );
+    const status = !oldTrack ? 'added'
+      : !newTrack ? 'removed'
+      : changes.every(change => change.type === 'same') ? 'same' : 'changed';
+    entries.push({ label: getTrackLabel(newTrack || oldTrack, i), status, changes });
+  }
+  return entries;
+};
@@ -0,0 +1,265 @@
+import { parseTrackDefinitions, setTrackOption } from './trackParser';
+
+/**
+ * Efectos de inserción para los canales de pista y el bus maestro: reverb por
+ * convolución, distorsión, chorus/flanger y filtro resonante.
+ *
+ * Una cadena se describe como una lista serializable `[{ type, ...parámetros }]` que
+ * se guarda con el proyecto; `createEffectChain` la convierte en nodos sobre
+ * cualquier contexto, así que la reproducción en vivo y la exportación suenan igual.
+ */
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32), para que la respuesta al impulso
+ * de la reverb sea idéntica en vivo y en la exportación.
+ */
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Genera una respuesta al impulso estéreo: ruido con caída exponencial de `decay` segundos.
+ */
+export const createImpulseResponse = (context, decay, seed = 1) => {
+  const length = Math.max(1, Math.floor(context.sampleRate * decay));
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const random = seededRandom(seed + channel);
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, 3);
+    }
+  }
+  return buffer;
+};
+
+/**
+ * Curva de saturación para el WaveShaperNode; `amount` va de 0 a 100.
+ */
+export const createDistortionCurve = (amount, samples = 2048) => {
+  const curve = new Float32Array(samples);
+  const k = amount;
+  for (let i = 0; i < samples; i++) {
+    const x = i * 2 / samples - 1;
+    curve[i] = (3 + k) * x * 20 * (Math.PI / 180) / (Math.PI + k * Math.abs(x));
+  }
+  return curve;
+};
+
+/**
+ * Envuelve un nodo de efecto con mezcla seco/húmedo.
+ */
+const withDryWet = (context, mix, wire) => {
+  const input = context.createGain();
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  dry.gain.value = 1 - mix;
+  wet.gain.value = mix;
+  input.connect(dry);
+  dry.connect(output);
+  const sources = wire(input, wet) || [];
+  wet.connect(output);
+  return { input, output, sources };
+};
+
+// Definición de cada tipo de efecto: parámetros editables (con su rango) y constructor.
+export const effectTypes = {
+  'reverb': {
+    label: 'Reverb',
+    params: [
+      { key: 'decay', label: 'Caída (s)', min: 0.1, max: 8, step: 0.1, default: 2 },
+      { key: 'mix', label: 'Mezcla', min: 0, max: 1, step: 0.01, default: 0.3 },
+    ],
+    create: (context, { decay, mix }) => withDryWet(context, mix, (input, wet) => {
+      const convolver = context.createConvolver();
+      convolver.buffer = createImpulseResponse(context, decay);
+      input.connect(convolver);
+      convolver.connect(wet);
+    }),
+  },
+  'distortion': {
+    label: 'Distorsión',
+    params: [
+      { key: 'amount', label: 'Cantidad', min: 0, max: 100, step: 1, default: 30 },
+      { key: 'mix', label: 'Mezcla', min: 0, max: 1, step: 0.01, default: 1 },
+    ],
+    create: (context, { amount, mix }) => withDryWet(context, mix, (input, wet) => {
+      const shaper = context.createWaveShaper();
+      shaper.curve = createDistortionCurve(amount);
+      shaper.oversample = '4x';
+      input.connect(shaper);
+      shaper.connect(wet);
+    }),
+  },
+  'chorus': {
+    label: 'Chorus / Flanger',
+    params: [
+      { key: 'delay', label: 'Retardo (ms)', min: 1, max: 40, step: 0.5, default: 20 },
+      { key: 'depth', label: 'Profundidad (ms)', min: 0, max: 10, step: 0.1, default: 3 },
+      { key: 'rate', label: 'Velocidad (Hz)', min: 0.05, max: 10, step: 0.05, default: 1.5 },
+      { key: 'feedback', label: 'Realimentación', min: 0, max: 0.95, step: 0.01, default: 0 },
+      { key: 'mix', label: 'Mezcla', min: 0, max: 1, step: 0.01, default: 0.5 },
+    ],
+    create: (context, { delay, depth, rate, feedback, mix }) => withDryWet(context, mix, (input, wet) => {
+      const delayNode = context.createDelay(0.1);
+      delayNode.delayTime.value = delay / 1000;
+      const lfo = context.createOscillator();
+      lfo.frequency.value = rate;
+      const lfoGain = context.createGain();
+      lfoGain.gain.value = depth / 1000;
+      lfo.connect(lfoGain);
+      lfoGain.connect(delayNode.delayTime);
+      const feedbackGain = context.createGain();
+      feedbackGain.gain.value = feedback;
+      input.connect(delayNode);
+      delayNode.connect(feedbackGain);
+      feedbackGain.connect(delayNode);
+      delayNode.connect(wet);
+      lfo.start(0);
+      return [lfo];
+    }),
+  },
+  'filter': {
+    label: 'Filtro',
+    params: [
+      { key: 'mode', label: 'Tipo', options: ['lowpass', 'highpass', 'bandpass', 'notch'], default: 'lowpass' },
+      { key: 'frequency', label: 'Frecuencia (Hz)', min: 20, max: 20000, step: 1, default: 1200 },
+      { key: 'q', label: 'Resonancia', min: 0.1, max: 30, step: 0.1, default: 4 },
+    ],
+    create: (context, { mode, frequency, q }) => {
+      const filter = context.createBiquadFilter();
+      filter.type = mode;
+      filter.frequency.value = frequency;
+      filter.Q.value = q;
+      return { input: filter, output: filter, sources: [] };
+    },
+  },
+};
+
+/**
+ * Crea un efecto nuevo con los parámetros por defecto.
+ */
+export const createEffect = (type) => {
+  const effect = { type };
+  effectTypes[type].params.forEach(param => {
+    effect[param.key] = param.default;
+  });
+  return effect;
+};
+
+/**
+ * Limpia una cadena guardada: descarta tipos desconocidos y ajusta cada parámetro a
+ * su rango, completando los que falten.
+ */
+export const normalizeEffectChain = (chain) => {
+  if (!Array.isArray(chain)) return [];
+  return chain
+    .filter(effect => effect && effectTypes[effect.type])
+    .map(effect => {
+      const normalized = { type: effect.type };
+      effectTypes[effect.type].params.forEach(param => {
+        const value = effect[param.key];
+        if (param.options) {
+          normalized[param.key] = param.options.includes(value) ? value : param.default;
+        } else {
+          normalized[param.key] = typeof value === 'number' && isFinite(value)
+            ? Math.min(param.max, Math.max(param.min, value))
+            : param.default;
+        }
+      });
+      return normalized;
+    });
+};
+
+// Números de cadena que admite la opción `fx=` de una pista.
+export const MAX_TRACK_CHAIN = 99;
+
+const isChainId = (key) => /^[1-9]\d*$/.test(key) && Number(key) <= MAX_TRACK_CHAIN;
+
+/**
+ * Estado de efectos del proyecto: `{ master: cadena, chains: { [número]: cadena } }`.
+ * Cada pista elige su cadena con la opción `fx=` de su definición, así que sigue a
+ * la pista aunque se inserten, borren o reordenen pistas.
+ */
+export const normalizeEffectsState = (state = {}) => {
+  const chains = {};
+  if (state.chains && typeof state.chains === 'object') {
+    Object.keys(state.chains).filter(isChainId).forEach(id => {
+      chains[id] = normalizeEffectChain(state.chains[id]);
+    });
+  }
+  return { master: normalizeEffectChain(state.master), chains };
+};
+
+export const EMPTY_EFFECTS = { master: [], chains: {} };
+
+// Cadena de las pistas sin `fx=`: siempre el mismo array, para que `setChannelEffects`
+// no reconstruya sus canales.
+const NO_EFFECTS = [];
+
+/**
+ * Cadena de efectos de una pista analizada (o de un clip, que no tiene).
+ */
+export const getTrackChain = (effects, track) => (track.fx && effects.chains[track.fx]) || NO_EFFECTS;
+
+/**
+ * Primer número de cadena libre: sin cadena guardada y sin pista que lo use.
+ */
+export const getFreeChainId = (effects, tracks) => {
+  for (let id = 1; id <= MAX_TRACK_CHAIN; id++) {
+    if (!effects.chains[id] && !tracks.some(track => track.fx === id)) return id;
+  }
+  return null;
+};
+
+/**
+ * Carga el estado de efectos de un proyecto con sus definiciones de pista. Los
+ * guardados antes de `fx=` tenían las cadenas en `tracks`, por posición de pista:
+ * cada pista con efectos pasa a llevar `fx=` con el número de su posición.
+ * Devuelve `{ trackDefinitions, effects }`.
+ */
+export const upgradeEffectsState = (trackDefinitions, state = {}) => {
+  const effects = normalizeEffectsState(state);
+  if (!Array.isArray(state.tracks)) return { trackDefinitions, effects };
+  const { tracks } = parseTrackDefinitions(trackDefinitions);
+  let definitions = trackDefinitions;
+  // De la última pista a la primera, para que las posiciones de las anteriores sigan valiendo.
+  for (let i = Math.min(tracks.length, state.tracks.length, MAX_TRACK_CHAIN) - 1; i >= 0; i--) {
+    const chain = normalizeEffectChain(state.tracks[i]);
+    if (chain.length > 0 && !tracks[i].fx && !effects.chains[i + 1]) {
+      definitions = setTrackOption(definitions, tracks[i], 'fx', i + 1);
+      effects.chains[i + 1] = chain;
+    }
+  }
+  return { trackDefinitions: definitions, effects };
+};
+
+/**
+ * Construye una cadena de efectos en serie sobre `context`. Devuelve
+ * `{ input, output, dispose }`; `dispose` para los osciladores internos (LFO).
+ */
+export const createEffectChain = (context, chain = []) => {
+  const input = context.createGain();
+  let last = input;
+  const sources = [];
+  normalizeEffectChain(chain).forEach(effect => {
+    const node = effectTypes[effect.type].create(context, effect);
+    last.connect(node.input);
+    last = node.output;
+    sources.push(...node.sources);
+  });
+  const output = context.createGain();
+  last.connect(output);
+  const dispose = () => {
+    sources.forEach(source => source.stop());
+  };
+  return { input, output, dispose };
+};
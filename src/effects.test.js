@@ -0,0 +1,33 @@
+import { upgradeEffectsState, getTrackChain, getFreeChainId, normalizeEffectsState } from './effects';
+import { parseTrackDefinitions, insertTrackAfter } from './trackParser';
+
+const reverb = { type: 'reverb', decay: 2, mix: 0.3 };
+const filter = { type: 'filter', mode: 'lowpass', frequency: 1200, q: 4 };
+
+describe('cadenas de efectos por pista', () => {
+  test('cada pista usa la cadena de su fx=, aunque cambie de posición', () => {
+    const effects = normalizeEffectsState({ chains: { 1: [reverb], 2: [filter] } });
+    const before = parseTrackDefinitions('fx=2 [synth=do], [piano=re]');
+    const after = parseTrackDefinitions(insertTrackAfter('fx=2 [synth=do], [piano=re]', before.tracks[0], 'fx=1 [organ=mi]'));
+    expect(after.tracks.map(track => getTrackChain(effects, track))).toEqual([[filter], [reverb], []]);
+  });
+
+  test('descarta cadenas con números no válidos', () => {
+    expect(normalizeEffectsState({ chains: { 0: [reverb], 3: [reverb], x: [reverb], 100: [reverb] } }).chains)
+      .toEqual({ 3: [reverb] });
+  });
+
+  test('el primer número libre no lo usa ninguna cadena ni pista', () => {
+    const { tracks } = parseTrackDefinitions('fx=2 [synth=do]');
+    expect(getFreeChainId({ master: [], chains: { 1: [] } }, tracks)).toBe(3);
+  });
+
+  test('los proyectos con cadenas por posición pasan a usar fx=', () => {
+    const { trackDefinitions, effects } = upgradeEffectsState('[synth=do], [piano=re],\nv=8 [organ=mi]', {
+      master: [filter],
+      tracks: [[reverb], [], [filter]],
+    });
+    expect(trackDefinitions).toBe('fx=1 [synth=do], [piano=re],\nv=8 fx=3 [organ=mi]');
+    expect(effects).toEqual({ master: [filter], chains: { 1: [reverb], 3: [filter] } });
+  });
+});
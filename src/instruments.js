@@ -0,0 +1,429 @@
+import { createSamplerInstrument, playSamplePad } from './sampler';
+
+/**
+ * Registro de instrumentos: los sonidos integrados (synth, piano, guitar, 8bit, 16bit,
+ * drums) y los patches de sintetizador que el usuario define en JSON.
+ *
+ * Cada instrumento es `{ kind, play }`, donde `kind` es 'melodic' o 'drums' y
+ * `play(context, value, time, duration)` crea los nodos de una nota —`value` es la
+ * frecuencia en Hz, o el nombre del golpe en las baterías— y devuelve
+ * `{ sources, output, end }`: las fuentes a arrancar, el nodo de salida y el instante
+ * en que deben pararse.
+ */
+
+// Drum sounds - Usamos generadores de ruido y envolventes simples para simular.
+export const drumSounds = {
+    'Kick': (context, time) => {
+        const osc = context.createOscillator();
+        osc.type = 'sine';
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(1, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
+        osc.frequency.setValueAtTime(150, time);
+        osc.frequency.exponentialRampToValueAtTime(0.01, time + 0.3);
+        osc.connect(gain);
+        return { source: osc, gain: gain };
+    },
+    'Snare': (context, time) => {
+        const noise = context.createBufferSource();
+        const bufferSize = context.sampleRate * 0.5;
+        const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
+        const output = buffer.getChannelData(0);
+        for (let i = 0; i < bufferSize; i++) {
+            output[i] = Math.random() * 2 - 1;
+        }
+        noise.buffer = buffer;
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(1, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.1);
+        noise.connect(gain);
+        return { source: noise, gain: gain };
+    },
+    'Hi-Hat': (context, time) => {
+        const noise = context.createBufferSource();
+        const bufferSize = context.sampleRate;
+        const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
+        const output = buffer.getChannelData(0);
+        for (let i = 0; i < bufferSize; i++) {
+            output[i] = Math.random() * 2 - 1;
+        }
+        noise.buffer = buffer;
+        noise.loop = true;
+        const highPassFilter = context.createBiquadFilter();
+        highPassFilter.type = 'highpass';
+        highPassFilter.frequency.setValueAtTime(8000, time);
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(1, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        noise.connect(highPassFilter);
+        highPassFilter.connect(gain);
+        return { source: noise, gain: gain };
+    }
+};
+
+// Duración fija de los golpes de batería, en segundos.
+const DRUM_LENGTH = 0.5;
+
+/**
+ * Genera un sonido de sintetizador (onda senoidal sin envolvente).
+ */
+export const playSynthNote = (context, frequency, time) => {
+  const osc = context.createOscillator();
+  osc.type = 'sine';
+  osc.frequency.setValueAtTime(frequency, time);
+  return { source: osc, gain: osc };
+};
+
+/**
+ * Genera un sonido de piano.
+ */
+export const playPianoNote = (context, frequency, time, duration) => {
+  const osc = context.createOscillator();
+  osc.type = 'sine';
+  osc.frequency.setValueAtTime(frequency, time);
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0, time);
+  gain.gain.linearRampToValueAtTime(1, time + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+  osc.connect(gain);
+  return { source: osc, gain: gain };
+};
+
+/**
+ * Genera un sonido de guitarra.
+ */
+export const playGuitarNote = (context, frequency, time, duration) => {
+  const bufferSize = context.sampleRate;
+  const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
+  const output = buffer.getChannelData(0);
+  for (let i = 0; i < bufferSize; i++) {
+      output[i] = Math.random() * 2 - 1;
+  }
+  const delay = context.createDelay(1.0);
+  delay.delayTime.setValueAtTime(1 / frequency, time);
+  const filter = context.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(frequency * 2, time);
+  const noise = context.createBufferSource();
+  noise.buffer = buffer;
+  noise.loop = true;
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(1, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+  noise.connect(delay);
+  delay.connect(filter);
+  filter.connect(delay);
+  filter.connect(gain);
+  return { source: noise, gain: gain };
+};
+
+/**
+ * Genera un sonido de 8-bit (onda cuadrada).
+ */
+export const play8BitNote = (context, frequency, time, duration) => {
+  const osc = context.createOscillator();
+  osc.type = 'square';
+  osc.frequency.setValueAtTime(frequency, time);
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(1, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+  osc.connect(gain);
+  return { source: osc, gain: gain };
+};
+
+/**
+ * Genera un sonido de 16-bit (onda triangular).
+ */
+export const play16BitNote = (context, frequency, time, duration) => {
+  const osc = context.createOscillator();
+  osc.type = 'triangle';
+  osc.frequency.setValueAtTime(frequency, time);
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(1, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+  osc.connect(gain);
+  return { source: osc, gain: gain };
+};
+
+// Adapta los generadores de una sola fuente al formato del registro.
+const melodic = (generator) => ({
+  kind: 'melodic',
+  play: (context, frequency, time, duration) => {
+    const { source, gain } = generator(context, frequency, time, duration);
+    return { sources: [source], output: gain, end: time + duration };
+  },
+});
+
+/**
+ * Batería con los sonidos sintetizados más los pads de muestra del usuario
+ * (`pads` asocia nombre → AudioBuffer).
+ */
+export const createDrumKit = (pads = {}) => ({
+  kind: 'drums',
+  pads: Object.keys(pads),
+  play: (context, drumName, time) => {
+    if (pads[drumName]) {
+      return playSamplePad(context, pads[drumName], time);
+    }
+    if (!drumSounds[drumName]) return null;
+    const { source, gain } = drumSounds[drumName](context, time);
+    return { sources: [source], output: gain, end: time + DRUM_LENGTH };
+  },
+});
+
+export const builtInInstruments = {
+  'synth': melodic(playSynthNote),
+  'piano': melodic(playPianoNote),
+  'guitar': melodic(playGuitarNote),
+  '8bit': melodic(play8BitNote),
+  '16bit': melodic(play16BitNote),
+  'drums': createDrumKit(),
+};
+
+// --- Patches definidos por el usuario
+
+const OSCILLATOR_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+const LFO_TARGETS = ['pitch', 'filter', 'amp'];
+const PATCH_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const defaultEnvelope = { attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.1 };
+
+// Ejemplo que se muestra al abrir el editor de patches.
+export const EXAMPLE_PATCHES = JSON.stringify({
+  mybass: {
+    oscillators: [
+      { type: 'sawtooth', detune: -7, gain: 0.5, octave: -1 },
+      { type: 'square', detune: 7, gain: 0.3, octave: -1 },
+    ],
+    envelope: { attack: 0.005, decay: 0.15, sustain: 0.6, release: 0.1 },
+    filter: { type: 'lowpass', frequency: 400, q: 6, envelope: { amount: 1800, attack: 0.005, decay: 0.2, sustain: 0.2, release: 0.1 } },
+    lfo: { target: 'pitch', type: 'sine', rate: 5, depth: 8 },
+  },
+}, null, 2);
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+/**
+ * Valida una envolvente ADSR y la completa con los valores por defecto.
+ */
+const normalizeEnvelope = (envelope, path, errors) => {
+  const result = { ...defaultEnvelope };
+  if (envelope === undefined) return result;
+  Object.keys(defaultEnvelope).forEach(key => {
+    if (envelope[key] === undefined) return;
+    if (!isNumber(envelope[key]) || envelope[key] < 0 || (key === 'sustain' && envelope[key] > 1)) {
+      errors.push(`${path}.${key} no es válido`);
+    } else {
+      result[key] = envelope[key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Valida un patch y lo devuelve con todos los campos completos.
+ */
+const normalizePatch = (name, patch, errors) => {
+  const oscillators = Array.isArray(patch.oscillators) && patch.oscillators.length > 0
+    ? patch.oscillators
+    : [{ type: 'sine' }];
+  const normalized = {
+    oscillators: oscillators.map((osc, i) => {
+      const path = `${name}.oscillators[${i}]`;
+      if (!OSCILLATOR_TYPES.includes(osc.type || 'sine')) {
+        errors.push(`${path}.type debe ser uno de: ${OSCILLATOR_TYPES.join(', ')}`);
+      }
+      ['detune', 'gain', 'octave'].forEach(key => {
+        if (osc[key] !== undefined && !isNumber(osc[key])) {
+          errors.push(`${path}.${key} debe ser un número`);
+        }
+      });
+      return {
+        type: osc.type || 'sine',
+        detune: isNumber(osc.detune) ? osc.detune : 0,
+        gain: isNumber(osc.gain) ? osc.gain : 1 / oscillators.length,
+        octave: isNumber(osc.octave) ? osc.octave : 0,
+      };
+    }),
+    envelope: normalizeEnvelope(patch.envelope, `${name}.envelope`, errors),
+    filter: null,
+    lfo: null,
+  };
+  if (patch.filter) {
+    const { type = 'lowpass', frequency = 2000, q = 1, envelope } = patch.filter;
+    if (!FILTER_TYPES.includes(type)) {
+      errors.push(`${name}.filter.type debe ser uno de: ${FILTER_TYPES.join(', ')}`);
+    }
+    if (!isNumber(frequency) || frequency <= 0 || !isNumber(q)) {
+      errors.push(`${name}.filter necesita "frequency" y "q" numéricos`);
+    }
+    normalized.filter = { type, frequency, q, envelope: null };
+    if (envelope) {
+      normalized.filter.envelope = {
+        ...normalizeEnvelope(envelope, `${name}.filter.envelope`, errors),
+        amount: isNumber(envelope.amount) ? envelope.amount : 0,
+      };
+    }
+  }
+  if (patch.lfo) {
+    const { target = 'pitch', type = 'sine', rate = 5, depth = 0 } = patch.lfo;
+    if (!LFO_TARGETS.includes(target)) {
+      errors.push(`${name}.lfo.target debe ser uno de: ${LFO_TARGETS.join(', ')}`);
+    }
+    if (!OSCILLATOR_TYPES.includes(type)) {
+      errors.push(`${name}.lfo.type debe ser uno de: ${OSCILLATOR_TYPES.join(', ')}`);
+    }
+    if (!isNumber(rate) || !isNumber(depth)) {
+      errors.push(`${name}.lfo necesita "rate" y "depth" numéricos`);
+    }
+    if (target === 'filter' && !normalized.filter) {
+      errors.push(`${name}.lfo apunta al filtro, pero el patch no tiene "filter"`);
+    }
+    normalized.lfo = { target, type, rate, depth };
+  }
+  return normalized;
+};
+
+/**
+ * Analiza el texto JSON de los patches del usuario: un objeto cuyo nombre de clave es
+ * el nombre del instrumento. Devuelve `{ patches, errors }`; los patches con errores
+ * se descartan.
+ */
+export const parsePatches = (text) => {
+  if (!text || !text.trim()) return { patches: {}, errors: [] };
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    return { patches: {}, errors: [`JSON no válido: ${e.message}`] };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { patches: {}, errors: ['Los patches deben ser un objeto { "nombre": { ... } }'] };
+  }
+  const patches = {};
+  const errors = [];
+  Object.entries(raw).forEach(([name, patch]) => {
+    if (!PATCH_NAME_PATTERN.test(name)) {
+      errors.push(`Nombre de patch no válido: "${name}" (minúsculas, números y "_")`);
+      return;
+    }
+    if (builtInInstruments[name]) {
+      errors.push(`"${name}" es un instrumento integrado y no se puede redefinir`);
+      return;
+    }
+    if (!patch || typeof patch !== 'object') {
+      errors.push(`El patch "${name}" debe ser un objeto`);
+      return;
+    }
+    const patchErrors = [];
+    const normalized = normalizePatch(name, patch, patchErrors);
+    if (patchErrors.length > 0) {
+      errors.push(...patchErrors);
+    } else {
+      patches[name] = normalized;
+    }
+  });
+  return { patches, errors };
+};
+
+/**
+ * Programa una envolvente ADSR sobre `param`, de `base` a `base + amount`. Devuelve el
+ * instante en que termina la fase de relajación.
+ */
+const applyEnvelope = (param, { attack, decay, sustain, release }, base, amount, time, duration) => {
+  const noteOff = Math.max(time + duration, time + attack + decay);
+  param.setValueAtTime(base, time);
+  param.linearRampToValueAtTime(base + amount, time + attack);
+  param.linearRampToValueAtTime(base + amount * sustain, time + attack + decay);
+  param.setValueAtTime(base + amount * sustain, noteOff);
+  param.linearRampToValueAtTime(base, noteOff + release);
+  return noteOff + release;
+};
+
+/**
+ * Crea un instrumento a partir de un patch ya validado: una pila de osciladores con
+ * desafinación, envolvente de amplitud, filtro con su propia envolvente y un LFO.
+ */
+export const createPatchInstrument = (patch) => ({
+  kind: 'melodic',
+  play: (context, frequency, time, duration) => {
+    const amp = context.createGain();
+    const end = applyEnvelope(amp.gain, patch.envelope, 0, 1, time, duration);
+    let voiceInput = amp;
+    let filter = null;
+    if (patch.filter) {
+      filter = context.createBiquadFilter();
+      filter.type = patch.filter.type;
+      filter.Q.setValueAtTime(patch.filter.q, time);
+      if (patch.filter.envelope) {
+        applyEnvelope(filter.frequency, patch.filter.envelope, patch.filter.frequency, patch.filter.envelope.amount, time, duration);
+      } else {
+        filter.frequency.setValueAtTime(patch.filter.frequency, time);
+      }
+      filter.connect(amp);
+      voiceInput = filter;
+    }
+    const oscillators = patch.oscillators.map(({ type, detune, gain, octave }) => {
+      const osc = context.createOscillator();
+      osc.type = type;
+      osc.frequency.setValueAtTime(frequency * Math.pow(2, octave), time);
+      osc.detune.setValueAtTime(detune, time);
+      const oscGain = context.createGain();
+      oscGain.gain.value = gain;
+      osc.connect(oscGain);
+      oscGain.connect(voiceInput);
+      return osc;
+    });
+    const sources = [...oscillators];
+    if (patch.lfo && patch.lfo.depth !== 0) {
+      const lfo = context.createOscillator();
+      lfo.type = patch.lfo.type;
+      lfo.frequency.setValueAtTime(patch.lfo.rate, time);
+      const depth = context.createGain();
+      depth.gain.value = patch.lfo.depth;
+      lfo.connect(depth);
+      if (patch.lfo.target === 'pitch') {
+        oscillators.forEach(osc => depth.connect(osc.detune));
+      } else if (patch.lfo.target === 'filter' && filter) {
+        depth.connect(filter.frequency);
+      } else if (patch.lfo.target === 'amp') {
+        depth.connect(amp.gain);
+      }
+      sources.push(lfo);
+    }
+    return { sources, output: amp, end };
+  },
+});
+
+/**
+ * Construye el registro completo: instrumentos integrados, patches del usuario y
+ * muestras del Editor de Audio (las melódicas como instrumentos y las de un solo
+ * disparo como pads de la batería).
+ */
+export const buildInstrumentRegistry = (patches = {}, samples = []) => {
+  const registry = { ...builtInInstruments };
+  Object.entries(patches).forEach(([name, patch]) => {
+    registry[name] = createPatchInstrument(patch);
+  });
+  const pads = {};
+  samples.forEach(sample => {
+    if (sample.mode === 'oneshot') {
+      pads[sample.name] = sample.buffer;
+    } else {
+      registry[sample.name] = createSamplerInstrument(sample.buffer, sample.root);
+    }
+  });
+  registry.drums = createDrumKit(pads);
+  return registry;
+};
+
+/**
+ * Opciones para `parseTrackDefinitions` según el registro: qué nombres de instrumento
+ * existen, cuáles son baterías y qué pads de muestra admiten.
+ */
+export const getParserOptions = (registry) => ({
+  instruments: Object.keys(registry),
+  drumInstruments: Object.keys(registry).filter(name => registry[name].kind === 'drums'),
+  drumPads: registry.drums ? registry.drums.pads : [],
+});
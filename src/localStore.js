@@ -0,0 +1,112 @@
+/**
+ * Almacén de proyectos en IndexedDB para trabajar sin Firebase, con la misma
+ * interfaz que `createFirestoreStore` (ver `projects.js`), y borrador autoguardado
+ * del proyecto abierto.
+ */
+
+const DB_NAME = 'music-gemini';
+const DB_VERSION = 2;
+const DRAFT_KEY = 'current';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Este navegador no permite guardar datos locales (IndexedDB).'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+          database.createObjectStore('projects', { keyPath: 'id' });
+          // Clave compuesta [proyecto, versión] para leer o borrar el historial de un proyecto por rango.
+          database.createObjectStore('versions', { keyPath: ['projectId', 'id'] });
+          database.createObjectStore('drafts');
+        }
+        if (event.oldVersion < 2) {
+          // Audio del historial, una vez por [proyecto, huella].
+          database.createObjectStore('audio', { keyPath: ['projectId', 'hash'] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Si falla, el siguiente intento vuelve a abrir la base de datos.
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Ejecuta `operation(transaction)` en una transacción sobre `storeNames` y se
+ * resuelve, cuando termina, con el resultado de la petición que devuelva.
+ */
+const run = async (storeNames, mode, operation) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const request = operation(transaction);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Todas las versiones (o el audio) de un proyecto: claves desde [id, ''] hasta
+// [id, []], ya que en IndexedDB los arrays se ordenan después de cualquier cadena.
+const projectRange = (projectId) => IDBKeyRange.bound([projectId, ''], [projectId, []]);
+
+const createVersionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createLocalStore = () => ({
+  kind: 'local',
+  getAll: () => run('projects', 'readonly', transaction => transaction.objectStore('projects').getAll()),
+  get: async (projectId) => {
+    const record = await run('projects', 'readonly', transaction => transaction.objectStore('projects').get(projectId));
+    return record ? record.data : null;
+  },
+  set: (projectId, data) => run('projects', 'readwrite', transaction => {
+    transaction.objectStore('projects').put({ id: projectId, data });
+  }),
+  remove: (projectId) => run(['projects', 'versions', 'audio'], 'readwrite', transaction => {
+    transaction.objectStore('projects').delete(projectId);
+    transaction.objectStore('versions').delete(projectRange(projectId));
+    transaction.objectStore('audio').delete(projectRange(projectId));
+  }),
+  getVersions: async (projectId) => {
+    const records = await run('versions', 'readonly', transaction => transaction.objectStore('versions').getAll(projectRange(projectId)));
+    return records.map(({ id, data }) => ({ id, data }));
+  },
+  addVersion: (projectId, data) => run('versions', 'readwrite', transaction => {
+    transaction.objectStore('versions').put({ projectId, id: createVersionId(), data });
+  }),
+  setVersion: (projectId, versionId, data) => run('versions', 'readwrite', transaction => {
+    transaction.objectStore('versions').put({ projectId, id: versionId, data });
+  }),
+  getAudio: async (projectId, hash) => {
+    const record = await run('audio', 'readonly', transaction => transaction.objectStore('audio').get([projectId, hash]));
+    return record ? record.data : null;
+  },
+  setAudio: (projectId, hash, data) => run('audio', 'readwrite', transaction => {
+    transaction.objectStore('audio').put({ projectId, hash, data });
+  }),
+});
+
+/**
+ * Borrador autoguardado: `{ savedAt, projectId, data }` o `null` si no hay ninguno.
+ */
+export const loadDraft = () => run('drafts', 'readonly', transaction => transaction.objectStore('drafts').get(DRAFT_KEY))
+  .then(draft => draft || null);
+
+export const saveDraft = (projectId, data) => run('drafts', 'readwrite', transaction => {
+  transaction.objectStore('drafts').put({ savedAt: Date.now(), projectId, data }, DRAFT_KEY);
+});
+
+export const clearDraft = () => run('drafts', 'readwrite', transaction => {
+  transaction.objectStore('drafts').delete(DRAFT_KEY);
+});
@@ -0,0 +1,298 @@
+import { forEachEventAtStep } from './transport';
+import { drumMapping, serializeNotes, STEPS_PER_WHOLE } from './trackParser';
+
+/**
+ * Importación y exportación de archivos MIDI estándar (.mid).
+ *
+ * La exportación genera un archivo de tipo 1: una pista de tempo y una pista MIDI por
+ * cada definición, recorriendo el arreglo de la canción una vez. La importación
+ * convierte las notas de un archivo (tipo 0 o 1) en definiciones de pista,
+ * cuantizadas a semicorcheas.
+ */
+
+// Resolución del archivo exportado: pulsos por negra y por paso de semicorchea.
+const TICKS_PER_QUARTER = 96;
+const TICKS_PER_STEP = TICKS_PER_QUARTER / 4;
+
+// Canal 10 de General MIDI (base 0), reservado a la percusión.
+const DRUM_CHANNEL = 9;
+
+// Notas de percusión General MIDI de cada sonido de batería.
+export const GM_DRUM_NOTES = { 'Kick': 36, 'Snare': 38, 'Hi-Hat': 42 };
+
+// Al importar, cada nota de percusión GM se asigna al sonido más parecido.
+const gmDrumImport = {
+  35: 'kick', 36: 'kick',
+  37: 'snare', 38: 'snare', 39: 'snare', 40: 'snare',
+  42: 'hihat', 44: 'hihat', 46: 'hihat',
+};
+
+// Programa General MIDI de cada instrumento integrado al exportar (0 = piano).
+const gmPrograms = { 'piano': 0, 'guitar': 24, 'synth': 80, '8bit': 80, '16bit': 81 };
+
+// Instrumento integrado para cada familia de programas GM al importar.
+const instrumentForProgram = (program) => {
+  if (program >= 0 && program <= 7) return 'piano';
+  if (program >= 24 && program <= 31) return 'guitar';
+  return 'synth';
+};
+
+const textBytes = (text) => Array.from(text, char => char.charCodeAt(0) & 0x7F);
+
+const uint32Bytes = (value) => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+
+// Cantidad de longitud variable: 7 bits por byte, con el bit alto como continuación.
+const varLengthBytes = (value) => {
+  const bytes = [value & 0x7F];
+  let rest = value >>> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7F) | 0x80);
+    rest >>>= 7;
+  }
+  return bytes;
+};
+
+const chunkBytes = (type, data) => [...textBytes(type), ...uint32Bytes(data.length), ...data];
+
+/**
+ * Serializa una lista de eventos `{ tick, bytes }` como pista MTrk, con tiempos delta
+ * y el meta-evento de fin de pista.
+ */
+const trackChunk = (events) => {
+  const data = [];
+  let lastTick = 0;
+  events.forEach(({ tick, bytes }) => {
+    data.push(...varLengthBytes(tick - lastTick), ...bytes);
+    lastTick = tick;
+  });
+  data.push(0x00, 0xFF, 0x2F, 0x00);
+  return chunkBytes('MTrk', data);
+};
+
+const trackNameEvent = (name) => {
+  const text = textBytes(name);
+  return { tick: 0, bytes: [0xFF, 0x03, ...varLengthBytes(text.length), ...text] };
+};
+
+/**
+ * Genera un archivo MIDI de tipo 1 con la canción. La velocidad de cada nota sale del
+ * volumen `v=` de su pista y el panorama se escribe como controlador 10. Las pistas de
+ * batería (`drumInstruments`) van al canal 10 con las notas GM de `GM_DRUM_NOTES`; los
+ * pads de muestra no tienen equivalente y se omiten. Devuelve un `Uint8Array`.
+ */
+export const exportMidi = ({ tracks, arrangement, bpm, drumInstruments }) => {
+  const isDrumTrack = (track) => drumInstruments.includes(track.instrument);
+  const channels = [];
+  let nextChannel = 0;
+  tracks.forEach((track, i) => {
+    if (isDrumTrack(track)) {
+      channels[i] = DRUM_CHANNEL;
+      return;
+    }
+    channels[i] = nextChannel;
+    nextChannel = (nextChannel + 1) % 16;
+    if (nextChannel === DRUM_CHANNEL) nextChannel++;
+  });
+
+  // Notas de cada pista como pares de eventos; `order` pone los note-off antes de los
+  // note-on que caen en el mismo pulso.
+  const noteEvents = tracks.map(() => []);
+  for (let step = 0; step < arrangement.length; step++) {
+    forEachEventAtStep(tracks, arrangement, step, (track, event, offset, trackIndex) => {
+      if (event.kind === 'rest') return;
+      const channel = channels[trackIndex];
+      const velocity = Math.min(127, Math.max(1, Math.round(track.volume * 127)));
+      const start = Math.round((step + offset) * TICKS_PER_STEP);
+      const end = Math.max(start + 1, Math.round((step + offset + event.duration) * TICKS_PER_STEP));
+      event.notes.forEach(note => {
+        const key = event.kind === 'drum' ? GM_DRUM_NOTES[note] : note;
+        if (key === undefined) return;
+        noteEvents[trackIndex].push(
+          { tick: start, order: 1, bytes: [0x90 | channel, key, velocity] },
+          { tick: end, order: 0, bytes: [0x80 | channel, key, 0] },
+        );
+      });
+    });
+  }
+
+  const microsecondsPerQuarter = Math.round(60000000 / bpm);
+  const tempoTrack = trackChunk([
+    trackNameEvent('Tempo'),
+    { tick: 0, bytes: [0xFF, 0x51, 0x03, (microsecondsPerQuarter >> 16) & 0xFF, (microsecondsPerQuarter >> 8) & 0xFF, microsecondsPerQuarter & 0xFF] },
+    { tick: 0, bytes: [0xFF, 0x58, 0x04, 4, 2, 24, 8] },
+  ]);
+
+  const trackChunks = tracks.map((track, i) => {
+    const channel = channels[i];
+    const setup = [
+      trackNameEvent(`${track.pattern ? `${track.pattern} ` : ''}${track.instrument}`),
+      { tick: 0, bytes: [0xB0 | channel, 10, Math.min(127, Math.round((track.pan + 1) * 64))] },
+    ];
+    if (channel !== DRUM_CHANNEL) {
+      setup.push({ tick: 0, bytes: [0xC0 | channel, gmPrograms[track.instrument] || 0] });
+    }
+    const notes = noteEvents[i].sort((a, b) => a.tick - b.tick || a.order - b.order);
+    return trackChunk([...setup, ...notes]);
+  });
+
+  const trackCount = tracks.length + 1;
+  const header = chunkBytes('MThd', [0x00, 0x01, trackCount >> 8, trackCount & 0xFF, TICKS_PER_QUARTER >> 8, TICKS_PER_QUARTER & 0xFF]);
+  return new Uint8Array([...header, ...tempoTrack, ...trackChunks.flat()]);
+};
+
+/**
+ * Lee las pistas de un archivo MIDI. Devuelve `{ division, tempos, groups }`, donde
+ * cada grupo reúne las notas de un canal dentro de una pista del archivo:
+ * `{ channel, program, pan, notes: [{ midi, start, end, velocity }] }`.
+ */
+const readMidiFile = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const readText = (at, length) => String.fromCharCode(...bytes.subarray(at, at + length));
+
+  if (bytes.length < 14 || readText(0, 4) !== 'MThd') {
+    throw new Error('No es un archivo MIDI válido.');
+  }
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const division = view.getUint16(12);
+  if (format > 1) {
+    throw new Error(`Formato MIDI ${format} no compatible (sólo tipos 0 y 1).`);
+  }
+  if (division & 0x8000) {
+    throw new Error('Los archivos MIDI con tiempo SMPTE no son compatibles.');
+  }
+
+  const tempos = [];
+  const groups = [];
+  let at = 8 + headerLength;
+  while (at + 8 <= bytes.length) {
+    const type = readText(at, 4);
+    const length = view.getUint32(at + 4);
+    const end = Math.min(bytes.length, at + 8 + length);
+    let p = at + 8;
+    at = end;
+    if (type !== 'MTrk') continue;
+
+    const trackGroups = {};
+    const getGroup = (channel) => {
+      if (!trackGroups[channel]) {
+        trackGroups[channel] = { channel, program: 0, pan: 64, notes: [] };
+        groups.push(trackGroups[channel]);
+      }
+      return trackGroups[channel];
+    };
+    // Notas que siguen sonando, por canal y número de nota.
+    const open = {};
+    const readVarLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[p++];
+        value = (value << 7) | (byte & 0x7F);
+      } while (byte & 0x80 && p < end);
+      return value;
+    };
+
+    let tick = 0;
+    let status = 0;
+    while (p < end) {
+      tick += readVarLength();
+      if (bytes[p] & 0x80) {
+        status = bytes[p++];
+      }
+      if (status === 0xFF) {
+        const metaType = bytes[p++];
+        const metaLength = readVarLength();
+        if (metaType === 0x51 && metaLength === 3) {
+          tempos.push((bytes[p] << 16) | (bytes[p + 1] << 8) | bytes[p + 2]);
+        }
+        p += metaLength;
+        status = 0;
+      } else if (status === 0xF0 || status === 0xF7) {
+        p += readVarLength();
+        status = 0;
+      } else if (status & 0x80) {
+        const kind = status & 0xF0;
+        const channel = status & 0x0F;
+        const data1 = bytes[p++];
+        const data2 = kind === 0xC0 || kind === 0xD0 ? 0 : bytes[p++];
+        const key = channel * 128 + data1;
+        if (kind === 0x90 && data2 > 0) {
+          (open[key] = open[key] || []).push({ start: tick, velocity: data2 });
+        } else if (kind === 0x80 || kind === 0x90) {
+          const note = open[key] && open[key].shift();
+          if (note) {
+            getGroup(channel).notes.push({ midi: data1, start: note.start, end: tick, velocity: note.velocity });
+          }
+        } else if (kind === 0xC0) {
+          getGroup(channel).program = data1;
+        } else if (kind === 0xB0 && data1 === 10) {
+          getGroup(channel).pan = data2;
+        }
+      } else {
+        // Byte de datos sin estado previo: el resto de la pista no se puede leer.
+        break;
+      }
+    }
+  }
+  return { division, tempos, groups: groups.filter(group => group.notes.length > 0) };
+};
+
+/**
+ * Convierte un archivo MIDI (ArrayBuffer) en definiciones de pista. Cada canal de
+ * cada pista del archivo da una definición: el canal 10 como `drums` (bombo, caja y
+ * charles) y el resto como `piano`, `guitar` o `synth` según su programa GM. Las notas
+ * se cuantizan a semicorcheas; el volumen `v=` sale de la velocidad media.
+ *
+ * Devuelve `{ definitions, bpm, warnings }`; `bpm` es `null` si el archivo no indica tempo.
+ */
+export const importMidi = (buffer) => {
+  const { division, tempos, groups } = readMidiFile(buffer);
+  const warnings = [];
+  if (groups.length === 0) {
+    throw new Error('El archivo MIDI no contiene notas.');
+  }
+  if (tempos.length > 1) {
+    warnings.push('El archivo tiene cambios de tempo; sólo se usa el primero.');
+  }
+
+  const ticksPerStep = division / 4;
+  const quantize = (tick) => Math.round(tick / ticksPerStep);
+  // Con `reduce` y no `Math.max(...notas)`: con muchas notas se desborda la pila.
+  const lastStep = groups.reduce((last, group) => group.notes.reduce((max, note) => Math.max(max, quantize(note.end)), last), 0);
+  const length = Math.max(1, Math.ceil(lastStep / STEPS_PER_WHOLE)) * STEPS_PER_WHOLE;
+  let droppedDrums = 0;
+
+  const definitions = groups.map(group => {
+    const isDrums = group.channel === DRUM_CHANNEL;
+    let notes = group.notes.map(note => ({
+      midi: note.midi,
+      time: quantize(note.start),
+      duration: Math.max(1, quantize(note.end) - quantize(note.start)),
+    }));
+    if (isDrums) {
+      notes = notes.filter(note => gmDrumImport[note.midi]);
+      droppedDrums += group.notes.length - notes.length;
+      notes = notes.map(note => ({ ...note, midi: GM_DRUM_NOTES[drumMapping[gmDrumImport[note.midi]]], duration: 1 }));
+    }
+    const averageVelocity = group.notes.reduce((sum, note) => sum + note.velocity, 0) / group.notes.length;
+    const volume = Math.min(10, Math.max(1, Math.round(averageVelocity / 127 * 10)));
+    const pan = Math.min(10, Math.max(-10, Math.round((group.pan - 64) / 64 * 10)));
+    const instrument = isDrums ? 'drums' : instrumentForProgram(group.program);
+    const formatNote = isDrums
+      ? (midi) => Object.keys(drumMapping).find(name => GM_DRUM_NOTES[drumMapping[name]] === midi)
+      : undefined;
+    const steps = serializeNotes(notes, length, formatNote);
+    return `v=${volume}${pan !== 0 ? ` pan=${pan}` : ''} [${instrument}=${steps}]`;
+  });
+
+  if (droppedDrums > 0) {
+    warnings.push(`Se omitieron ${droppedDrums} golpe(s) de percusión sin equivalente (sólo bombo, caja y charles).`);
+  }
+  return {
+    definitions: definitions.join(',\n'),
+    bpm: tempos.length > 0 ? Math.round(60000000 / tempos[0]) : null,
+    warnings,
+  };
+};
@@ -0,0 +1,59 @@
+import { exportMidi, importMidi } from './midi';
+import { parseTrackDefinitions } from './trackParser';
+import { buildArrangement } from './arrangement';
+
+const roundTrip = (source, bpm = 120) => {
+  const song = parseTrackDefinitions(source);
+  const bytes = exportMidi({ tracks: song.tracks, arrangement: buildArrangement(song), bpm, drumInstruments: ['drums'] });
+  return importMidi(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+};
+
+const summarize = (definitions) => parseTrackDefinitions(definitions).tracks.map(track => ({
+  instrument: track.instrument,
+  volume: track.volume,
+  events: track.events
+    .filter(event => event.kind !== 'rest')
+    .map(event => [event.notes, event.time, event.duration]),
+}));
+
+describe('exportMidi e importMidi', () => {
+  test('conservan notas, acordes, duraciones, volumen y tempo', () => {
+    const { definitions, bpm, warnings } = roundTrip('v=8 [piano=do,mi-sol:8,_,-,re5:4]', 96);
+    expect(bpm).toBe(96);
+    expect(warnings).toEqual([]);
+    expect(summarize(definitions)).toEqual([
+      { instrument: 'piano', volume: 0.8, events: [[[60], 0, 1], [[64, 67], 1, 3], [[74], 5, 4]] },
+    ]);
+  });
+
+  test('la batería va al canal 10 y vuelve como drums', () => {
+    const { definitions } = roundTrip('[synth=do2:4], [drums=kick,-,snare,hihat]');
+    const [synth, drums] = summarize(definitions);
+    expect(synth).toMatchObject({ instrument: 'synth', events: [[[36], 0, 4]] });
+    expect(drums.instrument).toBe('drums');
+    expect(drums.events.map(([notes, time]) => [notes, time])).toEqual([
+      [['Kick'], 0],
+      [['Snare'], 2],
+      [['Hi-Hat'], 3],
+    ]);
+  });
+
+  test('importa archivos con muchísimas notas', () => {
+    // Formato 0, una pista, 4 ticks por negra: cada nota dura un paso y empieza al acabar la anterior.
+    const count = 200000;
+    const events = new Uint8Array(count * 8 + 4);
+    for (let i = 0; i < count; i++) {
+      events.set([0x00, 0x90, 60, 100, 0x01, 0x80, 60, 0], i * 8);
+    }
+    events.set([0x00, 0xFF, 0x2F, 0x00], count * 8);
+    const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 4];
+    const trackHeader = [0x4D, 0x54, 0x72, 0x6B, (events.length >>> 24) & 0xFF, (events.length >>> 16) & 0xFF, (events.length >>> 8) & 0xFF, events.length & 0xFF];
+    const bytes = new Uint8Array([...header, ...trackHeader, ...events]);
+    const { definitions } = importMidi(bytes.buffer);
+    expect(parseTrackDefinitions(definitions).tracks[0].length).toBe(count);
+  });
+
+  test('rechaza archivos que no son MIDI', () => {
+    expect(() => importMidi(new TextEncoder().encode('RIFF....').buffer)).toThrow();
+  });
+});
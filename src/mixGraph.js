@@ -0,0 +1,154 @@
+import { createEffectChain } from './effects';
+
+/**
+ * Grafo de mezcla compartido por la reproducción en vivo y la exportación: cada pista
+ * entra por su propio canal (mute/solo, efectos de inserción, panorama y envío al eco)
+ * y todo pasa por la ganancia maestra, los efectos maestros, el compresor y el
+ * limitador del bus maestro.
+ */
+
+export const DEFAULT_MASTER_SETTINGS = {
+  gain: 1,
+  compressor: { enabled: true, threshold: -18, ratio: 3, attack: 0.01, release: 0.25 },
+  limiter: { enabled: true, ceiling: -1 },
+};
+
+/**
+ * Completa unos ajustes del bus maestro guardados (quizá parciales o de una versión
+ * anterior) con los valores por defecto.
+ */
+export const normalizeMasterSettings = (settings = {}) => ({
+  gain: typeof settings.gain === 'number' ? settings.gain : DEFAULT_MASTER_SETTINGS.gain,
+  compressor: { ...DEFAULT_MASTER_SETTINGS.compressor, ...settings.compressor },
+  limiter: { ...DEFAULT_MASTER_SETTINGS.limiter, ...settings.limiter },
+});
+
+/**
+ * Construye el grafo de mezcla sobre `context` (un AudioContext o un OfflineAudioContext).
+ */
+export const createMixGraph = (context, masterSettings = DEFAULT_MASTER_SETTINGS, masterEffects = []) => {
+  const master = context.createGain();
+  const compressor = context.createDynamicsCompressor();
+  const limiter = context.createDynamicsCompressor();
+  const delay = context.createDelay(1.0);
+  const feedback = context.createGain();
+  delay.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(master);
+  const masterChain = createEffectChain(context, masterEffects);
+  master.connect(masterChain.input);
+  masterChain.output.connect(compressor);
+  compressor.connect(limiter);
+  limiter.connect(context.destination);
+  delay.delayTime.value = 0.25;
+  feedback.gain.value = 0.4;
+  const graph = { context, input: master, master, masterChain, compressor, limiter, delay, feedback };
+  applyMasterSettings(graph, masterSettings);
+  return graph;
+};
+
+/**
+ * Aplica los ajustes del bus maestro. Un compresor desactivado se deja con ratio 1.
+ */
+export const applyMasterSettings = (graph, settings) => {
+  const { gain, compressor, limiter } = normalizeMasterSettings(settings);
+  graph.master.gain.value = gain;
+  graph.compressor.threshold.value = compressor.threshold;
+  graph.compressor.ratio.value = compressor.enabled ? compressor.ratio : 1;
+  graph.compressor.attack.value = compressor.attack;
+  graph.compressor.release.value = compressor.release;
+  graph.limiter.threshold.value = limiter.ceiling;
+  graph.limiter.ratio.value = limiter.enabled ? 20 : 1;
+  graph.limiter.knee.value = 0;
+  graph.limiter.attack.value = 0.001;
+  graph.limiter.release.value = 0.1;
+};
+
+/**
+ * Sustituye la cadena de efectos maestros sin reconstruir el resto del grafo.
+ */
+export const setMasterEffects = (graph, chain) => {
+  graph.master.disconnect();
+  graph.masterChain.output.disconnect();
+  graph.masterChain.dispose();
+  graph.masterChain = createEffectChain(graph.context, chain);
+  graph.master.connect(graph.masterChain.input);
+  graph.masterChain.output.connect(graph.compressor);
+};
+
+/**
+ * Ajusta el eco a media negra del tempo indicado.
+ */
+export const setDelayTempo = (graph, bpm) => {
+  graph.delay.delayTime.value = 60 / bpm * 0.5;
+};
+
+/**
+ * Indica si una pista debe sonar: si alguna pista está en solo, sólo suenan ésas;
+ * si no, todas las que no están silenciadas.
+ */
+export const isTrackAudible = (track, tracks) => {
+  const soloActive = tracks.some(t => t.solo);
+  return soloActive ? track.solo : !track.mute;
+};
+
+/**
+ * Crea el canal de una pista: `input` → efectos de inserción → panorama → bus
+ * maestro, con un envío post-panorama hacia el eco.
+ */
+export const createChannel = (graph, effects = []) => {
+  const { context } = graph;
+  const input = context.createGain();
+  const chain = createEffectChain(context, effects);
+  const panner = context.createStereoPanner();
+  const send = context.createGain();
+  input.connect(chain.input);
+  chain.output.connect(panner);
+  panner.connect(graph.input);
+  panner.connect(send);
+  send.connect(graph.delay);
+  return { context, input, chain, effects, panner, send };
+};
+
+/**
+ * Sustituye los efectos de inserción de un canal mientras suena. Si la cadena es la
+ * misma (el mismo array) que ya tiene, no se reconstruye.
+ */
+export const setChannelEffects = (channel, effects) => {
+  if (channel.effects === effects) return;
+  channel.effects = effects;
+  channel.input.disconnect();
+  channel.chain.output.disconnect();
+  channel.chain.dispose();
+  channel.chain = createEffectChain(channel.context, effects);
+  channel.input.connect(channel.chain.input);
+  channel.chain.output.connect(channel.panner);
+};
+
+/**
+ * Desconecta un canal que ya no se usa y para sus osciladores internos.
+ */
+export const disposeChannel = (channel) => {
+  channel.input.disconnect();
+  channel.chain.dispose();
+};
+
+/**
+ * Aplica a un canal el panorama, el envío y el mute/solo de su pista.
+ */
+export const applyChannelSettings = (channel, track, tracks) => {
+  channel.input.gain.value = isTrackAudible(track, tracks) ? 1 : 0;
+  channel.panner.pan.value = track.pan;
+  channel.send.gain.value = track.send;
+};
+
+/**
+ * Crea y configura un canal por pista; `trackEffects[i]` es la cadena de la pista `i`.
+ */
+export const createChannels = (graph, tracks, trackEffects = []) => {
+  return tracks.map((track, i) => {
+    const channel = createChannel(graph, trackEffects[i]);
+    applyChannelSettings(channel, track, tracks);
+    return channel;
+  });
+};
@@ -0,0 +1,647 @@
+import { forEachEventAtStep } from './transport';
+import { groupChords, serializeNotes, STEPS_PER_WHOLE } from './trackParser';
+
+/**
+ * Importación y exportación de partituras en ABC y MusicXML (sin comprimir).
+ *
+ * Al importar, cada voz ABC o parte MusicXML se convierte en una definición de pista:
+ * se aplican la armadura y las alteraciones, las figuras se pasan a semicorcheas y las
+ * repeticiones (`|: :|`, casillas de 1ª y 2ª vez) se despliegan. Como una pista sólo
+ * tiene un evento por paso, las voces internas se reducen a acordes y los valores que
+ * no caben en la rejilla (tresillos, fusas) se redondean.
+ *
+ * Al exportar se escriben las pistas melódicas siguiendo el arreglo una vez, en 4/4 y
+ * Do mayor, con las notas que cruzan la barra de compás ligadas. Las baterías no se
+ * exportan.
+ */
+
+const STEPS_PER_BAR = STEPS_PER_WHOLE;
+const STEPS_PER_QUARTER = STEPS_PER_WHOLE / 4;
+
+const LETTER_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Quintas de cada nota natural, para calcular armaduras: Fa = -1, Do = 0, Sol = 1...
+const LETTER_FIFTHS = { 'F': -1, 'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5 };
+const SHARP_ORDER = 'FCGDAEB';
+
+// Desplazamiento en quintas de cada modo respecto al mayor.
+const MODE_FIFTHS = { '': 0, 'maj': 0, 'ion': 0, 'm': -3, 'min': -3, 'aeo': -3, 'dor': -2, 'phr': -4, 'lyd': 1, 'mix': -1, 'loc': -5 };
+
+// Nombre y alteración (con sostenidos) de cada clase de altura.
+const PITCH_SPELLINGS = [
+  ['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0],
+  ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0],
+];
+
+// Figuras escribibles en pasos, de mayor a menor (con puntillo cuando hace falta).
+const NOTE_VALUES = [16, 12, 8, 6, 4, 3, 2, 1];
+const MUSICXML_TYPES = {
+  16: ['whole', false], 12: ['half', true], 8: ['half', false], 6: ['quarter', true],
+  4: ['quarter', false], 3: ['eighth', true], 2: ['eighth', false], 1: ['16th', false],
+};
+
+// Instrumento integrado que mejor encaja con el nombre de una voz o parte.
+const guessInstrument = (name, fallback) => {
+  if (/guit/i.test(name)) return 'guitar';
+  if (/piano|keys|teclado/i.test(name)) return 'piano';
+  if (/synth|sinte/i.test(name)) return 'synth';
+  return fallback;
+};
+
+/**
+ * Alteraciones de la armadura de un campo `K:` de ABC (`G`, `Dm`, `Bb mix`), como
+ * `{ F: 1 }` o `{ B: -1, E: -1 }`.
+ */
+const parseAbcKey = (text) => {
+  const match = /^\s*([A-G])([#b]?)\s*([A-Za-z]*)/.exec(text);
+  if (!match) return {};
+  const mode = match[3].toLowerCase().slice(0, 3);
+  const fifths = LETTER_FIFTHS[match[1]] + (match[2] === '#' ? 7 : match[2] === 'b' ? -7 : 0) + (MODE_FIFTHS[mode] || 0);
+  const signature = {};
+  const count = Math.min(7, Math.abs(fifths));
+  for (let i = 0; i < count; i++) {
+    if (fifths > 0) {
+      signature[SHARP_ORDER[i]] = 1;
+    } else {
+      signature[SHARP_ORDER[6 - i]] = -1;
+    }
+  }
+  return signature;
+};
+
+// Convierte un valor `n/d` de un campo ABC (`L:1/8`, `M:6/8`) en fracción de redonda.
+const parseFraction = (text) => {
+  const match = /(\d+)\s*\/\s*(\d+)/.exec(text);
+  return match ? Number(match[1]) / Number(match[2]) : null;
+};
+
+// Números de casilla de una repetición: `1`, `1,3` o `1-2`.
+const parseEndingNumbers = (text) => {
+  const numbers = [];
+  text.split(',').forEach(part => {
+    const [from, to = from] = part.split('-').map(Number);
+    for (let n = from; n <= to; n++) numbers.push(n);
+  });
+  return numbers;
+};
+
+/**
+ * Despliega las repeticiones de una lista de compases `{ notes, length, forward,
+ * backward, endings }`: `forward`/`backward` marcan el inicio y el final de una
+ * repetición y `endings` los números de casilla en que suena el compás.
+ */
+const expandRepeats = (measures) => {
+  const expanded = [];
+  let start = 0;
+  let pass = 1;
+  let lastJump = -1;
+  let i = 0;
+  while (i < measures.length) {
+    const measure = measures[i];
+    if (i > lastJump && pass > 1 && !measure.endings) {
+      pass = 1;
+      start = i;
+    }
+    if (measure.forward && i > lastJump) {
+      start = i;
+      pass = 1;
+    }
+    if (measure.endings && !measure.endings.includes(pass)) {
+      i++;
+      continue;
+    }
+    expanded.push(measure);
+    if (measure.backward && i > lastJump) {
+      lastJump = i;
+      pass++;
+      i = start;
+      continue;
+    }
+    i++;
+  }
+  return expanded;
+};
+
+/**
+ * Coloca en el tiempo las notas de una lista de compases y une las notas ligadas.
+ * Devuelve `{ notes, length }` con tiempos en pasos.
+ */
+const flattenMeasures = (measures) => {
+  const notes = [];
+  // Última nota ligada de cada altura, pendiente de continuar.
+  const tied = new Map();
+  let offset = 0;
+  measures.forEach(measure => {
+    [...measure.notes].sort((a, b) => a.start - b.start).forEach(note => {
+      const time = offset + note.start;
+      const previous = tied.get(note.midi);
+      if (previous && Math.abs(previous.time + previous.duration - time) < 1e-6) {
+        previous.duration += note.duration;
+        if (!note.tie) tied.delete(note.midi);
+        return;
+      }
+      const placed = { midi: note.midi, time, duration: note.duration };
+      notes.push(placed);
+      if (note.tie) {
+        tied.set(note.midi, placed);
+      } else {
+        tied.delete(note.midi);
+      }
+    });
+    offset += measure.length;
+  });
+  return { notes, length: offset };
+};
+
+/**
+ * Convierte voces `{ name, measures }` en definiciones de pista, todas con la misma
+ * longitud (redondeada al compás).
+ */
+const voicesToDefinitions = (voices, instrument) => {
+  const warnings = [];
+  const flattened = voices
+    .map(voice => ({ name: voice.name, ...flattenMeasures(expandRepeats(voice.measures)) }))
+    .filter(voice => voice.notes.length > 0);
+  if (flattened.length === 0) {
+    throw new Error('La partitura no contiene notas.');
+  }
+  const offGrid = flattened.some(voice => voice.notes.some(note => !Number.isInteger(note.time) || !Number.isInteger(note.duration)));
+  if (offGrid) {
+    warnings.push('Algunas notas no caen en la rejilla de semicorcheas y se han redondeado.');
+  }
+  const longest = Math.max(...flattened.map(voice => Math.ceil(voice.length)));
+  const length = Math.max(1, Math.ceil(longest / STEPS_PER_BAR)) * STEPS_PER_BAR;
+  const definitions = flattened.map(voice => {
+    return `v=8 [${guessInstrument(voice.name || '', instrument)}=${serializeNotes(voice.notes, length)}]`;
+  });
+  return { definitions: definitions.join(',\n'), warnings };
+};
+
+/**
+ * Importa una melodía ABC. Admite cabecera (`L:`, `M:`, `Q:`, `K:`), voces (`V:`),
+ * notas con alteraciones y marcas de octava, acordes `[CEG]`, silencios, ligaduras,
+ * ritmos con puntillo (`>`/`<`), tresillos `(3`, campos en línea y repeticiones con
+ * casillas. Las notas de adorno, las decoraciones y los cifrados se ignoran.
+ *
+ * `instrument` es el instrumento de las voces cuyo nombre no sugiere otro. Devuelve
+ * `{ definitions, bpm, warnings }`.
+ */
+export const importAbc = (text, instrument = 'piano') => {
+  const lines = text.replace(/\r/g, '').split('\n');
+  let signature = {};
+  let unit = null;
+  let meter = 1;
+  let bpm = null;
+  let inBody = false;
+  const voices = new Map();
+  let voice = null;
+
+  const getVoice = (id) => {
+    if (!voices.has(id)) {
+      voices.set(id, { name: id, measures: [], events: [], forward: false, endings: null, accidentals: {} });
+    }
+    return voices.get(id);
+  };
+  const unitSteps = () => STEPS_PER_WHOLE * (unit || (meter < 0.75 ? 1 / 16 : 1 / 8));
+
+  // Cierra el compás en curso de la voz con la barra indicada.
+  const closeMeasure = (bar) => {
+    const backward = bar.startsWith(':');
+    const forward = bar.endsWith(':') && bar.length > 1;
+    const isFinal = /\|\||\|\]|\[\|/.test(bar) || backward;
+    if (voice.events.length > 0 || backward) {
+      const notes = [];
+      let cursor = 0;
+      voice.events.forEach(event => {
+        event.pitches.forEach(midi => notes.push({ midi, start: cursor, duration: event.duration, tie: event.tie }));
+        cursor += event.duration;
+      });
+      voice.measures.push({ notes, length: cursor, forward: voice.forward, backward, endings: voice.endings });
+      voice.events = [];
+      voice.forward = false;
+    }
+    if (isFinal) voice.endings = null;
+    voice.forward = voice.forward || forward;
+    voice.accidentals = {};
+  };
+
+  const applyField = (key, value) => {
+    if (key === 'K') {
+      signature = parseAbcKey(value);
+      inBody = true;
+      if (!voice) voice = getVoice('1');
+    } else if (key === 'L') {
+      unit = parseFraction(value) || unit;
+    } else if (key === 'M') {
+      meter = parseFraction(value) || (/C/.test(value) ? 1 : meter);
+    } else if (key === 'Q') {
+      const match = /(\d+)\s*\/\s*(\d+)\s*=\s*(\d+)/.exec(value);
+      const plain = /^\s*(\d+)\s*$/.exec(value);
+      if (match) bpm = Math.round(Number(match[3]) * (Number(match[1]) / Number(match[2])) * 4);
+      else if (plain) bpm = Number(plain[1]);
+    } else if (key === 'V') {
+      const [id, ...rest] = value.trim().split(/\s+/);
+      voice = getVoice(id);
+      const name = /name="([^"]*)"/.exec(rest.join(' '));
+      if (name) voice.name = name[1];
+    }
+  };
+
+  // Lee una nota en `line` desde `i`: alteración, letra, octava y figura.
+  const NOTE = /(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)(\d*)(\/*)(\d*)/y;
+  const REST = /([zxZ])(\d*)(\/*)(\d*)/y;
+  const readLength = (digits, slashes, divisor) => {
+    const numerator = digits ? Number(digits) : 1;
+    const denominator = divisor ? Number(divisor) : 2 ** slashes.length;
+    return numerator / denominator;
+  };
+  const notePitch = (accidental, letter, octaveMarks) => {
+    const upper = letter.toUpperCase();
+    let octave = letter === upper ? 4 : 5;
+    for (const mark of octaveMarks) octave += mark === "'" ? 1 : -1;
+    const key = `${upper}${octave}`;
+    if (accidental) {
+      voice.accidentals[key] = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[accidental];
+    }
+    const alteration = key in voice.accidentals ? voice.accidentals[key] : signature[upper] || 0;
+    return (octave + 1) * 12 + LETTER_SEMITONES[upper] + alteration;
+  };
+
+  const parseMusicLine = (line) => {
+    let i = 0;
+    let tuplet = null;
+    let broken = null;
+    const addEvent = (pitches, length) => {
+      let duration = length * unitSteps();
+      if (broken) {
+        duration *= broken;
+        broken = null;
+      }
+      if (tuplet) {
+        duration *= tuplet.factor;
+        tuplet.remaining--;
+        if (tuplet.remaining === 0) tuplet = null;
+      }
+      voice.events.push({ pitches, duration, tie: false });
+    };
+    while (i < line.length) {
+      const char = line[i];
+      if (char === '%') break;
+      if (char === '"' || char === '!' || char === '+') {
+        const close = line.indexOf(char, i + 1);
+        i = close === -1 ? line.length : close + 1;
+      } else if (char === '{') {
+        const close = line.indexOf('}', i + 1);
+        i = close === -1 ? line.length : close + 1;
+      } else if (char === '[' && /^[A-Za-z]:/.test(line.slice(i + 1, i + 3))) {
+        const close = line.indexOf(']', i);
+        const field = line.slice(i + 1, close === -1 ? line.length : close);
+        applyField(field[0], field.slice(2));
+        i = close === -1 ? line.length : close + 1;
+      } else if (char === '[' && /\d/.test(line[i + 1] || '')) {
+        const match = /^[\d,-]+/.exec(line.slice(i + 1));
+        voice.endings = parseEndingNumbers(match[0]);
+        i += 1 + match[0].length;
+      } else if (char === '|' || char === ':' || (char === '[' && line[i + 1] === '|')) {
+        const bar = line.startsWith('[|', i) ? '[|' : /^:*\|*\]?:*/.exec(line.slice(i))[0];
+        i += bar.length;
+        if (bar === ':') continue;
+        closeMeasure(bar);
+        const ending = /^[\d][\d,-]*/.exec(line.slice(i));
+        if (ending) {
+          voice.endings = parseEndingNumbers(ending[0]);
+          i += ending[0].length;
+        }
+      } else if (char === '[') {
+        const close = line.indexOf(']', i);
+        const body = line.slice(i + 1, close === -1 ? line.length : close);
+        const pitches = [];
+        let chordLength = null;
+        NOTE.lastIndex = 0;
+        let match;
+        while ((match = NOTE.exec(body)) !== null) {
+          pitches.push(notePitch(match[1], match[2], match[3]));
+          if (chordLength === null) chordLength = readLength(match[4], match[5], match[6]);
+        }
+        i = close === -1 ? line.length : close + 1;
+        const outer = /^(\d*)(\/*)(\d*)/.exec(line.slice(i));
+        i += outer[0].length;
+        if (pitches.length > 0) addEvent(pitches, (chordLength || 1) * readLength(outer[1], outer[2], outer[3]));
+      } else if (char === '(' && /\d/.test(line[i + 1] || '')) {
+        const match = /^\((\d)(?::(\d*))?(?::(\d*))?/.exec(line.slice(i));
+        const count = Number(match[1]);
+        const inTimeOf = match[2] ? Number(match[2]) : ({ 2: 3, 4: 3, 8: 3 }[count] || 2);
+        tuplet = { factor: inTimeOf / count, remaining: match[3] ? Number(match[3]) : count };
+        i += match[0].length;
+      } else if (char === '-') {
+        const last = voice.events[voice.events.length - 1];
+        if (last) last.tie = true;
+        i++;
+      } else if (char === '>' || char === '<') {
+        const match = /^(>+|<+)/.exec(line.slice(i));
+        const dots = match[0].length;
+        const shorter = 1 / 2 ** dots;
+        const last = voice.events[voice.events.length - 1];
+        if (last) last.duration *= char === '>' ? 2 - shorter : shorter;
+        broken = char === '>' ? shorter : 2 - shorter;
+        i += dots;
+      } else if (/[\^=_A-Ga-g]/.test(char)) {
+        NOTE.lastIndex = i;
+        const match = NOTE.exec(line);
+        if (!match) {
+          i++;
+          continue;
+        }
+        addEvent([notePitch(match[1], match[2], match[3])], readLength(match[4], match[5], match[6]));
+        i = NOTE.lastIndex;
+      } else if (/[zxZ]/.test(char)) {
+        REST.lastIndex = i;
+        const match = REST.exec(line);
+        if (match[1] === 'Z') {
+          // Silencio de varios compases.
+          const bars = match[2] ? Number(match[2]) : 1;
+          for (let bar = 0; bar < bars; bar++) {
+            voice.events.push({ pitches: [], duration: meter * STEPS_PER_WHOLE, tie: false });
+            closeMeasure('|');
+          }
+        } else {
+          addEvent([], readLength(match[2], match[3], match[4]));
+        }
+        i = REST.lastIndex;
+      } else {
+        i++;
+      }
+    }
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/\\\s*$/, '');
+    const field = /^([A-Za-z]):(.*)$/.exec(line.trim());
+    if (field) {
+      applyField(field[1], field[2]);
+    } else if (inBody && line.trim()) {
+      parseMusicLine(line);
+    }
+  });
+  if (!inBody) {
+    throw new Error('Falta el campo "K:" que abre el cuerpo de la melodía ABC.');
+  }
+  voices.forEach(v => {
+    voice = v;
+    closeMeasure('|');
+  });
+  return { ...voicesToDefinitions([...voices.values()], instrument), bpm };
+};
+
+/**
+ * Importa un documento MusicXML (`score-partwise`, sin comprimir). Cada parte da una
+ * definición de pista; se leen alturas, duraciones, acordes, ligaduras, voces
+ * (`backup`/`forward`), tempo y repeticiones con casillas. Las notas de adorno y la
+ * percusión sin altura se ignoran. Devuelve `{ definitions, bpm, warnings }`.
+ */
+export const importMusicXml = (text, instrument = 'piano') => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('El archivo MusicXML no es XML válido.');
+  }
+  const root = doc.documentElement;
+  if (root.tagName !== 'score-partwise') {
+    throw new Error(root.tagName === 'score-timewise'
+      ? 'Sólo se admiten partituras MusicXML "score-partwise".'
+      : 'No es un archivo MusicXML.');
+  }
+  const children = (element, name) => Array.from(element.children).filter(child => child.tagName === name);
+  const child = (element, name) => children(element, name)[0] || null;
+  const childText = (element, name) => {
+    const found = child(element, name);
+    return found ? found.textContent.trim() : null;
+  };
+
+  const partNames = {};
+  doc.querySelectorAll('part-list > score-part').forEach(part => {
+    partNames[part.getAttribute('id')] = childText(part, 'part-name') || '';
+  });
+
+  let bpm = null;
+  const voices = children(root, 'part').map(part => {
+    let divisions = 1;
+    let endings = null;
+    const measures = children(part, 'measure').map(measureElement => {
+      const measure = { notes: [], length: 0, forward: false, backward: false, endings };
+      let cursor = 0;
+      let lastStart = 0;
+      const toSteps = (element) => Number(childText(element, 'duration') || 0) / divisions * STEPS_PER_QUARTER;
+      let closesEnding = false;
+      Array.from(measureElement.children).forEach(element => {
+        if (element.tagName === 'attributes') {
+          divisions = Number(childText(element, 'divisions')) || divisions;
+        } else if (element.tagName === 'note') {
+          if (child(element, 'grace') || child(element, 'cue')) return;
+          const duration = toSteps(element);
+          const isChord = child(element, 'chord') !== null;
+          const start = isChord ? lastStart : cursor;
+          const pitch = child(element, 'pitch');
+          if (pitch) {
+            const octave = Number(childText(pitch, 'octave'));
+            const alter = Math.round(Number(childText(pitch, 'alter') || 0));
+            const midi = (octave + 1) * 12 + LETTER_SEMITONES[childText(pitch, 'step')] + alter;
+            const tie = children(element, 'tie').some(t => t.getAttribute('type') === 'start');
+            measure.notes.push({ midi, start, duration, tie });
+          }
+          if (!isChord) {
+            lastStart = cursor;
+            cursor += duration;
+          }
+        } else if (element.tagName === 'backup') {
+          cursor -= toSteps(element);
+        } else if (element.tagName === 'forward') {
+          cursor += toSteps(element);
+        } else if (element.tagName === 'barline') {
+          const repeat = child(element, 'repeat');
+          if (repeat) {
+            measure[repeat.getAttribute('direction') === 'forward' ? 'forward' : 'backward'] = true;
+          }
+          const ending = child(element, 'ending');
+          if (ending && ending.getAttribute('type') === 'start') {
+            endings = parseEndingNumbers(ending.getAttribute('number').replace(/\s/g, ''));
+            measure.endings = endings;
+          } else if (ending) {
+            closesEnding = true;
+          }
+        }
+        const sound = element.tagName === 'sound' ? element : element.querySelector('sound[tempo]');
+        if (sound && sound.getAttribute('tempo') && bpm === null) {
+          bpm = Math.round(Number(sound.getAttribute('tempo')));
+        }
+        measure.length = Math.max(measure.length, cursor);
+      });
+      if (closesEnding) endings = null;
+      return measure;
+    });
+    return { name: partNames[part.getAttribute('id')] || '', measures };
+  });
+  return { ...voicesToDefinitions(voices, instrument), bpm };
+};
+
+/**
+ * Acordes de cada pista melódica a lo largo del arreglo (una vez), redondeados a
+ * semicorcheas: `[{ track, chords: [{ time, duration, notes }] }]`.
+ */
+const collectMelodicTracks = (tracks, arrangement, drumInstruments) => {
+  const notes = tracks.map(() => []);
+  for (let step = 0; step < arrangement.length; step++) {
+    forEachEventAtStep(tracks, arrangement, step, (track, event, offset, trackIndex) => {
+      if (event.kind !== 'note') return;
+      event.notes.forEach(midi => notes[trackIndex].push({ midi, time: step + offset, duration: event.duration }));
+    });
+  }
+  const melodic = tracks
+    .map((track, i) => ({ track, chords: groupChords(notes[i]) }))
+    .filter(({ track }) => !drumInstruments.includes(track.instrument));
+  if (melodic.length === 0) {
+    throw new Error('No hay pistas melódicas para exportar.');
+  }
+  return melodic;
+};
+
+/**
+ * Reparte los acordes en compases de 4/4: cada compás es una lista de segmentos
+ * `{ notes, duration, tie }` con figuras escribibles; los silencios tienen `notes`
+ * vacío y `tie` indica que la nota sigue en el segmento siguiente. Las notas que
+ * siguen sonando al acabar la canción se cortan en el último compás.
+ */
+const buildBars = (chords, length) => {
+  const bars = Array.from({ length: Math.max(1, Math.ceil(length / STEPS_PER_BAR)) }, () => []);
+  let cursor = 0;
+  const place = (notes, duration) => {
+    const pieces = [];
+    let remaining = duration;
+    while (remaining > 0) {
+      const bar = Math.floor(cursor / STEPS_PER_BAR);
+      let room = Math.min(remaining, STEPS_PER_BAR - cursor % STEPS_PER_BAR);
+      remaining -= room;
+      for (const value of NOTE_VALUES) {
+        while (room >= value) {
+          pieces.push({ bar, segment: { notes, duration: value, tie: false } });
+          room -= value;
+          cursor += value;
+        }
+      }
+    }
+    pieces.forEach(({ bar, segment }, i) => {
+      segment.tie = notes.length > 0 && i < pieces.length - 1;
+      bars[bar].push(segment);
+    });
+  };
+  const end = bars.length * STEPS_PER_BAR;
+  chords.filter(chord => chord.time < end).forEach(chord => {
+    if (chord.time > cursor) place([], chord.time - cursor);
+    place(chord.notes, Math.min(chord.duration, end - chord.time));
+  });
+  if (cursor < bars.length * STEPS_PER_BAR) place([], bars.length * STEPS_PER_BAR - cursor);
+  return bars;
+};
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+
+const trackName = (track, index) => `${index + 1}. ${track.pattern ? `${track.pattern} ` : ''}${track.instrument}`;
+
+/**
+ * Exporta las pistas melódicas como melodía ABC (una voz por pista), con `L:1/16`,
+ * el tempo de `bpm` y Do mayor. Devuelve el texto.
+ */
+export const exportAbc = ({ tracks, arrangement, bpm, drumInstruments, title = 'Sin título' }) => {
+  const melodic = collectMelodicTracks(tracks, arrangement, drumInstruments);
+  const lines = ['X:1', `T:${title}`, 'M:4/4', 'L:1/16', `Q:1/4=${Math.round(bpm)}`, 'K:C'];
+
+  melodic.forEach(({ track, chords }, i) => {
+    lines.push(`V:${i + 1} name="${trackName(track, tracks.indexOf(track))}"`);
+    const bars = buildBars(chords, arrangement.length).map(segments => {
+      // Alteraciones ya escritas en el compás, por nota y octava.
+      const accidentals = {};
+      const pitchText = (midi) => {
+        const [letter, alteration] = PITCH_SPELLINGS[midi % 12];
+        const octave = Math.floor(midi / 12) - 1;
+        const key = `${letter}${octave}`;
+        let prefix = '';
+        if ((accidentals[key] || 0) !== alteration) {
+          prefix = alteration === 1 ? '^' : '=';
+          accidentals[key] = alteration;
+        }
+        const name = octave >= 5 ? letter.toLowerCase() + "'".repeat(octave - 5) : letter + ','.repeat(4 - octave);
+        return prefix + name;
+      };
+      return segments.map(({ notes, duration, tie }) => {
+        const length = duration === 1 ? '' : `${duration}`;
+        if (notes.length === 0) return `z${length}`;
+        const body = notes.length === 1 ? pitchText(notes[0]) : `[${notes.map(pitchText).join('')}]`;
+        return `${body}${length}${tie ? '-' : ''}`;
+      }).join(' ');
+    });
+    for (let bar = 0; bar < bars.length; bar += 4) {
+      const isLast = bar + 4 >= bars.length;
+      lines.push(`${bars.slice(bar, bar + 4).join(' | ')} ${isLast ? '|]' : '|'}`);
+    }
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Exporta las pistas melódicas como partitura MusicXML 3.1 (una parte por pista) en
+ * 4/4, con el tempo de `bpm`. Devuelve el texto del documento.
+ */
+export const exportMusicXml = ({ tracks, arrangement, bpm, drumInstruments, title = 'Sin título' }) => {
+  const melodic = collectMelodicTracks(tracks, arrangement, drumInstruments);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="3.1">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    '  <part-list>',
+  ];
+  melodic.forEach(({ track }, i) => {
+    out.push(`    <score-part id="P${i + 1}"><part-name>${escapeXml(trackName(track, tracks.indexOf(track)))}</part-name></score-part>`);
+  });
+  out.push('  </part-list>');
+
+  melodic.forEach(({ chords }, i) => {
+    const allNotes = chords.flatMap(chord => chord.notes);
+    const average = allNotes.reduce((sum, midi) => sum + midi, 0) / Math.max(1, allNotes.length);
+    const clef = allNotes.length > 0 && average < 60 ? '<sign>F</sign><line>4</line>' : '<sign>G</sign><line>2</line>';
+    out.push(`  <part id="P${i + 1}">`);
+    // La ligadura de llegada se arrastra desde el segmento anterior, también entre compases.
+    let tiedFromPrevious = false;
+    buildBars(chords, arrangement.length).forEach((segments, bar) => {
+      out.push(`    <measure number="${bar + 1}">`);
+      if (bar === 0) {
+        out.push(`      <attributes><divisions>${STEPS_PER_QUARTER}</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time><clef>${clef}</clef></attributes>`);
+        if (i === 0) {
+          out.push(`      <direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${Math.round(bpm)}</per-minute></metronome></direction-type><sound tempo="${Math.round(bpm)}"/></direction>`);
+        }
+      }
+      segments.forEach(({ notes, duration, tie }) => {
+        const [type, dotted] = MUSICXML_TYPES[duration];
+        const figure = `<duration>${duration}</duration>${notes.length > 0 ? tieElements(tiedFromPrevious, tie) : ''}<type>${type}</type>${dotted ? '<dot/>' : ''}`;
+        if (notes.length === 0) {
+          out.push(`      <note><rest/>${figure}</note>`);
+        }
+        notes.forEach((midi, n) => {
+          const [letter, alteration] = PITCH_SPELLINGS[midi % 12];
+          const pitch = `<pitch><step>${letter}</step>${alteration ? `<alter>${alteration}</alter>` : ''}<octave>${Math.floor(midi / 12) - 1}</octave></pitch>`;
+          out.push(`      <note>${n > 0 ? '<chord/>' : ''}${pitch}${figure}${notes.length > 0 ? tiedNotations(tiedFromPrevious, tie) : ''}</note>`);
+        });
+        tiedFromPrevious = tie;
+      });
+      out.push('    </measure>');
+    });
+    out.push('  </part>');
+  });
+  out.push('</score-partwise>');
+  return `${out.join('\n')}\n`;
+};
+
+// Elementos `<tie>` (sonido) y `<tied>` (dibujo) de una nota ligada.
+const tieElements = (stop, start) => `${stop ? '<tie type="stop"/>' : ''}${start ? '<tie type="start"/>' : ''}`;
+const tiedNotations = (stop, start) => (stop || start
+  ? `<notations>${stop ? '<tied type="stop"/>' : ''}${start ? '<tied type="start"/>' : ''}</notations>`
+  : '');
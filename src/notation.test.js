@@ -0,0 +1,68 @@
+import { importAbc, importMusicXml, exportAbc, exportMusicXml } from './notation';
+import { parseTrackDefinitions } from './trackParser';
+import { buildArrangement } from './arrangement';
+
+const exportOptions = (source) => {
+  const song = parseTrackDefinitions(source);
+  return { tracks: song.tracks, arrangement: buildArrangement(song), bpm: 100, drumInstruments: ['drums'], title: 'Prueba' };
+};
+
+// Notas de cada pista al volver a leer las definiciones importadas.
+const notesOf = (definitions) => parseTrackDefinitions(definitions).tracks
+  .map(track => track.events
+    .filter(event => event.kind === 'note')
+    .map(event => [event.notes, event.time, event.duration]));
+
+describe('exportAbc', () => {
+  test('escribe cabecera, voces y compases', () => {
+    const abc = exportAbc(exportOptions('[piano=do,re,mi,fa:4,_,_,_]'));
+    expect(abc).toContain('Q:1/4=100');
+    expect(abc).toContain('V:1 name="1. piano"');
+    expect(abc).toContain('C D E F6- F z6 |]');
+  });
+
+  test('corta las notas que siguen sonando al acabar la canción', () => {
+    expect(exportAbc(exportOptions('v=8 [piano=do,re,mi,fa:2]'))).toContain('C D E F8 z4 z |]');
+    const abc = exportAbc(exportOptions('v=8 [piano=do:1], v=6 [synth=sol:2,la:4]'));
+    expect(abc).toContain('C16 |]');
+    expect(abc).toContain('G8 A4 G4 |]');
+  });
+
+  test('vuelve a importarse igual', () => {
+    const source = '[piano=do,mi-sol:8,_,re5:4]';
+    const { definitions, bpm } = importAbc(exportAbc(exportOptions(source)));
+    expect(bpm).toBe(100);
+    expect(notesOf(definitions)).toEqual([[[[60], 0, 1], [[64, 67], 1, 3], [[74], 4, 4]]]);
+  });
+});
+
+describe('exportMusicXml', () => {
+  test('corta las notas que siguen sonando al acabar la canción', () => {
+    const xml = exportMusicXml(exportOptions('v=8 [piano=do:1], v=6 [synth=sol:2,la:4]'));
+    expect(xml.match(/<part id=/g)).toHaveLength(2);
+  });
+
+  test('vuelve a importarse igual', () => {
+    const source = '[piano=do,mi-sol:8,_,re5:4,sol:2], [synth=-,la3:2,_,_,_,_,_,_,_]';
+    const { definitions, bpm } = importMusicXml(exportMusicXml(exportOptions(source)));
+    expect(bpm).toBe(100);
+    expect(notesOf(definitions)).toEqual([
+      [[[60], 0, 1], [[64, 67], 1, 3], [[74], 4, 4], [[67], 8, 8]],
+      [[[57], 1, 15]],
+    ]);
+  });
+});
+
+describe('importAbc', () => {
+  test('lee la tonalidad, la unidad y las repeticiones', () => {
+    const { definitions, warnings } = importAbc('X:1\nL:1/8\nK:G\n|: F2 G2 :|\n');
+    expect(warnings).toEqual([]);
+    expect(notesOf(definitions)).toEqual([[[[66], 0, 4], [[67], 4, 4], [[66], 8, 4], [[67], 12, 4]]]);
+  });
+});
+
+describe('importMusicXml', () => {
+  test('rechaza documentos que no son MusicXML', () => {
+    expect(() => importMusicXml('<a>')).toThrow('El archivo MusicXML no es XML válido.');
+  });
+});
@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+import { computePeaks, mixDown } from './waveformAnalysis';
+
+/**
+ * Worker de la forma de onda: guarda el audio mezclado a mono y responde a cada
+ * petición `{ id, start, end, bins }` con `{ id, peaks }`.
+ */
+
+let data = new Float32Array(0);
+let sampleRate = 44100;
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'buffer') {
+    data = mixDown(message.channels);
+    sampleRate = message.sampleRate;
+  } else if (message.type === 'peaks') {
+    const peaks = computePeaks(data, sampleRate, message.start, message.end, message.bins);
+    self.postMessage({ id: message.id, peaks }, [peaks.buffer]);
+  }
+};
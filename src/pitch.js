@@ -0,0 +1,73 @@
+/**
+ * Cálculo de alturas: convierte nombres de nota (solfeo o notación inglesa, con
+ * alteraciones y octava) en números MIDI y frecuencias en temperamento igual.
+ */
+
+export const DEFAULT_REFERENCE_PITCH = 440;
+export const DEFAULT_OCTAVE = 4;
+export const MIN_OCTAVE = 0;
+export const MAX_OCTAVE = 8;
+
+// Clase de altura (semitonos sobre Do) de cada nombre de nota.
+const pitchClasses = {
+  'do': 0, 're': 2, 'mi': 4, 'fa': 5, 'sol': 7, 'la': 9, 'si': 11,
+  'c': 0, 'd': 2, 'e': 4, 'f': 5, 'g': 7, 'a': 9, 'b': 11,
+};
+
+const accidentals = { '': 0, '#': 1, 'b': -1 };
+
+// Nombre, alteración opcional y octava opcional: `sib3`, `f#`, `la`.
+const NOTE_PATTERN = /^(do|re|mi|fa|sol|la|si|[a-g])(#|b)?(\d+)?$/;
+
+const solfegeNames = ['do', 'do#', 're', 're#', 'mi', 'fa', 'fa#', 'sol', 'sol#', 'la', 'la#', 'si'];
+
+const sharpNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Analiza una especificación de nota como `do`, `sib3`, `F#2`, `la#` o un número
+ * MIDI (`60`). Devuelve `{ midi }` si es válida, `{ error }` si parece una nota
+ * pero está fuera de rango, o `null` si no es una nota.
+ */
+export const parseNoteSpec = (spec, defaultOctave = DEFAULT_OCTAVE) => {
+  const value = String(spec).trim().toLowerCase();
+  if (/^\d+$/.test(value)) {
+    const midi = parseInt(value, 10);
+    return midi <= 127 ? { midi } : { error: `Número MIDI fuera de rango (0-127): "${spec}"` };
+  }
+  const match = NOTE_PATTERN.exec(value);
+  if (!match) return null;
+  const [, name, accidental = '', octaveText] = match;
+  const octave = octaveText === undefined ? defaultOctave : parseInt(octaveText, 10);
+  if (octave < MIN_OCTAVE || octave > MAX_OCTAVE) {
+    return { error: `Octava fuera de rango (${MIN_OCTAVE}-${MAX_OCTAVE}): "${spec}"` };
+  }
+  const midi = (octave + 1) * 12 + pitchClasses[name] + accidentals[accidental];
+  if (midi < 0 || midi > 127) {
+    return { error: `Nota fuera de rango: "${spec}"` };
+  }
+  return { midi };
+};
+
+/**
+ * Frecuencia en Hz de una nota MIDI en temperamento igual, con La4 = `referencePitch`.
+ */
+export const midiToFrequency = (midi, referencePitch = DEFAULT_REFERENCE_PITCH) => {
+  return referencePitch * Math.pow(2, (midi - 69) / 12);
+};
+
+/**
+ * Nombre en notación inglesa (con sostenidos) de una nota MIDI, p. ej. 61 -> "C#4".
+ */
+export const midiToNoteName = (midi) => {
+  return `${sharpNames[midi % 12]}${Math.floor(midi / 12) - 1}`;
+};
+
+/**
+ * Nombre en solfeo con octava de una nota MIDI tal como lo acepta el analizador de
+ * pistas, p. ej. 61 -> "do#4". Fuera de las octavas admitidas se escribe el número MIDI.
+ */
+export const midiToSolfege = (midi) => {
+  const octave = Math.floor(midi / 12) - 1;
+  if (octave < MIN_OCTAVE || octave > MAX_OCTAVE) return String(midi);
+  return `${solfegeNames[midi % 12]}${octave}`;
+};
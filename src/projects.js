@@ -0,0 +1,307 @@
+import { collection, doc, getDoc, getDocs, setDoc, addDoc, deleteDoc } from 'firebase/firestore';
+
+/**
+ * Proyectos guardados del usuario. Las operaciones trabajan sobre un almacén con la
+ * misma interfaz en Firestore (`createFirestoreStore`) y en el navegador
+ * (`createLocalStore`, en `localStore.js`):
+ *
+ * - `getAll()`: `[{ id, data }]` de todos los proyectos.
+ * - `get(id)`: datos de un proyecto o `null`; `set(id, data)` los guarda tal cual.
+ * - `remove(id)`: borra el proyecto y su historial.
+ * - `getVersions(id)`: `[{ id, data }]`; `addVersion(id, data)` y
+ *   `setVersion(id, versionId, data)` añaden versiones al historial.
+ * - `getAudio(id, hash)`: audio (base64) guardado para el historial o `null`;
+ *   `setAudio(id, hash, data)` lo guarda.
+ *
+ * Cada guardado deja una copia en el historial del proyecto, con su fecha y un mensaje.
+ * Las copias no llevan el audio de las muestras y los clips, que ocuparía el historial
+ * entero y haría pasar cada versión del límite de tamaño de Firestore, sino su huella
+ * (`audio`): cada audio distinto se guarda una sola vez por proyecto con su huella como
+ * clave y al restaurar se recupera el de la versión (`restoreVersionAudio`), aunque
+ * la muestra se haya borrado o regrabado después.
+ */
+
+/* eslint-disable no-undef */
+
+const NOTES_PREVIEW_LENGTH = 80;
+
+// Tamaño máximo de un documento de Firestore.
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+
+/**
+ * Espacio para el audio de un proyecto (muestras y clips, en base64), compartido por
+ * todos: lo que queda hasta `MAX_DOCUMENT_BYTES` es para las pistas y los ajustes.
+ */
+export const AUDIO_BUDGET_BYTES = 900 * 1024;
+
+/**
+ * Bytes que ocupa el audio de las muestras o clips serializados `items`.
+ */
+export const getAudioSize = (items) => items.reduce((total, item) => total + item.data.length, 0);
+
+export const formatKilobytes = (bytes) => `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * Huella del audio serializado `data`: dos hashes de 32 bits (FNV-1a con distinta
+ * base) y la longitud, que identifican el contenido para el historial.
+ */
+export const hashAudio = (data) => {
+  let first = 0x811c9dc5;
+  let second = 0x01000193;
+  for (let i = 0; i < data.length; i++) {
+    const code = data.charCodeAt(i);
+    first = Math.imul(first ^ code, 0x01000193);
+    second = Math.imul(second ^ code, 0x5bd1e995);
+  }
+  return [first >>> 0, second >>> 0, data.length].map(value => value.toString(36)).join('-');
+};
+
+// Formato de los archivos de proyecto descargables.
+const PROJECT_FILE_FORMAT = 'music-gemini-project';
+const PROJECT_FILE_VERSION = 1;
+
+// ID de la aplicación en el entorno de despliegue; agrupa todos sus datos en Firestore.
+export const getAppId = () => (typeof __app_id !== 'undefined' ? __app_id : 'default-app-id');
+
+/**
+ * Almacén en `artifacts/{appId}/users/{userId}/projects/{projectId}`, con el
+ * historial en la subcolección `versions` de cada proyecto y su audio en `audio`.
+ */
+export const createFirestoreStore = (db, userId) => {
+  const projectsCollection = collection(db, `artifacts/${getAppId()}/users/${userId}/projects`);
+  const projectRef = (projectId) => doc(projectsCollection, projectId);
+  const versionsCollection = (projectId) => collection(projectRef(projectId), 'versions');
+  const audioCollection = (projectId) => collection(projectRef(projectId), 'audio');
+
+  return {
+    kind: 'firestore',
+    getAll: async () => {
+      const snapshot = await getDocs(projectsCollection);
+      return snapshot.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() }));
+    },
+    get: async (projectId) => {
+      const docSnap = await getDoc(projectRef(projectId));
+      return docSnap.exists() ? docSnap.data() : null;
+    },
+    set: (projectId, data) => {
+      const size = new TextEncoder().encode(JSON.stringify(data)).length;
+      if (size > MAX_DOCUMENT_BYTES) {
+        throw new Error(`El proyecto ocupa ${formatKilobytes(size)} y Firestore admite ${formatKilobytes(MAX_DOCUMENT_BYTES)} por documento. Borra muestras o clips, o guárdalo en este navegador.`);
+      }
+      return setDoc(projectRef(projectId), data);
+    },
+    // Firestore no elimina las subcolecciones al borrar el documento.
+    remove: async (projectId) => {
+      const [versions, audio] = await Promise.all([getDocs(versionsCollection(projectId)), getDocs(audioCollection(projectId))]);
+      await Promise.all([...versions.docs, ...audio.docs].map(docSnap => deleteDoc(docSnap.ref)));
+      await deleteDoc(projectRef(projectId));
+    },
+    getVersions: async (projectId) => {
+      const snapshot = await getDocs(versionsCollection(projectId));
+      return snapshot.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() }));
+    },
+    addVersion: (projectId, data) => addDoc(versionsCollection(projectId), data),
+    setVersion: (projectId, versionId, data) => setDoc(doc(versionsCollection(projectId), versionId), data),
+    getAudio: async (projectId, hash) => {
+      const docSnap = await getDoc(doc(audioCollection(projectId), hash));
+      return docSnap.exists() ? docSnap.data().data : null;
+    },
+    setAudio: (projectId, hash, data) => setDoc(doc(audioCollection(projectId), hash), { data }),
+  };
+};
+
+/**
+ * Indica si `projectId` puede usarse como ID de proyecto (y de documento de Firestore).
+ */
+export const isValidProjectId = (projectId) => {
+  return Boolean(projectId) && !projectId.includes('/') && projectId !== '.' && projectId !== '..';
+};
+
+const summarize = (projectId, data) => {
+  const notes = (data.projectNotes || '').trim().replace(/\s+/g, ' ');
+  return {
+    id: projectId,
+    updatedAt: typeof data.updatedAt === 'number' ? data.updatedAt : null,
+    bpm: data.bpm || 120,
+    notesPreview: notes.length > NOTES_PREVIEW_LENGTH ? `${notes.slice(0, NOTES_PREVIEW_LENGTH)}…` : notes,
+  };
+};
+
+/**
+ * Resumen de los proyectos del almacén (`{ id, updatedAt, bpm, notesPreview }`),
+ * del modificado más recientemente al más antiguo. Los guardados antes de que se
+ * registrara la fecha quedan al final con `updatedAt: null`.
+ */
+export const listProjects = async (store) => {
+  return (await store.getAll())
+    .map(({ id, data }) => summarize(id, data))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) || a.id.localeCompare(b.id));
+};
+
+/**
+ * Datos guardados de un proyecto, o `null` si no existe.
+ */
+export const readProject = (store, projectId) => store.get(projectId);
+
+export const projectExists = async (store, projectId) => {
+  return (await store.get(projectId)) !== null;
+};
+
+const withAudioHash = (items = []) => items.map(({ data, ...settings }) => ({ ...settings, audio: hashAudio(data) }));
+
+// Huellas del audio al que hacen referencia las versiones `versions` (`[{ data }]`).
+const referencedAudio = (versions) => new Set(versions
+  .flatMap(({ data }) => [...(data.samples || []), ...(data.clips || [])])
+  .map(item => item.audio)
+  .filter(Boolean));
+
+// Copia de `source` a `target` el audio `hashes` del historial de un proyecto.
+const copyAudio = (source, sourceId, target, targetId, hashes) => Promise.all([...hashes].map(async hash => {
+  const data = await source.getAudio(sourceId, hash);
+  if (data !== null) await target.setAudio(targetId, hash, data);
+}));
+
+/**
+ * Guarda (o reemplaza) un proyecto, anota la fecha de modificación y registra la
+ * versión en el historial con el mensaje opcional `message`. El audio que aún no
+ * estaba en el historial se guarda antes que la versión que lo usa.
+ */
+export const writeProject = async (store, projectId, data, message = '') => {
+  const { updatedAt: previousDate, ...content } = data;
+  const updatedAt = Date.now();
+  await store.set(projectId, { ...content, updatedAt });
+  const stored = referencedAudio(await store.getVersions(projectId));
+  const newAudio = new Map([...(content.samples || []), ...(content.clips || [])]
+    .map(item => [hashAudio(item.data), item.data])
+    .filter(([hash]) => !stored.has(hash)));
+  await Promise.all([...newAudio].map(([hash, audio]) => store.setAudio(projectId, hash, audio)));
+  await store.addVersion(projectId, {
+    ...content,
+    samples: withAudioHash(content.samples),
+    clips: withAudioHash(content.clips),
+    savedAt: updatedAt,
+    message,
+  });
+};
+
+/**
+ * Recupera del historial de `projectId` el audio de las muestras y clips de una
+ * versión. Devuelve `{ data, missing }`; los que no tienen audio guardado se omiten
+ * y sus nombres quedan en `missing`.
+ */
+export const restoreVersionAudio = async (store, projectId, data) => {
+  const fill = (items = []) => Promise.all(items.map(async ({ audio, ...item }) => {
+    if (item.data) return item;
+    const stored = audio ? await store.getAudio(projectId, audio) : null;
+    return stored === null ? item : { ...item, data: stored };
+  }));
+  const [samples, clips] = await Promise.all([fill(data.samples), fill(data.clips)]);
+  const missing = [...samples, ...clips].filter(item => !item.data).map(item => item.name);
+  return {
+    data: { ...data, samples: samples.filter(item => item.data), clips: clips.filter(item => item.data) },
+    missing,
+  };
+};
+
+/**
+ * Versiones guardadas de un proyecto, de la más reciente a la más antigua, como
+ * `{ id, savedAt, message, data }`, donde `data` tiene la misma forma que un proyecto.
+ */
+export const listVersions = async (store, projectId) => {
+  return (await store.getVersions(projectId))
+    .map(({ id, data: { savedAt, message, ...data } }) => ({ id, savedAt, message: message || '', data }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Borra un proyecto junto con su historial.
+ */
+export const deleteProject = (store, projectId) => store.remove(projectId);
+
+const checkCopyTarget = async (store, sourceId, targetId) => {
+  if (!isValidProjectId(targetId)) {
+    throw new Error(`ID de proyecto no válido: "${targetId}".`);
+  }
+  const data = await readProject(store, sourceId);
+  if (!data) {
+    throw new Error(`El proyecto con ID "${sourceId}" no existe.`);
+  }
+  if (await projectExists(store, targetId)) {
+    throw new Error(`Ya existe un proyecto con ID "${targetId}".`);
+  }
+  return data;
+};
+
+/**
+ * Copia un proyecto con otro ID; la copia empieza su propio historial. Falla si el
+ * origen no existe o si el destino ya está ocupado, para no pisar otro proyecto.
+ */
+export const duplicateProject = async (store, sourceId, targetId) => {
+  const data = await checkCopyTarget(store, sourceId, targetId);
+  await writeProject(store, targetId, data, `Copia de "${sourceId}"`);
+};
+
+/**
+ * Ni Firestore ni IndexedDB permiten cambiar la clave de un proyecto: se copian el
+ * proyecto y su historial (con su audio) al nuevo ID y se borra el original.
+ */
+export const renameProject = async (store, sourceId, targetId) => {
+  const data = await checkCopyTarget(store, sourceId, targetId);
+  const versions = await store.getVersions(sourceId);
+  await copyAudio(store, sourceId, store, targetId, referencedAudio(versions));
+  await Promise.all(versions.map(version => store.setVersion(targetId, version.id, version.data)));
+  await store.set(targetId, data);
+  await store.remove(sourceId);
+};
+
+/**
+ * Sube los proyectos de `source` a `target`: se copia cada proyecto que falte en el
+ * destino o que allí sea más antiguo, y se añaden al historial las versiones que aún
+ * no tenga, con su audio. Devuelve los IDs de los proyectos copiados.
+ */
+export const syncProjects = async (source, target) => {
+  const copied = [];
+  for (const { id, data } of await source.getAll()) {
+    const existing = await target.get(id);
+    const present = await target.getVersions(id);
+    const targetVersions = new Set(present.map(version => version.id));
+    const missing = (await source.getVersions(id)).filter(version => !targetVersions.has(version.id));
+    const presentAudio = referencedAudio(present);
+    await copyAudio(source, id, target, id, [...referencedAudio(missing)].filter(hash => !presentAudio.has(hash)));
+    await Promise.all(missing.map(version => target.setVersion(id, version.id, version.data)));
+    if (!existing || (existing.updatedAt || 0) < (data.updatedAt || 0)) {
+      await target.set(id, data);
+      copied.push(id);
+    }
+  }
+  return copied;
+};
+
+/**
+ * Archivo de proyecto autocontenido (pistas, tempo, mezcla, notas y muestras).
+ */
+export const createProjectFile = (data) => {
+  const { updatedAt, ...project } = data;
+  const file = { format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION, savedAt: Date.now(), project };
+  return new Blob([JSON.stringify(file)], { type: 'application/json' });
+};
+
+/**
+ * Lee un archivo de proyecto y devuelve sus datos. Lanza un error si el contenido
+ * no es un proyecto o es de una versión posterior del formato.
+ */
+export const parseProjectFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error('El archivo no es un JSON válido.');
+  }
+  if (!file || file.format !== PROJECT_FILE_FORMAT || !file.project || typeof file.project !== 'object') {
+    throw new Error('El archivo no es un proyecto de esta aplicación.');
+  }
+  if (file.version > PROJECT_FILE_VERSION) {
+    throw new Error(`El archivo usa una versión más reciente del formato (${file.version}).`);
+  }
+  return file.project;
+};
@@ -0,0 +1,87 @@
+import { writeProject, listVersions, restoreVersionAudio, renameProject, syncProjects, hashAudio } from './projects';
+
+// Almacén en memoria con la interfaz de `createFirestoreStore`.
+const createMemoryStore = () => {
+  const projects = new Map();
+  const versions = [];
+  const audio = new Map();
+  return {
+    audio,
+    getAll: async () => [...projects].map(([id, data]) => ({ id, data })),
+    get: async (projectId) => projects.get(projectId) || null,
+    set: async (projectId, data) => { projects.set(projectId, data); },
+    remove: async (projectId) => {
+      projects.delete(projectId);
+      versions.splice(0, versions.length, ...versions.filter(version => version.projectId !== projectId));
+      [...audio.keys()].filter(key => key.startsWith(`${projectId}/`)).forEach(key => audio.delete(key));
+    },
+    getVersions: async (projectId) => versions.filter(version => version.projectId === projectId),
+    addVersion: async (projectId, data) => { versions.push({ projectId, id: `v${versions.length}`, data }); },
+    setVersion: async (projectId, id, data) => { versions.push({ projectId, id, data }); },
+    getAudio: async (projectId, hash) => audio.get(`${projectId}/${hash}`) || null,
+    setAudio: async (projectId, hash, data) => { audio.set(`${projectId}/${hash}`, data); },
+  };
+};
+
+const project = {
+  trackDefinitions: '[vox=do,mi]',
+  bpm: 100,
+  samples: [{ name: 'vox', mode: 'pitched', root: 60, data: 'UklGRg' }],
+  clips: [{ name: 'clip1', start: 0, volume: 0.8, data: 'UklGRh' }],
+};
+
+describe('historial de versiones', () => {
+  test('el proyecto guarda el audio y sus versiones sólo la huella', async () => {
+    const store = createMemoryStore();
+    await writeProject(store, 'demo', project, 'primera');
+    expect((await store.get('demo')).samples[0].data).toBe('UklGRg');
+    const [version] = await listVersions(store, 'demo');
+    expect(version.message).toBe('primera');
+    expect(version.data.samples).toEqual([{ name: 'vox', mode: 'pitched', root: 60, audio: hashAudio('UklGRg') }]);
+    expect(version.data.clips).toEqual([{ name: 'clip1', start: 0, volume: 0.8, audio: hashAudio('UklGRh') }]);
+  });
+
+  test('cada audio distinto se guarda una sola vez', async () => {
+    const store = createMemoryStore();
+    await writeProject(store, 'demo', project);
+    await writeProject(store, 'demo', { ...project, bpm: 90 });
+    await writeProject(store, 'demo', { ...project, clips: [{ ...project.clips[0], data: 'UklGRi' }] });
+    expect([...store.audio.values()].sort()).toEqual(['UklGRg', 'UklGRh', 'UklGRi']);
+  });
+
+  test('al restaurar se recupera el audio de la versión aunque se haya borrado o regrabado', async () => {
+    const store = createMemoryStore();
+    await writeProject(store, 'demo', project);
+    await writeProject(store, 'demo', { ...project, samples: [{ ...project.samples[0], data: 'UklGRx' }], clips: [] });
+    const oldest = (await listVersions(store, 'demo')).find(version => version.data.clips.length > 0);
+    const { data, missing } = await restoreVersionAudio(store, 'demo', oldest.data);
+    expect(missing).toEqual([]);
+    expect(data.samples).toEqual([project.samples[0]]);
+    expect(data.clips).toEqual([project.clips[0]]);
+  });
+
+  test('el audio que no está en el historial se informa, no se sustituye', async () => {
+    const store = createMemoryStore();
+    const version = { ...project, samples: [{ name: 'vox', mode: 'pitched', root: 60, audio: 'perdido' }], clips: [{ name: 'clip1', start: 0 }] };
+    const { data, missing } = await restoreVersionAudio(store, 'demo', version);
+    expect(missing).toEqual(['vox', 'clip1']);
+    expect(data.samples).toEqual([]);
+    expect(data.clips).toEqual([]);
+  });
+
+  test('las versiones antiguas con audio se restauran tal cual', async () => {
+    expect(await restoreVersionAudio(createMemoryStore(), 'demo', project)).toEqual({ data: project, missing: [] });
+  });
+
+  test('renombrar y sincronizar copian el audio del historial', async () => {
+    const store = createMemoryStore();
+    await writeProject(store, 'demo', project);
+    await renameProject(store, 'demo', 'nuevo');
+    const [version] = await listVersions(store, 'nuevo');
+    expect((await restoreVersionAudio(store, 'nuevo', version.data)).missing).toEqual([]);
+
+    const target = createMemoryStore();
+    await syncProjects(store, target);
+    expect((await restoreVersionAudio(target, 'nuevo', version.data)).data.clips).toEqual([project.clips[0]]);
+  });
+});
@@ -0,0 +1,59 @@
+import { forEachEventAtStep } from './transport';
+import { createMixGraph, createChannels, setDelayTempo } from './mixGraph';
+import { EMPTY_EFFECTS, getTrackChain } from './effects';
+import { scheduleClip } from './clips';
+
+/**
+ * Renderizado sin conexión de la canción, recorriendo la misma línea de tiempo que el
+ * transporte en vivo y a través del mismo grafo de mezcla.
+ */
+
+// Cada cuántos segundos de audio renderizado se informa del progreso.
+const PROGRESS_INTERVAL = 1;
+
+/**
+ * Renderiza `loopCount` vueltas de la canción siguiendo `arrangement` (ver
+ * arrangement.js), más `tailSeconds` de cola para que el eco y las notas largas se
+ * apaguen. `onEvent(output, track, event, time, stepSeconds)` programa cada evento en
+ * `output`, la entrada del canal offline de su pista; el bus maestro usa
+ * `masterSettings` y los efectos salen de `effects` (ver effects.js). Los `clips`
+ * preparados (ver clips.js) suenan en canales propios tras los de las pistas.
+ * `onProgress(fraction)` recibe el avance entre 0 y 1. Devuelve una promesa con el
+ * AudioBuffer; los errores de `startRendering` se propagan como rechazo.
+ */
+export const renderSong = async ({ tracks, clips = [], arrangement, bpm, sampleRate, masterSettings, effects = EMPTY_EFFECTS, loopCount = 1, tailSeconds = 2, onEvent, onProgress = () => {} }) => {
+  const stepSeconds = 60 / bpm / 4;
+  const { length } = arrangement;
+  const totalSteps = length * loopCount;
+  const duration = totalSteps * stepSeconds + tailSeconds;
+  const context = new OfflineAudioContext(2, Math.ceil(sampleRate * duration), sampleRate);
+  const graph = createMixGraph(context, masterSettings, effects.master);
+  setDelayTempo(graph, bpm);
+  const channels = createChannels(graph, [...tracks, ...clips], tracks.map(track => getTrackChain(effects, track)));
+
+  for (let step = 0; step < totalSteps; step++) {
+    forEachEventAtStep(tracks, arrangement, step % length, (track, event, offset, trackIndex) => {
+      onEvent(channels[trackIndex].input, track, event, (step + offset) * stepSeconds, stepSeconds);
+    });
+    clips.forEach((clip, i) => {
+      if (clip.start === step % length) {
+        scheduleClip(context, clip, channels[tracks.length + i].input, step * stepSeconds, stepSeconds, length - clip.start);
+      }
+    });
+  }
+
+  // OfflineAudioContext no informa del avance: se suspende a intervalos para medirlo.
+  if (typeof context.suspend === 'function') {
+    for (let time = PROGRESS_INTERVAL; time < duration; time += PROGRESS_INTERVAL) {
+      const fraction = time / duration;
+      context.suspend(time).then(() => {
+        onProgress(fraction);
+        context.resume();
+      });
+    }
+  }
+
+  const buffer = await context.startRendering();
+  onProgress(1);
+  return buffer;
+};
@@ -0,0 +1,98 @@
+import { midiToFrequency } from './pitch';
+import { audioBufferToWavBase64, base64ToArrayBuffer } from './wav';
+
+/**
+ * Instrumentos de muestra creados desde el Editor de Audio. Una muestra puede ser
+ * melódica (se transpone respecto a su nota raíz: `[vox=do,mi,sol]`) o un pad de
+ * batería de un solo disparo que se usa junto a `kick`, `snare` y `hihat`.
+ *
+ * Las muestras se guardan en el proyecto como WAV mono en base64:
+ * `{ name, mode: 'pitched' | 'oneshot', root, data }`.
+ */
+
+// Duración máxima de cada muestra; además, todo el audio del proyecto debe caber en
+// `AUDIO_BUDGET_BYTES` (projects.js).
+export const MAX_SAMPLE_SECONDS = 5;
+
+// Fundido de salida para que la muestra no haga clic al cortarse.
+const RELEASE_SECONDS = 0.02;
+
+export const SAMPLE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Copia la región [start, end) de un AudioBuffer en un buffer nuevo y mono.
+ */
+export const extractRegion = (context, buffer, start, end) => {
+  const from = Math.max(0, Math.floor(start * buffer.sampleRate));
+  const to = Math.min(buffer.length, Math.floor(end * buffer.sampleRate));
+  const length = Math.max(1, to - from);
+  const region = context.createBuffer(1, length, buffer.sampleRate);
+  const output = region.getChannelData(0);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const input = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      output[i] += input[from + i] / buffer.numberOfChannels;
+    }
+  }
+  return region;
+};
+
+/**
+ * Reproduce `buffer` a partir de `time` con la velocidad `rate`, cortándolo con un
+ * fundido al cabo de `duration` segundos (o al terminar la muestra si no se indica).
+ */
+const playBuffer = (context, buffer, rate, time, duration) => {
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.setValueAtTime(rate, time);
+  const length = buffer.duration / rate;
+  const noteOff = time + Math.min(duration === undefined ? length : duration, length);
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(1, time);
+  gain.gain.setValueAtTime(1, Math.max(time, noteOff - RELEASE_SECONDS));
+  gain.gain.linearRampToValueAtTime(0, noteOff);
+  source.connect(gain);
+  return { sources: [source], output: gain, end: noteOff };
+};
+
+/**
+ * Crea un instrumento melódico que transpone la muestra según la nota pedida. La
+ * muestra suena a su altura real en `rootMidi`, con independencia del La4 de referencia.
+ */
+export const createSamplerInstrument = (buffer, rootMidi) => ({
+  kind: 'melodic',
+  play: (context, frequency, time, duration) => {
+    return playBuffer(context, buffer, frequency / midiToFrequency(rootMidi), time, duration);
+  },
+});
+
+/**
+ * Reproduce un pad de batería sin transponer y hasta el final de la muestra.
+ */
+export const playSamplePad = (context, buffer, time) => playBuffer(context, buffer, 1, time);
+
+/**
+ * Prepara una muestra para guardarla en el proyecto.
+ */
+export const serializeSample = ({ name, mode, root, buffer }) => ({
+  name, mode, root, data: audioBufferToWavBase64(buffer),
+});
+
+/**
+ * Reconstruye las muestras guardadas en un proyecto, decodificando su audio. Las que
+ * no se pueden decodificar se omiten y se devuelven sus nombres en `failed`.
+ */
+export const deserializeSamples = async (context, stored = []) => {
+  const samples = [];
+  const failed = [];
+  for (const sample of stored) {
+    try {
+      const buffer = await context.decodeAudioData(base64ToArrayBuffer(sample.data));
+      samples.push({ name: sample.name, mode: sample.mode === 'oneshot' ? 'oneshot' : 'pitched', root: sample.root, buffer });
+    } catch (e) {
+      console.error(e);
+      failed.push(sample.name);
+    }
+  }
+  return { samples, failed };
+};
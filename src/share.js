@@ -0,0 +1,114 @@
+/**
+ * Enlaces para compartir: las pistas, el BPM y las notas de un proyecto comprimidos
+ * en el fragmento de la URL (`#compartir=<versión>.<datos>`), sin pasar por Firestore.
+ *
+ * La versión del enlace fija cómo se codifican los datos y con qué sintaxis de pistas
+ * se escribieron. Un formato nuevo debe añadir su decodificador en `decoders` (y, si la
+ * sintaxis cambia, convertir allí las definiciones antiguas) sin tocar los anteriores,
+ * para que los enlaces ya enviados sigan abriéndose.
+ */
+
+const SHARE_PARAM = 'compartir';
+const CURRENT_VERSION = 1;
+
+// Longitud a partir de la cual algunos servicios de mensajería recortan los enlaces.
+export const LONG_URL_LENGTH = 8000;
+
+const bytesToBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const base64UrlToBytes = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const transform = async (bytes, stream) => {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+// Algunos navegadores tienen CompressionStream pero no el formato 'deflate-raw' y
+// lanzan una excepción al crearlo: hay que probarlo.
+const supportsDeflateRaw = (Stream) => {
+  try {
+    return Boolean(new Stream('deflate-raw'));
+  } catch (e) {
+    return false;
+  }
+};
+
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined'
+  && supportsDeflateRaw(CompressionStream) && supportsDeflateRaw(DecompressionStream);
+
+// Datos del proyecto con claves cortas para acortar el enlace.
+const pack = ({ trackDefinitions, bpm, projectNotes }) => JSON.stringify({ t: trackDefinitions, b: bpm, n: projectNotes });
+
+const unpack = (json) => {
+  const data = JSON.parse(json);
+  if (!data || typeof data.t !== 'string') {
+    throw new Error('El enlace no contiene un proyecto.');
+  }
+  return { trackDefinitions: data.t, bpm: Number(data.b) || 120, projectNotes: typeof data.n === 'string' ? data.n : '' };
+};
+
+const decoders = {
+  // 0: JSON sin comprimir, para navegadores sin CompressionStream o sin 'deflate-raw'.
+  0: async (bytes) => unpack(new TextDecoder().decode(bytes)),
+  // 1: JSON comprimido con DEFLATE.
+  1: async (bytes) => {
+    if (!canCompress()) {
+      throw new Error('Este navegador no puede descomprimir el enlace.');
+    }
+    return unpack(new TextDecoder().decode(await transform(bytes, new DecompressionStream('deflate-raw'))));
+  },
+};
+
+/**
+ * Fragmento de URL (con `#`) que contiene el proyecto.
+ */
+export const encodeShareFragment = async (project) => {
+  const bytes = new TextEncoder().encode(pack(project));
+  if (!canCompress()) {
+    return `#${SHARE_PARAM}=0.${bytesToBase64Url(bytes)}`;
+  }
+  const compressed = await transform(bytes, new CompressionStream('deflate-raw'));
+  return `#${SHARE_PARAM}=${CURRENT_VERSION}.${bytesToBase64Url(compressed)}`;
+};
+
+/**
+ * Enlace completo a la página actual con el proyecto en el fragmento.
+ */
+export const buildShareUrl = async (project) => {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}${await encodeShareFragment(project)}`;
+};
+
+export const hasShareFragment = (hash) => new URLSearchParams(hash.replace(/^#/, '')).has(SHARE_PARAM);
+
+/**
+ * Proyecto (`{ trackDefinitions, bpm, projectNotes }`) de un fragmento de URL, o
+ * `null` si el fragmento no es un enlace compartido. Lanza un error si el enlace
+ * está dañado o es de una versión posterior.
+ */
+export const decodeShareFragment = async (hash) => {
+  const value = new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+  if (value === null) return null;
+  const match = /^(\d+)\.([A-Za-z0-9_-]*)$/.exec(value);
+  if (!match) {
+    throw new Error('El enlace compartido está incompleto o dañado.');
+  }
+  const decode = decoders[match[1]];
+  if (!decode) {
+    throw new Error(`El enlace usa un formato más reciente (${match[1]}); actualiza la aplicación.`);
+  }
+  try {
+    return await decode(base64UrlToBytes(match[2]));
+  } catch (e) {
+    throw new Error(`No se pudo leer el enlace compartido: ${e.message}`);
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import { Blob } from 'buffer';
+import { encodeShareFragment, decodeShareFragment, hasShareFragment } from './share';
+
+// El entorno de Jest no expone las API web de Node: se toman de sus módulos, y de
+// Response basta con leer el flujo entero.
+class StreamResponse {
+  constructor(stream) {
+    this.stream = stream;
+  }
+
+  async arrayBuffer() {
+    const bytes = [];
+    for await (const chunk of this.stream) bytes.push(...chunk);
+    return Uint8Array.from(bytes).buffer;
+  }
+}
+
+beforeAll(() => {
+  Object.assign(global, { CompressionStream, DecompressionStream, Blob, Response: StreamResponse });
+});
+
+const project = { trackDefinitions: 'v=8 [piano=do,mi,sol], [drums=kick,-,snare,-]', bpm: 96, projectNotes: 'Ñandú: ¿acordes?' };
+
+describe('enlaces compartidos', () => {
+  test('el proyecto se recupera igual del fragmento comprimido', async () => {
+    const fragment = await encodeShareFragment(project);
+    expect(fragment).toMatch(/^#compartir=1\.[A-Za-z0-9_-]+$/);
+    expect(hasShareFragment(fragment)).toBe(true);
+    expect(await decodeShareFragment(fragment)).toEqual(project);
+  });
+
+  test('sin CompressionStream se usa el formato 0, que también se lee', async () => {
+    delete global.CompressionStream;
+    try {
+      const fragment = await encodeShareFragment(project);
+      expect(fragment.startsWith('#compartir=0.')).toBe(true);
+      expect(await decodeShareFragment(fragment)).toEqual(project);
+    } finally {
+      global.CompressionStream = CompressionStream;
+    }
+  });
+
+  test('sin el formato deflate-raw también se usa el formato 0', async () => {
+    global.CompressionStream = class extends CompressionStream {
+      constructor(format) {
+        if (format === 'deflate-raw') throw new TypeError(`Unsupported compression format: '${format}'`);
+        super(format);
+      }
+    };
+    try {
+      const fragment = await encodeShareFragment(project);
+      expect(fragment.startsWith('#compartir=0.')).toBe(true);
+      expect(await decodeShareFragment(fragment)).toEqual(project);
+    } finally {
+      global.CompressionStream = CompressionStream;
+    }
+  });
+
+  test('otros fragmentos no son enlaces compartidos', async () => {
+    expect(hasShareFragment('#seccion')).toBe(false);
+    expect(await decodeShareFragment('#seccion')).toBeNull();
+  });
+
+  test('informa de enlaces dañados o de versiones posteriores', async () => {
+    await expect(decodeShareFragment('#compartir=1.')).rejects.toThrow('No se pudo leer el enlace compartido');
+    await expect(decodeShareFragment('#compartir=abc')).rejects.toThrow('El enlace compartido está incompleto o dañado.');
+    await expect(decodeShareFragment('#compartir=9.AAAA')).rejects.toThrow('formato más reciente (9)');
+  });
+});
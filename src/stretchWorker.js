@@ -0,0 +1,16 @@
+/* eslint-disable no-restricted-globals */
+import { stretchChannels } from './timeStretch';
+
+/**
+ * Worker del estiramiento de clips: responde a cada petición `{ id, channels, ratio }`
+ * con `{ id, channels }` estirados, o con `{ id, error }`.
+ */
+
+self.onmessage = ({ data: { id, channels, ratio } }) => {
+  try {
+    const stretched = stretchChannels(channels, ratio);
+    self.postMessage({ id, channels: stretched }, stretched.map(channel => channel.buffer));
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
@@ -0,0 +1,128 @@
+/**
+ * Estiramiento de tiempo sin cambiar la altura, con WSOLA (solapamiento y suma de
+ * tramos con ventana de Hann, eligiendo cada tramo cerca de su posición ideal donde
+ * mejor continúa al anterior para que no haya cancelaciones de fase).
+ */
+
+const FRAME_SIZE = 2048;
+const SYNTHESIS_HOP = FRAME_SIZE / 2;
+// Margen de búsqueda, en muestras, alrededor de la posición ideal de cada tramo.
+const TOLERANCE = 512;
+// Sólo se compara una de cada tantas muestras al buscar, para ir más rápido.
+const CORRELATION_STRIDE = 4;
+
+const hann = Float32Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE));
+
+/**
+ * Desplazamiento en [-TOLERANCE, TOLERANCE] con el que el tramo en `position` se
+ * parece más a `target` (la continuación natural del tramo anterior).
+ */
+const findBestOffset = (data, position, target) => {
+  let bestOffset = 0;
+  let bestScore = -Infinity;
+  for (let offset = -TOLERANCE; offset <= TOLERANCE; offset += 2) {
+    const from = position + offset;
+    if (from < 0 || from + SYNTHESIS_HOP > data.length) continue;
+    let score = 0;
+    for (let i = 0; i < SYNTHESIS_HOP; i += CORRELATION_STRIDE) {
+      score += data[from + i] * target[i];
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestOffset = offset;
+    }
+  }
+  return bestOffset;
+};
+
+/**
+ * Devuelve los canales `channels` (Float32Array) estirados a `ratio` veces su duración
+ * (más de 1 alarga, menos de 1 acorta) sin cambiar su altura.
+ */
+export const stretchChannels = (channels, ratio) => {
+  const inputLength = channels[0].length;
+  const outputLength = Math.max(1, Math.round(inputLength * ratio));
+  // La búsqueda se hace sobre la mezcla mono y se aplica igual a todos los canales.
+  const mono = new Float32Array(inputLength);
+  channels.forEach(data => {
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels.length;
+  });
+
+  const weights = new Float32Array(outputLength);
+  const outputs = channels.map(() => new Float32Array(outputLength));
+  const analysisHop = SYNTHESIS_HOP / ratio;
+  let previous = 0;
+  for (let frame = 0; frame * SYNTHESIS_HOP < outputLength; frame++) {
+    const ideal = Math.round(frame * analysisHop);
+    const continuation = mono.subarray(previous + SYNTHESIS_HOP, previous + 2 * SYNTHESIS_HOP);
+    const position = frame === 0 || continuation.length < SYNTHESIS_HOP
+      ? ideal
+      : ideal + findBestOffset(mono, ideal, continuation);
+    const outputStart = frame * SYNTHESIS_HOP;
+    for (let i = 0; i < FRAME_SIZE && outputStart + i < outputLength; i++) {
+      const source = position + i;
+      if (source < 0 || source >= inputLength) continue;
+      const weight = hann[i];
+      weights[outputStart + i] += weight;
+      for (let c = 0; c < channels.length; c++) {
+        outputs[c][outputStart + i] += channels[c][source] * weight;
+      }
+    }
+    previous = position;
+  }
+  for (let i = 0; i < outputLength; i++) {
+    if (weights[i] > 1e-3) {
+      outputs.forEach(output => { output[i] /= weights[i]; });
+    }
+  }
+  return outputs;
+};
+
+/**
+ * Estira audio fuera del hilo principal con `stretchWorker.js`: `stretch(channels,
+ * ratio)` devuelve una promesa con los canales estirados. Si no se puede crear el
+ * worker, se estira aquí mismo.
+ */
+export const createStretcher = () => {
+  let worker = null;
+  try {
+    worker = new Worker(new URL('./stretchWorker.js', import.meta.url));
+  } catch (e) {
+    console.warn('No se pudo crear el worker de estiramiento:', e);
+  }
+  let nextId = 0;
+  const pending = new Map();
+
+  if (worker) {
+    worker.onmessage = ({ data: { id, channels, error } }) => {
+      const request = pending.get(id);
+      pending.delete(id);
+      if (!request) return;
+      if (error) request.reject(new Error(error));
+      else request.resolve(channels);
+    };
+  }
+
+  return {
+    stretch: (channels, ratio) => new Promise((resolve, reject) => {
+      if (!worker) {
+        // Tras ceder el turno, para no bloquear el render que lo pidió.
+        setTimeout(() => {
+          try {
+            resolve(stretchChannels(channels, ratio));
+          } catch (e) {
+            reject(e);
+          }
+        }, 0);
+        return;
+      }
+      const id = ++nextId;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, channels, ratio }, channels.map(channel => channel.buffer));
+    }),
+    dispose: () => {
+      if (worker) worker.terminate();
+      pending.clear();
+    },
+  };
+};
@@ -0,0 +1,695 @@
+import { parseNoteSpec, midiToSolfege, DEFAULT_OCTAVE, MIN_OCTAVE, MAX_OCTAVE } from './pitch';
+import { parseChordSymbol } from './chords';
+
+/**
+ * Analizador del lenguaje de definición de pistas.
+ *
+ * Convierte una cadena como `v=8 [synth=sol:8,_,mi,-], v=10 [drums=kick,snare]` en un
+ * modelo estructurado (pistas con volumen, instrumento y lista ordenada de eventos)
+ * —las notas se guardan como números MIDI y los golpes de batería por nombre—
+ * junto con una lista de diagnósticos con línea y columna para mostrar al usuario.
+ *
+ * Los tiempos y duraciones se miden en pasos de semicorchea. Cada elemento dura un
+ * paso salvo que indique otra figura (`sol:4` negra, `do:1/8` corchea, `-:2`
+ * silencio de blanca); `_` prolonga el elemento anterior y `(do,re,mi):8` reparte
+ * el grupo en el tiempo indicado (un tresillo de corcheas en este caso).
+ *
+ * Las pistas pueden agruparse en patrones con nombre (`@verso { ... }`) y una línea
+ * `song: verso x2, estribillo` indica en qué orden suenan (ver arrangement.js).
+ */
+
+// Instrumentos integrados; el registro de `instruments.js` puede añadir más.
+export const DEFAULT_INSTRUMENTS = ['synth', 'piano', 'guitar', '8bit', '16bit', 'drums'];
+
+// Instrumentos cuyos pasos son golpes de batería en vez de notas.
+export const DEFAULT_DRUM_INSTRUMENTS = ['drums'];
+
+export const REST_TOKEN = '-';
+
+// Marca de ligadura: prolonga la nota (o el silencio) anterior.
+export const HOLD_TOKEN = '_';
+
+// Separa un elemento de su figura: `sol:4`.
+export const DURATION_SEPARATOR = ':';
+
+// Pasos de semicorchea que caben en una redonda.
+export const STEPS_PER_WHOLE = 16;
+
+// Separador de las notas que suenan a la vez en un mismo paso: `do4-mi4-sol4`.
+export const CHORD_SEPARATOR = '-';
+
+// Prefijo de los patrones (`@verso { ... }`) y palabra que abre la línea de la canción.
+export const PATTERN_PREFIX = '@';
+export const SONG_KEYWORD = 'song:';
+
+const PATTERN_NAME = /^[a-z][a-z0-9_-]*$/i;
+// Repeticiones de una sección de la canción: `x2`.
+const REPEAT_PATTERN = /^x(\d+)$/i;
+const MAX_REPEAT = 64;
+
+// Golpes de batería aceptados y el nombre del sonido que los reproduce.
+export const drumMapping = {
+  'kick': 'Kick', 'snare': 'Snare', 'hihat': 'Hi-Hat',
+};
+
+/**
+ * Divide la cadena en tokens, anotando la línea y columna (base 1) de cada uno y su
+ * posición (`offset`, `end`) en la cadena para poder reescribirla.
+ * Los símbolos `[`, `]`, `(`, `)`, `{`, `}`, `,` y `=` son tokens propios; el resto de
+ * caracteres que no son espacios forman palabras.
+ */
+export const tokenize = (source) => {
+  const tokens = [];
+  const symbols = '[](){},=';
+  let line = 1;
+  let column = 1;
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\n') {
+      line++;
+      column = 1;
+      i++;
+    } else if (/\s/.test(char)) {
+      column++;
+      i++;
+    } else if (symbols.includes(char)) {
+      tokens.push({ type: char, value: char, line, column, offset: i, end: i + 1 });
+      column++;
+      i++;
+    } else {
+      const start = { line, column, offset: i };
+      let value = '';
+      while (i < source.length && !/\s/.test(source[i]) && !symbols.includes(source[i])) {
+        value += source[i];
+        column++;
+        i++;
+      }
+      tokens.push({ type: 'word', value, ...start, end: i });
+    }
+  }
+  tokens.push({ type: 'eof', value: '', line, column, offset: i, end: i });
+  return tokens;
+};
+
+// Volumen máximo de `v=`.
+const MAX_VOLUME = 10;
+
+// Las tablas de nombres son objetos: sólo cuentan sus propias claves, no las
+// heredadas (`toString`, `constructor`...).
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Opciones de mezcla de una pista: rango admitido y cómo se aplican al modelo.
+const mixerOptions = {
+  'pan': { min: -10, max: 10, apply: (track, value) => { track.pan = value / 10; } },
+  'send': { min: 0, max: 10, apply: (track, value) => { track.send = value / 10; } },
+  'mute': { min: 0, max: 1, apply: (track, value) => { track.mute = value === 1; } },
+  'solo': { min: 0, max: 1, apply: (track, value) => { track.solo = value === 1; } },
+  'fx': { min: 1, max: 99, apply: (track, value) => { track.fx = value; } },
+};
+
+/**
+ * Convierte una figura (`4`, `1/8`, `3/16`) en pasos de semicorchea, o `null` si no es válida.
+ */
+export const parseDuration = (text) => {
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(text);
+  if (!match) return null;
+  const [numerator, denominator] = match[2] === undefined ? [1, Number(match[1])] : [Number(match[1]), Number(match[2])];
+  if (numerator === 0 || denominator === 0) return null;
+  return STEPS_PER_WHOLE * numerator / denominator;
+};
+
+/**
+ * Convierte el texto de un paso en `{ kind, notes }`, o devuelve un mensaje de error.
+ * Un paso puede tener varias notas: `do4-mi4-sol4`, `kick-hihat` o cifrados como
+ * `Am7` (también unidos a otras notas o cifrados: `Am-C`), que se construyen en la
+ * octava `octave` de la pista. En las baterías también valen los pads de muestra de
+ * `drumPads`.
+ */
+const parseStep = (text, isDrumTrack, octave, drumPads) => {
+  const value = text.toLowerCase();
+  if (value === REST_TOKEN) {
+    return { kind: 'rest', notes: [] };
+  }
+  const parts = value.split(CHORD_SEPARATOR);
+  if (parts.some(part => part === '')) {
+    return { message: `Acorde mal formado: "${text}"` };
+  }
+  if (isDrumTrack) {
+    const resolveDrum = (part) => (hasOwn(drumMapping, part) ? drumMapping[part] : drumPads.includes(part) ? part : null);
+    const unknown = parts.find(part => !resolveDrum(part));
+    if (unknown) {
+      return { message: `Sonido de batería no reconocido: "${unknown}"` };
+    }
+    return { kind: 'drum', notes: parts.map(resolveDrum) };
+  }
+  // Cada parte puede ser un cifrado (`Am-C`, con la fundamental en mayúscula) o una nota.
+  const notes = [];
+  for (const part of text.split(CHORD_SEPARATOR)) {
+    const chord = parseChordSymbol(part, octave);
+    if (chord) {
+      notes.push(...chord);
+      continue;
+    }
+    const note = parseNoteSpec(part.toLowerCase(), octave);
+    if (!note) {
+      return { message: `Nota no reconocida: "${part}"` };
+    }
+    if (note.error) {
+      return { message: note.error };
+    }
+    notes.push(note.midi);
+  }
+  return { kind: 'note', notes: [...new Set(notes)] };
+};
+
+/**
+ * Duración por defecto de un grupo de `count` elementos sin figura: la potencia de
+ * dos inmediatamente inferior, como en los tresillos (3 en 2) o quintillos (5 en 4).
+ */
+const defaultTupletSpan = (count) => {
+  let span = 1;
+  while (span * 2 < count) {
+    span *= 2;
+  }
+  return span;
+};
+
+/**
+ * Analiza la cadena completa de definiciones de pista.
+ * Devuelve `{ tracks, patterns, song, diagnostics }`:
+ * - `tracks`: todas las pistas en orden de aparición; las de un patrón llevan su
+ *   nombre en `pattern` (`null` fuera de patrones).
+ * - `patterns`: `[{ name, line, column }]` en orden de definición.
+ * - `song`: `[{ pattern, repeat, line, column }]` de la línea `song:`, o `null` si no hay.
+ * - `diagnostics`: cada uno con `line`, `column`, `message` y `severity` ('error' o
+ *   'warning'). El análisis se recupera de los errores para seguir reportando
+ *   problemas en las pistas siguientes.
+ */
+export const parseTrackDefinitions = (source, { instruments = DEFAULT_INSTRUMENTS, drumInstruments = DEFAULT_DRUM_INSTRUMENTS, drumPads = [] } = {}) => {
+  const tokens = tokenize(source || '');
+  const tracks = [];
+  const patterns = [];
+  let song = null;
+  const diagnostics = [];
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[pos < tokens.length - 1 ? pos++ : pos];
+  const report = (token, message, severity = 'error') => {
+    diagnostics.push({ line: token.line, column: token.column, message, severity });
+  };
+
+  // Un patrón o la línea `song:` pueden seguir a una pista sin coma.
+  const startsSection = (token) => token.type === 'word'
+    && (token.value.startsWith(PATTERN_PREFIX) || token.value.toLowerCase() === SONG_KEYWORD);
+
+  // Salta hasta la siguiente coma, patrón o línea `song:` para seguir analizando.
+  const synchronize = () => {
+    while (peek().type !== 'eof' && peek().type !== ',' && peek().type !== '}' && !startsSection(peek())) {
+      next();
+    }
+  };
+
+  const parseTrack = (pattern) => {
+    const start = peek();
+    const track = {
+      volume: 0.5, octave: DEFAULT_OCTAVE, pan: 0, send: 0, mute: false, solo: false, fx: null,
+      instrument: null, pattern, events: [], length: 0, line: start.line, column: start.column,
+      // Posiciones en la cadena del inicio de la pista, de cada opción escrita, de los
+      // corchetes y del inicio de los pasos, para reescribir la pista con
+      // `setTrackOption`, `setStepAt` y `setTrackSteps`.
+      offset: start.offset, optionSpans: {}, openOffset: null, stepsOffset: null, closeOffset: null,
+    };
+
+    // Opciones antes del corchete: `v=8` (volumen), `o=3` (octava por defecto),
+    // `pan=-3` (panorama de -10 a 10), `send=4` (envío al eco de 0 a 10),
+    // `mute=1`, `solo=1` y `fx=2` (cadena de efectos del rack que usa la pista).
+    while (peek().type === 'word') {
+      const key = next();
+      if (peek().type !== '=') {
+        report(key, `Se esperaba "=" después de "${key.value}"`);
+        synchronize();
+        return null;
+      }
+      next();
+      const valueToken = next();
+      if (valueToken.type !== 'word') {
+        report(valueToken, `Falta el valor de la opción "${key.value}"`);
+        synchronize();
+        return null;
+      }
+      track.optionSpans[key.value] = { start: key.offset, end: valueToken.end };
+      const mixerOption = hasOwn(mixerOptions, key.value) ? mixerOptions[key.value] : null;
+      if (mixerOption) {
+        const number = Number(valueToken.value);
+        if (!Number.isInteger(number) || number < mixerOption.min || number > mixerOption.max) {
+          report(valueToken, `Valor no válido para "${key.value}" (${mixerOption.min} a ${mixerOption.max}): "${valueToken.value}"`);
+        } else {
+          mixerOption.apply(track, number);
+        }
+      } else if (key.value === 'v') {
+        const vol = parseInt(valueToken.value, 10);
+        if (isNaN(vol) || vol < 0 || vol > MAX_VOLUME) {
+          report(valueToken, `Volumen no válido (0-${MAX_VOLUME}): "${valueToken.value}"`);
+        } else {
+          track.volume = vol / 10;
+        }
+      } else if (key.value === 'o') {
+        const octave = parseInt(valueToken.value, 10);
+        if (isNaN(octave) || octave < MIN_OCTAVE || octave > MAX_OCTAVE) {
+          report(valueToken, `Octava no válida (${MIN_OCTAVE}-${MAX_OCTAVE}): "${valueToken.value}"`);
+        } else {
+          track.octave = octave;
+        }
+      } else {
+        report(key, `Opción desconocida: "${key.value}"`, 'warning');
+      }
+    }
+
+    const open = next();
+    track.openOffset = open.offset;
+    if (open.type !== '[') {
+      report(open, open.type === ']' ? 'Corchete "]" sin "[" de apertura' : 'Se esperaba "[" para abrir la pista');
+      synchronize();
+      return null;
+    }
+
+    const instrumentToken = next();
+    if (instrumentToken.type !== 'word' || peek().type !== '=') {
+      report(instrumentToken, 'Se esperaba "[instrumento=notas]"');
+      synchronize();
+      return null;
+    }
+    track.stepsOffset = next().end;
+    track.instrument = instrumentToken.value;
+    if (!instruments.includes(track.instrument)) {
+      report(instrumentToken, `Instrumento desconocido: "${track.instrument}"`);
+    }
+    const isDrumTrack = drumInstruments.includes(track.instrument);
+
+    // Lee un elemento de paso con su figura opcional: una nota, un acorde, un
+    // silencio o una ligadura.
+    const parseElement = (token) => {
+      const separator = token.value.indexOf(DURATION_SEPARATOR);
+      const text = separator === -1 ? token.value : token.value.slice(0, separator);
+      let duration = 1;
+      if (separator !== -1) {
+        duration = parseDuration(token.value.slice(separator + 1));
+        if (duration === null) {
+          report(token, `Figura no válida: "${token.value.slice(separator + 1)}"`);
+          duration = 1;
+        }
+      }
+      if (text === '') {
+        report(token, `Falta la nota antes de la figura: "${token.value}"`);
+        return { kind: 'rest', notes: [], duration };
+      }
+      if (text === HOLD_TOKEN) {
+        return { kind: 'hold', duration };
+      }
+      const step = parseStep(text, isDrumTrack, track.octave, drumPads);
+      if (step.message) {
+        report(token, step.message);
+        return { kind: 'rest', notes: [], duration };
+      }
+      return { ...step, duration };
+    };
+
+    // Lee elementos separados por comas hasta `closer` (']' o ')') y los coloca
+    // en el tiempo. Devuelve los eventos, la duración total y la posición del cierre
+    // (`null` si el bloque no se cerró).
+    const parseSequence = (open, closer) => {
+      const events = [];
+      let cursor = 0;
+      // Estado tras la última coma, para retroceder si falta el "]".
+      let lastSeparator = null;
+      let saved = { count: 0, cursor: 0 };
+
+      const append = (element, token) => {
+        if (element.kind === 'hold') {
+          const previous = events[events.length - 1];
+          if (previous) {
+            previous.duration += element.duration;
+          } else {
+            report(token, 'Ligadura "_" sin nota anterior', 'warning');
+          }
+        } else {
+          const separator = token.value.indexOf(DURATION_SEPARATOR);
+          events.push({
+            kind: element.kind, notes: element.notes, time: cursor, duration: element.duration,
+            token: token.value, line: token.line, column: token.column,
+            // Tramo del texto de la nota (sin la figura), para reescribirla desde la cuadrícula.
+            offset: token.offset, textEnd: separator === -1 ? token.end : token.offset + separator,
+            grouped: false,
+          });
+        }
+        cursor += element.duration;
+      };
+
+      for (;;) {
+        const token = peek();
+        // Una palabra seguida de "=" es la opción de la pista siguiente, no un paso.
+        if (token.type === 'word' && peek(1).type !== '=') {
+          next();
+          append(parseElement(token), token);
+        } else if (token.type === '(') {
+          next();
+          const group = parseSequence(token, ')');
+          let span = defaultTupletSpan(group.events.length);
+          if (peek().type === 'word' && peek().value.startsWith(DURATION_SEPARATOR)) {
+            const durationToken = next();
+            const explicit = parseDuration(durationToken.value.slice(1));
+            if (explicit === null) {
+              report(durationToken, `Figura no válida: "${durationToken.value.slice(1)}"`);
+            } else {
+              span = explicit;
+            }
+          }
+          if (group.events.length === 0 && group.closeOffset !== null) {
+            // Un grupo vacío no ocupa tiempo, lleve figura o no.
+            report(token, 'Grupo vacío "()"');
+            span = 0;
+          }
+          const scale = group.length > 0 ? span / group.length : 0;
+          for (const event of group.events) {
+            events.push({ ...event, time: cursor + event.time * scale, duration: event.duration * scale, grouped: true });
+          }
+          cursor += span;
+        } else if (token.type === closer) {
+          next();
+          return { events, length: cursor, closeOffset: token.offset };
+        } else if (token.type === ',') {
+          report(token, 'Paso vacío entre comas', 'warning');
+          lastSeparator = pos;
+          next();
+          saved = { count: events.length, cursor };
+          continue;
+        } else {
+          break;
+        }
+        if (peek().type === ',') {
+          lastSeparator = pos;
+          next();
+          saved = { count: events.length, cursor };
+          continue;
+        }
+        if (peek().type === closer) {
+          return { events, length: cursor, closeOffset: next().offset };
+        }
+        break;
+      }
+
+      // Cualquier otra cosa indica que el bloque nunca se cerró.
+      report(open, `Falta "${closer}" para cerrar ${closer === ']' ? 'la pista' : 'el grupo'}`);
+      if (closer === ']') {
+        // Se retrocede hasta la última coma para que la pista siguiente se analice normalmente.
+        if (lastSeparator !== null && peek().type !== 'eof') {
+          pos = lastSeparator;
+          events.length = saved.count;
+          cursor = saved.cursor;
+        } else {
+          synchronize();
+        }
+      }
+      return { events, length: cursor, closeOffset: null };
+    };
+
+    const { events, length, closeOffset } = parseSequence(open, ']');
+    track.events = events;
+    track.length = length;
+    track.closeOffset = closeOffset;
+    return track;
+  };
+
+  // Lee pistas separadas por comas hasta `}` (dentro de un patrón) o hasta el final;
+  // fuera de patrones también se aceptan definiciones de patrón y la línea `song:`.
+  const parseTrackList = (pattern) => {
+    while (peek().type !== 'eof' && !(pattern !== null && peek().type === '}')) {
+      const token = peek();
+      if (token.type === ',') {
+        next();
+        continue;
+      }
+      if (token.type === ']') {
+        report(next(), 'Corchete "]" sin "[" de apertura');
+        continue;
+      }
+      if (token.type === '}') {
+        report(next(), 'Llave "}" sin patrón que cerrar');
+        continue;
+      }
+      if (startsSection(token) && token.value.startsWith(PATTERN_PREFIX)) {
+        if (pattern !== null) {
+          report(token, `Los patrones no se pueden anidar: "${token.value}"`);
+          next();
+          synchronize();
+          continue;
+        }
+        parsePattern();
+        continue;
+      }
+      if (startsSection(token)) {
+        if (pattern !== null) {
+          report(token, 'La línea "song:" debe ir fuera de los patrones');
+          next();
+          synchronize();
+          continue;
+        }
+        parseSong();
+        continue;
+      }
+      const track = parseTrack(pattern);
+      if (track) {
+        tracks.push(track);
+        if (peek().type !== ',' && peek().type !== 'eof' && peek().type !== '}' && !startsSection(peek())) {
+          report(peek(), 'Se esperaba "," entre pistas');
+          synchronize();
+        }
+      }
+    }
+  };
+
+  // `@nombre { pistas }`
+  const parsePattern = () => {
+    const nameToken = next();
+    const name = nameToken.value.slice(PATTERN_PREFIX.length);
+    if (!PATTERN_NAME.test(name)) {
+      report(nameToken, `Nombre de patrón no válido: "${nameToken.value}"`);
+    } else if (patterns.some(p => p.name === name)) {
+      report(nameToken, `Patrón repetido: "${name}"`);
+    }
+    if (peek().type !== '{') {
+      report(peek(), `Se esperaba "{" después de "${nameToken.value}"`);
+      synchronize();
+      return;
+    }
+    next();
+    patterns.push({ name, line: nameToken.line, column: nameToken.column });
+    parseTrackList(name);
+    if (peek().type === '}') {
+      next();
+    } else {
+      report(nameToken, `Falta "}" para cerrar el patrón "${name}"`);
+    }
+  };
+
+  // `song: verso x2, estribillo`. La lista termina en el primer elemento que no va
+  // seguido de una coma.
+  const parseSong = () => {
+    const keyword = next();
+    if (song !== null) {
+      report(keyword, 'Sólo puede haber una línea "song:"', 'warning');
+    }
+    song = [];
+    while (peek().type === 'word' && peek(1).type !== '=' && !startsSection(peek())) {
+      const nameToken = next();
+      let repeat = 1;
+      if (peek().type === 'word' && REPEAT_PATTERN.test(peek().value) && peek(1).type !== '=') {
+        const repeatToken = next();
+        repeat = Number(REPEAT_PATTERN.exec(repeatToken.value)[1]);
+        if (repeat < 1 || repeat > MAX_REPEAT) {
+          report(repeatToken, `Número de repeticiones no válido (1-${MAX_REPEAT}): "${repeatToken.value}"`);
+          repeat = 1;
+        }
+      }
+      song.push({ pattern: nameToken.value, repeat, line: nameToken.line, column: nameToken.column });
+      if (peek().type !== ',') break;
+      next();
+    }
+    if (song.length === 0) {
+      report(keyword, 'La línea "song:" no tiene secciones');
+    }
+  };
+
+  parseTrackList(null);
+
+  if (song) {
+    song.forEach(section => {
+      if (!patterns.some(p => p.name === section.pattern)) {
+        report(section, `Patrón desconocido en la canción: "${section.pattern}"`);
+      }
+    });
+  }
+
+  return { tracks, patterns, song, diagnostics };
+};
+
+/**
+ * Número de pasos del bucle: la pista más larga, con un mínimo de `minLength`.
+ */
+export const getSongLength = (tracks, minLength = 0) => {
+  return tracks.reduce((max, track) => Math.max(max, Math.ceil(track.length)), minLength);
+};
+
+/**
+ * Nombre de una pista para la interfaz: `2. verso · piano`.
+ */
+export const getTrackLabel = (track, index) => {
+  return `${index + 1}. ${track.pattern ? `${track.pattern} · ` : ''}${track.instrument}`;
+};
+
+/**
+ * Escribe (o sustituye) la opción `key=value` de una pista ya analizada en la cadena
+ * `source`, respetando el resto del texto. Con `value === null` se elimina la opción.
+ */
+export const setTrackOption = (source, track, key, value) => {
+  const span = track.optionSpans[key];
+  if (span) {
+    if (value === null) {
+      const end = source[span.end] === ' ' ? span.end + 1 : span.end;
+      return source.slice(0, span.start) + source.slice(end);
+    }
+    return `${source.slice(0, span.start)}${key}=${value}${source.slice(span.end)}`;
+  }
+  if (value === null || track.openOffset === null) return source;
+  return `${source.slice(0, track.openOffset)}${key}=${value} ${source.slice(track.openOffset)}`;
+};
+
+/**
+ * Devuelve el evento que empieza exactamente en el paso `step` de una pista, fuera de
+ * grupos de tresillo, o `null` si no lo hay.
+ */
+export const getEditableEvent = (track, step) => {
+  return track.events.find(event => event.time === step && !event.grouped) || null;
+};
+
+/**
+ * Escribe `value` (una nota, acorde o `-`) en el paso `step` de una pista dentro de la
+ * cadena `source`, tocando sólo ese fragmento del texto. Si el paso está más allá del
+ * final, la pista se alarga con silencios. Devuelve `null` si el paso no es editable
+ * (cae dentro de una nota larga o de un grupo).
+ */
+export const setStepAt = (source, track, step, value) => {
+  const event = getEditableEvent(track, step);
+  if (event) {
+    return source.slice(0, event.offset) + value + source.slice(event.textEnd);
+  }
+  if (track.closeOffset === null || !Number.isInteger(track.length) || step < track.length) {
+    return null;
+  }
+  const elements = [...Array(step - track.length).fill(REST_TOKEN), value];
+  const prefix = track.length > 0 && !source.slice(0, track.closeOffset).trimEnd().endsWith(',') ? ',' : '';
+  return source.slice(0, track.closeOffset) + prefix + elements.join(',') + source.slice(track.closeOffset);
+};
+
+/**
+ * Notas de una pista melódica como `{ midi, time, duration }`, una por cada nota de
+ * cada evento (los acordes se separan).
+ */
+export const getTrackNotes = (track) => {
+  return track.events
+    .filter(event => event.kind === 'note')
+    .flatMap(event => event.notes.map(midi => ({ midi, time: event.time, duration: event.duration })));
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Figura de una duración en pasos: 4 → `4` (negra), 6 → `3/8`, 32 → `2/1`.
+const formatDuration = (steps) => {
+  const divisor = gcd(steps, STEPS_PER_WHOLE);
+  const numerator = steps / divisor;
+  const denominator = STEPS_PER_WHOLE / divisor;
+  return numerator === 1 ? `${denominator}` : `${numerator}/${denominator}`;
+};
+
+/**
+ * Agrupa notas `{ midi, time, duration }` en acordes sucesivos `{ time, duration, notes }`
+ * sobre la rejilla de semicorcheas. Las notas que empiezan a la vez forman un acorde
+ * con la duración de la más larga, y cada acorde se corta al empezar el siguiente,
+ * porque una pista sólo tiene un evento por paso.
+ */
+export const groupChords = (notes) => {
+  const chords = new Map();
+  notes.forEach(note => {
+    const time = Math.max(0, Math.round(note.time));
+    const chord = chords.get(time) || { time, duration: 0, notes: new Set() };
+    chord.notes.add(note.midi);
+    chord.duration = Math.max(chord.duration, Math.max(1, Math.round(note.duration)));
+    chords.set(time, chord);
+  });
+  const sorted = [...chords.values()].sort((a, b) => a.time - b.time);
+  return sorted.map((chord, i) => ({
+    time: chord.time,
+    duration: i + 1 < sorted.length ? Math.min(chord.duration, sorted[i + 1].time - chord.time) : chord.duration,
+    notes: [...chord.notes].sort((a, b) => a - b),
+  }));
+};
+
+/**
+ * Convierte una lista de notas `{ midi, time, duration }` en el texto de los pasos de
+ * una pista: `do4:4,-,mi4-sol4:8`. Los tiempos se redondean a semicorcheas y las notas
+ * se agrupan con `groupChords`. Los huecos se rellenan con silencios hasta al menos
+ * `minLength` pasos. `formatNote` escribe cada nota; por defecto, en solfeo con octava.
+ */
+export const serializeNotes = (notes, minLength = 0, formatNote = midiToSolfege) => {
+  const steps = [];
+  let cursor = 0;
+  for (const chord of groupChords(notes)) {
+    while (cursor < chord.time) {
+      steps.push(REST_TOKEN);
+      cursor++;
+    }
+    const text = chord.notes.map(formatNote).join(CHORD_SEPARATOR);
+    steps.push(chord.duration === 1 ? text : `${text}${DURATION_SEPARATOR}${formatDuration(chord.duration)}`);
+    cursor = chord.time + chord.duration;
+  }
+  while (cursor < minLength) {
+    steps.push(REST_TOKEN);
+    cursor++;
+  }
+  return steps.join(',');
+};
+
+/**
+ * Sustituye todos los pasos de una pista (lo que hay entre `instrumento=` y `]`) por
+ * `text`, dejando intactas las opciones y el resto de pistas. Devuelve `null` si la
+ * pista no está bien cerrada.
+ */
+export const setTrackSteps = (source, track, text) => {
+  if (track.stepsOffset === null || track.closeOffset === null) return null;
+  return source.slice(0, track.stepsOffset) + text + source.slice(track.closeOffset);
+};
+
+/**
+ * Texto completo de una pista (opciones, instrumento y pasos) dentro de `source`.
+ */
+export const getTrackText = (source, track) => {
+  return source.slice(track.offset, track.closeOffset === null ? source.length : track.closeOffset + 1);
+};
+
+/**
+ * Sustituye una pista entera por `text`, dejando intacto el resto de la canción.
+ */
+export const replaceTrackText = (source, track, text) => {
+  const end = track.closeOffset === null ? source.length : track.closeOffset + 1;
+  return source.slice(0, track.offset) + text + source.slice(end);
+};
+
+/**
+ * Inserta la pista `text` justo detrás de otra, dentro del mismo patrón si lo tiene.
+ */
+export const insertTrackAfter = (source, track, text) => {
+  const end = track.closeOffset === null ? source.length : track.closeOffset + 1;
+  return `${source.slice(0, end)}, ${text}${source.slice(end)}`;
+};
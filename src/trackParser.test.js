@@ -0,0 +1,118 @@
+import { parseTrackDefinitions } from './trackParser';
+
+const errorsOf = (source) => parseTrackDefinitions(source).diagnostics
+  .map(({ line, column, message, severity }) => ({ line, column, message, severity }));
+
+describe('parseTrackDefinitions', () => {
+  test('lee opciones, instrumento y pasos de cada pista', () => {
+    const { tracks, diagnostics } = parseTrackDefinitions('v=8 [synth=do,re,mi], [drums=kick,-,snare]');
+    expect(diagnostics).toEqual([]);
+    expect(tracks.map(track => [track.instrument, track.length, track.volume])).toEqual([
+      ['synth', 3, 0.8],
+      ['drums', 3, 0.5],
+    ]);
+    expect(tracks[0].events.map(event => [event.notes, event.time, event.duration])).toEqual([
+      [[60], 0, 1],
+      [[62], 1, 1],
+      [[64], 2, 1],
+    ]);
+  });
+
+  test('lee las opciones de mezcla y la cadena de efectos', () => {
+    const { tracks, diagnostics } = parseTrackDefinitions('pan=-5 send=3 mute=1 fx=2 [synth=do], [piano=re]');
+    expect(diagnostics).toEqual([]);
+    expect(tracks.map(({ pan, send, mute, fx }) => ({ pan, send, mute, fx }))).toEqual([
+      { pan: -0.5, send: 0.3, mute: true, fx: 2 },
+      { pan: 0, send: 0, mute: false, fx: null },
+    ]);
+    expect(errorsOf('fx=0 [synth=do]')).toEqual([
+      { line: 1, column: 4, message: 'Valor no válido para "fx" (1 a 99): "0"', severity: 'error' },
+    ]);
+  });
+
+  test('acordes, figuras, ligaduras y cifrados', () => {
+    const { tracks, diagnostics } = parseTrackDefinitions('[piano=do4-mi4,sol:4,_,Am7]');
+    expect(diagnostics).toEqual([]);
+    expect(tracks[0].events.map(event => [event.notes, event.time, event.duration])).toEqual([
+      [[60, 64], 0, 1],
+      [[67], 1, 5],
+      [[69, 72, 76, 79], 6, 1],
+    ]);
+  });
+
+  test('reparte los grupos en la figura indicada', () => {
+    const { tracks } = parseTrackDefinitions('[piano=(do,re,mi):8]');
+    expect(tracks[0].length).toBe(2);
+    expect(tracks[0].events.map(event => event.time)).toEqual([0, 2 / 3, 4 / 3]);
+  });
+
+  test('informa de notas desconocidas con su línea y columna', () => {
+    expect(errorsOf('[piano=do,re],\n[synth=do,zz]')).toEqual([
+      { line: 2, column: 11, message: 'Nota no reconocida: "zz"', severity: 'error' },
+    ]);
+  });
+
+  test('informa de instrumentos y sonidos de batería desconocidos', () => {
+    expect(errorsOf('[kazoo=do], [drums=kick,foo]')).toEqual([
+      { line: 1, column: 2, message: 'Instrumento desconocido: "kazoo"', severity: 'error' },
+      { line: 1, column: 25, message: 'Sonido de batería no reconocido: "foo"', severity: 'error' },
+    ]);
+  });
+
+  test('informa de pistas sin cerrar y sigue con las siguientes', () => {
+    const { tracks, diagnostics } = parseTrackDefinitions('[piano=do,re\n, [synth=mi]');
+    expect(diagnostics[0]).toMatchObject({ line: 1, column: 1, message: 'Falta "]" para cerrar la pista' });
+    expect(tracks.map(track => track.instrument)).toEqual(['piano', 'synth']);
+  });
+
+  test('un grupo vacío es un error y no ocupa tiempo', () => {
+    expect(errorsOf('[piano=()]')).toEqual([
+      { line: 1, column: 8, message: 'Grupo vacío "()"', severity: 'error' },
+    ]);
+    const { tracks, diagnostics } = parseTrackDefinitions('[piano=do,():4,re]');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ line: 1, column: 11 });
+    expect(tracks[0].length).toBe(2);
+  });
+
+  test('las claves heredadas de Object no son opciones ni sonidos', () => {
+    expect(errorsOf('toString=1 constructor=2 [synth=do]')).toEqual([
+      { line: 1, column: 1, message: 'Opción desconocida: "toString"', severity: 'warning' },
+      { line: 1, column: 12, message: 'Opción desconocida: "constructor"', severity: 'warning' },
+    ]);
+    expect(errorsOf('[drums=kick,constructor,__proto__-snare]')).toEqual([
+      { line: 1, column: 13, message: 'Sonido de batería no reconocido: "constructor"', severity: 'error' },
+      { line: 1, column: 25, message: 'Sonido de batería no reconocido: "__proto__"', severity: 'error' },
+    ]);
+  });
+
+  test('el volumen debe estar entre 0 y 10', () => {
+    expect(errorsOf('v=999 [synth=do], v=-1 [piano=re], v=10 [piano=mi]')).toEqual([
+      { line: 1, column: 3, message: 'Volumen no válido (0-10): "999"', severity: 'error' },
+      { line: 1, column: 21, message: 'Volumen no válido (0-10): "-1"', severity: 'error' },
+    ]);
+  });
+
+  test('avisa de una ligadura sin nota anterior', () => {
+    expect(errorsOf('[piano=_,do]')).toEqual([
+      { line: 1, column: 8, message: 'Ligadura "_" sin nota anterior', severity: 'warning' },
+    ]);
+  });
+});
+
+describe('cifrados', () => {
+  test('se pueden unir con "-" a otros cifrados o notas', () => {
+    const { tracks, diagnostics } = parseTrackDefinitions('[piano=Am-C,G7-si2]');
+    expect(diagnostics).toEqual([]);
+    expect(tracks[0].events.map(event => event.notes)).toEqual([
+      [69, 72, 76, 60],
+      [67, 71, 74, 77, 47],
+    ]);
+  });
+
+  test('una parte desconocida se informa tal como se escribió', () => {
+    expect(errorsOf('[piano=Am-Xy]')).toEqual([
+      { line: 1, column: 8, message: 'Nota no reconocida: "Xy"', severity: 'error' },
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+import { getSectionAt } from './arrangement';
+
+/**
+ * Motor de transporte: programa las notas con antelación contra el reloj de audio
+ * (`AudioContext.currentTime`) en lugar de dispararlas desde un temporizador, de modo
+ * que la reproducción no deriva aunque React vuelva a renderizar o la pestaña esté ocupada.
+ */
+
+// Cada cuánto se despierta el programador (ms) y cuánto audio programa por delante (s).
+export const SCHEDULER_INTERVAL = 25;
+export const LOOKAHEAD_SECONDS = 0.1;
+
+export const STEPS_PER_BAR = 16;
+
+/**
+ * Llama a `callback(track, event, offset, trackIndex)` por cada evento que empieza dentro del paso
+ * `step` de la canción, según el arreglo (ver arrangement.js): dentro de su sección
+ * cada pista se repite en bucle con su propia longitud y `offset` es la fracción de
+ * paso (tresillos) en la que empieza el evento.
+ * Lo usan tanto la reproducción en vivo como la exportación.
+ */
+export const forEachEventAtStep = (tracks, arrangement, step, callback) => {
+  const section = getSectionAt(arrangement, step);
+  if (!section) return;
+  section.trackIndices.forEach(trackIndex => {
+    const track = tracks[trackIndex];
+    const loopLength = Math.ceil(track.length);
+    if (loopLength === 0) return;
+    const position = (step - section.start) % loopLength;
+    track.events.forEach(event => {
+      if (event.time >= position && event.time < position + 1) {
+        callback(track, event, event.time - position, trackIndex);
+      }
+    });
+  });
+};
+
+/**
+ * Crea un transporte para una canción ya analizada.
+ *
+ * - `context`: el AudioContext cuyo reloj se usa.
+ * - `tracks`: las pistas de `parseTrackDefinitions`.
+ * - `arrangement`: el arreglo de `buildArrangement`; si `arrangement.loop` la canción
+ *   se repite sin fin y si no, el transporte se para al terminar.
+ * - `onEvent(track, event, time, stepSeconds, trackIndex)`: programa un evento en el instante `time`.
+ * - `onSchedule(step, time, stepSeconds)`: se llama al programar cada paso, para lo que no
+ *   son eventos de pista (los clips de audio).
+ * - `onStep(step)`: se llama cuando el paso `step` empieza a sonar, para actualizar la interfaz.
+ * - `onBpmChange(bpm)`: se llama cuando un cambio de tempo entra en vigor.
+ * - `onEnd()`: se llama cuando termina de sonar una canción sin bucle.
+ *
+ * Devuelve `{ start, stop, setBpm }`. Los cambios de tempo se aplican al empezar el compás siguiente.
+ */
+export const createTransport = ({ context, tracks, arrangement, bpm, onEvent, onSchedule = () => {}, onStep = () => {}, onBpmChange = () => {}, onEnd = () => {} }) => {
+  let stepSeconds = 60 / bpm / 4;
+  let pendingBpm = null;
+  let currentStep = 0;
+  let nextStepTime = 0;
+  // Instante en que termina la canción una vez programado su último paso.
+  let endTime = null;
+  let timerId = null;
+  let frameId = null;
+  // Pasos ya programados que la interfaz todavía no ha mostrado.
+  let stepQueue = [];
+
+  const scheduleStep = (step, time) => {
+    forEachEventAtStep(tracks, arrangement, step, (track, event, offset, trackIndex) => {
+      onEvent(track, event, time + offset * stepSeconds, stepSeconds, trackIndex);
+    });
+    onSchedule(step, time, stepSeconds);
+    stepQueue.push({ step, time });
+  };
+
+  const tick = () => {
+    while (endTime === null && nextStepTime < context.currentTime + LOOKAHEAD_SECONDS) {
+      if (pendingBpm !== null && currentStep % STEPS_PER_BAR === 0) {
+        stepSeconds = 60 / pendingBpm / 4;
+        onBpmChange(pendingBpm);
+        pendingBpm = null;
+      }
+      scheduleStep(currentStep, nextStepTime);
+      nextStepTime += stepSeconds;
+      currentStep++;
+      if (currentStep >= arrangement.length) {
+        if (arrangement.loop) {
+          currentStep = 0;
+        } else {
+          endTime = nextStepTime;
+        }
+      }
+    }
+  };
+
+  // Avisa a la interfaz cuando cada paso programado empieza a sonar de verdad.
+  const drawFrame = () => {
+    let latest = null;
+    while (stepQueue.length > 0 && stepQueue[0].time <= context.currentTime) {
+      latest = stepQueue.shift();
+    }
+    if (latest) {
+      onStep(latest.step);
+    }
+    if (endTime !== null && context.currentTime >= endTime) {
+      stop();
+      onEnd();
+      return;
+    }
+    frameId = window.requestAnimationFrame(drawFrame);
+  };
+
+  const start = () => {
+    stop();
+    currentStep = 0;
+    endTime = null;
+    stepQueue = [];
+    // Un pequeño margen para que el primer paso no llegue tarde.
+    nextStepTime = context.currentTime + 0.05;
+    tick();
+    timerId = setInterval(tick, SCHEDULER_INTERVAL);
+    frameId = window.requestAnimationFrame(drawFrame);
+  };
+
+  const stop = () => {
+    clearInterval(timerId);
+    timerId = null;
+    if (frameId !== null) {
+      window.cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    stepQueue = [];
+  };
+
+  const setBpm = (newBpm) => {
+    if (newBpm > 0) {
+      pendingBpm = newBpm;
+    }
+  };
+
+  return { start, stop, setBpm };
+};
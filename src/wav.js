@@ -0,0 +1,71 @@
+/**
+ * Utilidades WAV: codificación de AudioBuffer a WAV y conversión a base64 para guardar
+ * audio dentro del documento del proyecto.
+ */
+
+/**
+ * Codifica un AudioBuffer como WAV PCM de 16 bits y devuelve los bytes en un DataView.
+ */
+export const encodeWav = (buffer) => {
+    const numChannels = buffer.numberOfChannels;
+    const sampleRate = buffer.sampleRate;
+    const bufferLength = buffer.length;
+    let interleaved = new Float32Array(bufferLength * numChannels);
+    let offset = 0;
+    for (let i = 0; i < bufferLength; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            interleaved[offset++] = buffer.getChannelData(channel)[i];
+        }
+    }
+    let dataView = new DataView(new ArrayBuffer(44 + interleaved.length * 2));
+    let pos = 0;
+    dataView.setUint32(pos, 0x46464952, true); pos += 4;
+    dataView.setUint32(pos, 36 + interleaved.length * 2, true); pos += 4;
+    dataView.setUint32(pos, 0x45564157, true); pos += 4;
+    dataView.setUint32(pos, 0x20746d66, true); pos += 4;
+    dataView.setUint32(pos, 16, true); pos += 4;
+    dataView.setUint16(pos, 1, true); pos += 2;
+    dataView.setUint16(pos, numChannels, true); pos += 2;
+    dataView.setUint32(pos, sampleRate, true); pos += 4;
+    dataView.setUint32(pos, sampleRate * numChannels * 2, true); pos += 4;
+    dataView.setUint16(pos, numChannels * 2, true); pos += 2;
+    dataView.setUint16(pos, 16, true); pos += 2;
+    dataView.setUint32(pos, 0x61746164, true); pos += 4;
+    dataView.setUint32(pos, interleaved.length * 2, true); pos += 4;
+    for (let i = 0; i < interleaved.length; i++) {
+        let s = Math.max(-1, Math.min(1, interleaved[i]));
+        dataView.setInt16(pos, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        pos += 2;
+    }
+    return dataView;
+};
+
+// Función auxiliar para convertir AudioBuffer a WAV
+export const audioBufferToWav = (buffer) => {
+    return new Blob([encodeWav(buffer)], { type: 'audio/wav' });
+};
+
+/**
+ * Codifica un AudioBuffer como WAV en base64.
+ */
+export const audioBufferToWavBase64 = (buffer) => {
+    const bytes = new Uint8Array(encodeWav(buffer).buffer);
+    let binary = '';
+    // Por trozos, para no superar el límite de argumentos de String.fromCharCode.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Convierte una cadena base64 en un ArrayBuffer listo para `decodeAudioData`.
+ */
+export const base64ToArrayBuffer = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
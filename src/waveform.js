@@ -0,0 +1,72 @@
+import { computePeaks, mixDown } from './waveformAnalysis';
+
+/**
+ * Calculador de picos de la forma de onda del Editor de Audio en segundo plano, para
+ * no bloquear la interfaz: `setBuffer(buffer)` envía una copia del audio al worker y
+ * `request(start, end, bins)` devuelve una promesa con los picos. Sin soporte de
+ * workers, o si el worker falla, se calculan en el hilo principal.
+ */
+export const createPeaksComputer = () => {
+  let worker = null;
+  try {
+    worker = new Worker(new URL('./peaksWorker.js', import.meta.url));
+  } catch (e) {
+    console.warn('No se pudo crear el worker de la forma de onda:', e);
+  }
+  let buffer = null;
+  let data = new Float32Array(0);
+  let sampleRate = 44100;
+  let nextId = 0;
+  const pending = new Map();
+
+  const copyChannels = (audio) => {
+    const channels = [];
+    for (let c = 0; c < audio.numberOfChannels; c++) {
+      channels.push(audio.getChannelData(c).slice());
+    }
+    return channels;
+  };
+
+  if (worker) {
+    worker.onmessage = ({ data: { id, peaks } }) => {
+      const request = pending.get(id);
+      pending.delete(id);
+      if (request) request.resolve(peaks);
+    };
+    // Si el worker falla se sigue en el hilo principal, empezando por lo pendiente.
+    worker.onerror = (event) => {
+      console.warn('Error en el worker de la forma de onda:', event.message);
+      worker.terminate();
+      worker = null;
+      if (buffer) data = mixDown(copyChannels(buffer));
+      pending.forEach(({ resolve, start, end, bins }) => resolve(computePeaks(data, sampleRate, start, end, bins)));
+      pending.clear();
+    };
+  }
+
+  return {
+    setBuffer: (audio) => {
+      const channels = copyChannels(audio);
+      buffer = audio;
+      sampleRate = audio.sampleRate;
+      if (worker) {
+        worker.postMessage({ type: 'buffer', channels, sampleRate }, channels.map(channel => channel.buffer));
+      } else {
+        data = mixDown(channels);
+      }
+    },
+    request: (start, end, bins) => new Promise(resolve => {
+      if (!worker) {
+        resolve(computePeaks(data, sampleRate, start, end, bins));
+        return;
+      }
+      const id = ++nextId;
+      pending.set(id, { resolve, start, end, bins });
+      worker.postMessage({ type: 'peaks', id, start, end, bins });
+    }),
+    dispose: () => {
+      if (worker) worker.terminate();
+      pending.clear();
+    },
+  };
+};
@@ -0,0 +1,65 @@
+/**
+ * Cálculos de la forma de onda del Editor de Audio, sin dependencias del navegador
+ * para poder usarlos también en `peaksWorker.js`: picos mínimo/máximo por píxel y
+ * búsqueda de pasos por cero para que los cortes no hagan clic.
+ */
+
+// Distancia máxima a la que se busca un paso por cero al ajustar un corte.
+export const ZERO_CROSSING_WINDOW_SECONDS = 0.01;
+
+/**
+ * Mezcla a mono los canales (`Float32Array`) de un audio.
+ */
+export const mixDown = (channels) => {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  channels.forEach(channel => {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  });
+  return mono;
+};
+
+/**
+ * Picos de `data` entre `start` y `end` segundos repartidos en `bins` columnas.
+ * Devuelve un `Float32Array` con el mínimo y el máximo de cada columna intercalados.
+ */
+export const computePeaks = (data, sampleRate, start, end, bins) => {
+  const peaks = new Float32Array(bins * 2);
+  const from = start * sampleRate;
+  const samplesPerBin = Math.max((end - start) * sampleRate / bins, 0);
+  for (let bin = 0; bin < bins; bin++) {
+    const first = Math.max(0, Math.floor(from + bin * samplesPerBin));
+    const last = Math.min(data.length, Math.max(first + 1, Math.floor(from + (bin + 1) * samplesPerBin)));
+    let min = 0;
+    let max = 0;
+    if (first < data.length) {
+      min = data[first];
+      max = data[first];
+      for (let i = first + 1; i < last; i++) {
+        if (data[i] < min) min = data[i];
+        else if (data[i] > max) max = data[i];
+      }
+    }
+    peaks[bin * 2] = min;
+    peaks[bin * 2 + 1] = max;
+  }
+  return peaks;
+};
+
+/**
+ * Tiempo del paso por cero más cercano a `time` (en el primer canal), buscando hasta
+ * `maxDistance` segundos a cada lado. Si no hay ninguno devuelve `time`.
+ */
+export const findZeroCrossing = (buffer, time, maxDistance = ZERO_CROSSING_WINDOW_SECONDS) => {
+  const data = buffer.getChannelData(0);
+  const center = Math.round(time * buffer.sampleRate);
+  const radius = Math.round(maxDistance * buffer.sampleRate);
+  const crosses = (i) => i > 0 && i < data.length && (data[i - 1] <= 0) !== (data[i] <= 0);
+  for (let offset = 0; offset <= radius; offset++) {
+    if (crosses(center - offset)) return (center - offset) / buffer.sampleRate;
+    if (crosses(center + offset)) return (center + offset) / buffer.sampleRate;
+  }
+  return time;
+};
@@ -0,0 +1,46 @@
+import { computePeaks, mixDown, findZeroCrossing } from './waveformAnalysis';
+
+// AudioBuffer mínimo de un canal a 10 Hz.
+const createBuffer = (values) => ({ sampleRate: 10, length: values.length, getChannelData: () => Float32Array.from(values) });
+
+const pairsOf = (peaks) => Array.from({ length: peaks.length / 2 }, (_, i) => [peaks[i * 2], peaks[i * 2 + 1]]);
+
+describe('computePeaks', () => {
+  test('da el mínimo y el máximo de cada columna', () => {
+    const data = Float32Array.from([0.5, -0.5, 0.25, 0, -1, 0.75]);
+    expect(pairsOf(computePeaks(data, 10, 0, 0.6, 3))).toEqual([[-0.5, 0.5], [0, 0.25], [-1, 0.75]]);
+  });
+
+  test('con más columnas que muestras cada columna toma la muestra que le cae', () => {
+    const data = Float32Array.from([0.5, -0.5]);
+    expect(pairsOf(computePeaks(data, 10, 0, 0.2, 4))).toEqual([[0.5, 0.5], [0.5, 0.5], [-0.5, -0.5], [-0.5, -0.5]]);
+  });
+
+  test('las columnas fuera del audio quedan en cero', () => {
+    const data = Float32Array.from([0.5, -0.5]);
+    expect(pairsOf(computePeaks(data, 10, 0.1, 0.5, 2))).toEqual([[-0.5, -0.5], [0, 0]]);
+  });
+
+  test('mixDown promedia los canales', () => {
+    expect(Array.from(mixDown([Float32Array.from([1, 0]), Float32Array.from([0, -1])]))).toEqual([0.5, -0.5]);
+  });
+});
+
+describe('findZeroCrossing', () => {
+  test('busca el paso por cero más cercano a cada lado', () => {
+    const buffer = createBuffer([1, 1, 1, -1, -1, -1, -1, 1]);
+    expect(findZeroCrossing(buffer, 0.2, 0.3)).toBeCloseTo(0.3);
+    expect(findZeroCrossing(buffer, 0.6, 0.3)).toBeCloseTo(0.7);
+  });
+
+  test('sin paso por cero en la ventana devuelve el mismo tiempo', () => {
+    expect(findZeroCrossing(createBuffer([1, 1, 1, 1, -1]), 0.1, 0.1)).toBe(0.1);
+  });
+
+  test('en los bordes del audio no lee fuera del buffer', () => {
+    expect(findZeroCrossing(createBuffer([1, 1, 1]), 0, 1)).toBe(0);
+    expect(findZeroCrossing(createBuffer([1, 1, 1]), 0.3, 1)).toBe(0.3);
+    expect(findZeroCrossing(createBuffer([-1, 1, 1]), 0, 1)).toBeCloseTo(0.1);
+    expect(findZeroCrossing(createBuffer([1, 1, -1]), 0.3, 1)).toBeCloseTo(0.2);
+  });
+});